@@ -7,13 +7,25 @@
  * - Multi-platform input (Discord, Telegram, Lark, WeChat)
  * - Priority-based task ordering
  * - Persistent state across restarts/crashes
- * - Sequential processing (complete one message before next)
+ * - Configurable parallelism with per-platform and per-user caps
  * - Session recovery
+ * - Crash-safe persistence: append-only journal plus atomic snapshots
+ * - Worker leases with heartbeats; expired leases return tasks to the queue
+ * - Delayed, scheduled and cron-style recurring tasks
+ * - Task dependencies (dependsOn) with failure cascade
+ * - Dead-letter store for tasks that ran out of retries, with replay
+ * - Retry policies (fixed, exponential with jitter, none) chosen per error class
+ * - Live events over Server-Sent Events or WebSocket, resumable by event id
+ * - Discord, Telegram and Lark webhooks in, results posted back to the chat
+ * - Idempotency keys and optional content-hash dedup for resent messages
+ * - Priority aging and round-robin fairness between platforms and users
+ * - Wait/run time percentiles, throughput and failure rate (JSON and Prometheus)
  */
 
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const EventEmitter = require('events');
 
 const C = {
   reset: '\x1b[0m', bright: '\x1b[1m', green: '\x1b[32m',
@@ -24,16 +36,90 @@ const C = {
 const log = (msg, color = 'reset') => console.log(`${C[color]}${msg}${C.reset}`);
 
 const CONFIG_DIR = path.join(process.env.HOME || '/home/crix', '.task-queue');
-const QUEUE_FILE = path.join(CONFIG_DIR, 'queue.json');
-const STATE_FILE = path.join(CONFIG_DIR, 'state.json');
-const PROGRESS_FILE = path.join(CONFIG_DIR, 'progress.json');
+const DEFAULT_QUEUE = 'default';  // Lives in CONFIG_DIR itself; named queues in CONFIG_DIR/queues/<name>
+
+// Files of one queue directory
+function queueFiles(dir) {
+  return {
+    snapshot: path.join(dir, 'snapshot.json'),
+    snapshotPrev: path.join(dir, 'snapshot.prev.json'),
+    journal: path.join(dir, 'journal.log'),
+    journalPrev: path.join(dir, 'journal.prev.log'),
+    history: path.join(dir, 'history.jsonl'),
+    // Pre-journal layout, migrated on first load
+    legacyQueue: path.join(dir, 'queue.json'),
+    legacyState: path.join(dir, 'state.json'),
+    legacyProgress: path.join(dir, 'progress.json')
+  };
+}
+
+// Config sections merged key by key, so a partial section in config.json
+// (or in a named queue's overrides) keeps the defaults it doesn't mention
+const NESTED_CONFIG = ['retryPolicy', 'ingest'];
+
+function mergeConfig(base, overrides = {}) {
+  const merged = { ...base, ...overrides };
+  for (const key of NESTED_CONFIG) {
+    if (overrides[key] !== undefined) merged[key] = deepMerge(base[key], overrides[key]);
+  }
+  return merged;
+}
+
+// Plain objects are merged recursively; anything else (arrays too) replaces
+function deepMerge(base, overrides) {
+  const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+  if (!isObject(base) || !isObject(overrides)) return overrides;
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(overrides)) merged[key] = deepMerge(base[key], value);
+  return merged;
+}
 
 // Default config
 const DEFAULT_CONFIG = {
   maxRetries: 3,
-  retryDelay: 5000,
-  persistInterval: 5000,
-  autoProcess: true,
+  retryDelay: 5000,    // Base delay before a failed task is retried
+  retryPolicy: {       // Default for tasks without their own `retry` (see retryDecision)
+    strategy: 'fixed', // fixed | exponential | none
+    factor: 2,
+    maxDelay: 300000,
+    jitter: 0.2,
+    byClass: {}        // Per error class overrides, e.g. { validation: { strategy: 'none' } }
+  },
+  compactEvery: 500,  // Journal records before a snapshot is written
+  fsync: true,        // fsync every journal append
+  leaseTimeout: 60000, // How long a claim lasts without a heartbeat
+  reapInterval: 5000,  // How often expired leases are checked
+  workers: 1,          // Tasks processed at once (1 = sequential)
+  agingInterval: 300000, // Waiting this long raises effective priority one level (0 = no aging)
+  agingCap: 1,           // Aging never lifts a task above this level (1 = HIGH)
+  fairness: ['platform', 'user'], // Round-robin among equal priorities, least recently served first
+  platformLimits: {},  // Per-platform caps, e.g. { discord: 1, '*': 2 }
+  userLimit: 0,        // Tasks per user at once (0 = no cap)
+  schedulerInterval: 1000, // How often scheduled tasks are checked for being due
+  onParentFailure: 'skip', // What dependents do when a parent fails: skip, fail or run
+  deadLetterLimit: 1000,   // Dead letters kept (oldest dropped first)
+  historyLimit: 10000,     // Finished tasks kept in history.jsonl (0 = no limit)
+  historyMaxAge: 2592000000, // ...and for how long (30 days; 0 = forever)
+  eventBuffer: 500,        // Recent events kept for clients resuming with Last-Event-ID
+  dedupWindow: 600000,     // How long an idempotency key maps to its task
+  contentDedup: false,     // Also treat identical text from the same user as a duplicate
+  contentDedupWindow: 60000,
+  metricsWindows: { '5m': 300000, '1h': 3600000, '24h': 86400000 }, // Rolling windows for /metrics
+  metricsSamples: 20000,   // Finished-task samples kept (the longest window is also a limit)
+  ingest: {                // Inbound chat webhooks (see parseIngest)
+    discord: { publicKey: null },
+    telegram: { secretToken: null, botToken: null },
+    lark: { verificationToken: null, encryptKey: null, appId: null, appSecret: null, baseUrl: 'https://open.larksuite.com' },
+    priority: {
+      users: {},           // "telegram:123": "high"
+      roles: {},           // Discord role id: "critical"
+      keywords: { critical: ['urgent', 'emergency', 'outage'], high: ['asap', 'important'], low: ['whenever', 'no rush'] }
+    },
+    replyOnFailure: true
+  },
+  autoProcess: false,      // Mark tasks processing as they arrive, for a local agent; off for /claim workers
+  queues: {},              // Named queues and their config overrides (see QueueRouter)
+  routes: [],              // Rules sending new tasks to a named queue
   platforms: ['discord', 'telegram', 'lark', 'wechat', 'signal', 'whatsapp']
 };
 
@@ -51,14 +137,35 @@ const TASK_STATE = {
   PROCESSING: 'processing', 
   COMPLETED: 'completed',
   FAILED: 'failed',
-  WAITING: 'waiting'  // Waiting for sub-tasks
+  WAITING: 'waiting',  // Waiting for parent tasks (dependsOn)
+  SCHEDULED: 'scheduled',  // Not due yet (runAt in the future)
+  SKIPPED: 'skipped',  // Dropped because a parent failed
+  CANCELLED: 'cancelled'  // Withdrawn by cancel()
 };
 
-class TaskQueue {
-  constructor(config = {}) {
-    this.config = { ...DEFAULT_CONFIG, ...config };
+const PARENT_FAILURE_POLICIES = ['skip', 'fail', 'run'];
+const RETRY_STRATEGIES = ['fixed', 'exponential', 'none'];
+
+// Error classes for retry policies, guessed from the message when the worker doesn't say
+const ERROR_CLASSES = [
+  ['timeout', /timed? ?out|timeout|ETIMEDOUT|deadline exceeded/i],
+  ['rate_limit', /\b429\b|rate.?limit|too many requests/i],
+  ['network', /ECONNRESET|ECONNREFUSED|ENOTFOUND|EAI_AGAIN|socket hang up|network/i],
+  ['auth', /\b40[13]\b|unauthori[sz]ed|forbidden|permission denied/i],
+  ['validation', /\b400\b|\b422\b|invalid|validation|malformed|bad request/i]
+];
+const FINISHED_LIMIT = 1000;  // Finished tasks remembered for dependency checks
+
+class TaskQueue extends EventEmitter {
+  constructor(config = {}, name = DEFAULT_QUEUE, dir = CONFIG_DIR) {
+    super();
+    this.name = name;
+    this.dir = dir;
+    this.files = queueFiles(dir);
+    this.setMaxListeners(0);  // One listener per connected event stream
+    this.config = mergeConfig(DEFAULT_CONFIG, config);
+    validateRetryPolicy(this.config.retryPolicy, 'retryPolicy');
     this.queue = [];        // Main queue
-    this.currentTask = null; // Currently processing
     this.state = {
       status: 'idle',        // idle, processing, paused, error
       lastProcessed: null,
@@ -68,58 +175,236 @@ class TaskQueue {
       startedAt: new Date().toISOString()
     };
     this.progress = {};      // Track sub-task progress
+    this.finished = {};      // id -> outcome of recently finished tasks (for dependsOn)
+    this.deadLetters = [];   // Tasks that failed for good, oldest first
+    this.dedup = {};         // Idempotency/content key -> { taskId, at }
+    this.samples = [];       // { at, platform, outcome, waitMs, runMs } per finished task, for metrics
+    this.history = [];       // Finished tasks, oldest first (history.jsonl)
+    this.historyDropped = 0; // Entries pruned from memory but still in the file
+    this.lastServed = {};    // "platform:discord" / "user:x" -> claim number it was last served at (for fairness)
+    this.claims = 0;
+    this.events = [];        // Recent events, for resuming streams (not persisted)
+    this.eventSeq = 0;
+    this.eventEpoch = crypto.randomBytes(4).toString('hex');  // Event ids are "<epoch>-<seq>", new epoch per process
+    this.localLeases = new Set(); // Tasks this process handed to the local agent (fill); renewed while it runs
+    
+    this.seq = 0;            // Sequence number of the last journal record
+    this.journalFd = null;
+    this.journalRecords = 0; // Records since the last snapshot
+    this.recovery = null;    // What load() found (see getStatus().persistence)
     
     this.load();
+    this.loadHistory();
     
-    // Auto-save interval
-    if (this.config.autoProcess) {
-      this.saveInterval = setInterval(() => this.persist(), this.config.persistInterval);
-    }
+    // Tasks whose lease is still running were claimed before a restart and stay active
+    this.reapLeases();
+    this.reapTimer = setInterval(() => this.reapLeases(), this.config.reapInterval);
+    this.reapTimer.unref();
+    this.schedulerTimer = setInterval(() => this.promoteDue(), this.config.schedulerInterval);
+    this.schedulerTimer.unref();
   }
 
   // ============ Persistence ============
+  //
+  // Every change is appended to journal.log as one JSON record with a
+  // sequence number and checksum. Every `compactEvery` records the full
+  // state is written to snapshot.json (temp file + fsync + rename) and the
+  // journal starts over. The previous snapshot and journal are kept one
+  // generation back, so a damaged snapshot can be rebuilt from them.
 
   load() {
-    // Load queue
-    if (fs.existsSync(QUEUE_FILE)) {
-      try {
-        const data = JSON.parse(fs.readFileSync(QUEUE_FILE, 'utf8'));
-        this.queue = data.messages || [];
-      } catch (e) {
-        this.queue = [];
+    if (!fs.existsSync(this.dir)) {
+      fs.mkdirSync(this.dir, { recursive: true });
+    }
+    const report = { recoveredAt: new Date().toISOString(), snapshot: null, snapshotSeq: 0, replayed: 0, tornTail: false, errors: [] };
+    
+    if (!fs.existsSync(this.files.snapshot) && !fs.existsSync(this.files.snapshotPrev) && fs.existsSync(this.files.legacyQueue)) {
+      this.loadLegacy(report);
+    } else {
+      const base = this.readSnapshot(this.files.snapshot, report) || this.readSnapshot(this.files.snapshotPrev, report);
+      if (base) {
+        this.queue = base.queue;
+        this.state = { ...this.state, ...base.state };
+        this.progress = base.progress;
+        this.finished = base.finished || {};
+        this.deadLetters = base.deadLetters || [];
+        this.dedup = base.dedup || {};
+        this.samples = base.samples || [];
+        this.seq = report.snapshotSeq = base.seq;
+      }
+      
+      // Replay records newer than the snapshot, in sequence order
+      const records = [...this.readJournal(this.files.journalPrev, report), ...this.readJournal(this.files.journal, report)]
+        .filter(r => r.seq > this.seq)
+        .sort((a, b) => a.seq - b.seq);
+      for (const record of records) {
+        if (record.seq !== this.seq + 1) {
+          report.errors.push(`Journal gap: expected record ${this.seq + 1}, found ${record.seq}; later records ignored`);
+          break;
+        }
+        this.applyRecord(record);
+        this.seq = record.seq;
+        report.replayed++;
       }
     }
     
-    // Load state
-    if (fs.existsSync(STATE_FILE)) {
+    this.recovery = report;
+    report.errors.forEach(e => log(`Recovery: ${e}`, 'red'));
+    // Clean exits leave an empty journal, so replayed records mean a crash or kill
+    if (report.replayed || report.errors.length) {
+      log(`Recovered after an unclean shutdown: ${this.queue.length} tasks (snapshot ${report.snapshot || 'none'} @${report.snapshotSeq}, ${report.replayed} journal records replayed)`, report.errors.length ? 'yellow' : 'gray');
+    }
+    // Start a clean generation so recovery never depends on a damaged file twice
+    if (report.replayed || report.errors.length || report.tornTail || report.snapshot !== path.basename(this.files.snapshot)) {
+      this.persist();
+    }
+  }
+
+  // Parse and checksum-verify a snapshot; damaged files are quarantined
+  readSnapshot(file, report) {
+    if (!fs.existsSync(file)) return null;
+    try {
+      const snapshot = JSON.parse(fs.readFileSync(file, 'utf8'));
+      const { checksum, ...body } = snapshot;
+      if (checksum !== hashRecord(body)) throw new Error('checksum mismatch');
+      report.snapshot = path.basename(file);
+      return body;
+    } catch (e) {
+      report.errors.push(`${path.basename(file)} is corrupt (${e.message}), moved to ${path.basename(quarantine(file))}`);
+      return null;
+    }
+  }
+
+  // Journal records with valid checksums. A partial last line is the normal
+  // result of a crash mid-append and is dropped; a damaged complete line
+  // stops the replay at that point.
+  readJournal(file, report) {
+    if (!fs.existsSync(file)) return [];
+    const lines = fs.readFileSync(file, 'utf8').split('\n');
+    if (lines.pop() !== '') report.tornTail = true;
+    const records = [];
+    for (let i = 0; i < lines.length; i++) {
+      let record = null;
       try {
-        this.state = { ...this.state, ...JSON.parse(fs.readFileSync(STATE_FILE, 'utf8')) };
+        record = JSON.parse(lines[i]);
+        const { crc, ...body } = record;
+        if (crc !== hashRecord(body).slice(0, 16)) record = null;
       } catch (e) {}
+      if (!record) {
+        report.errors.push(`${path.basename(file)} line ${i + 1} is corrupt, copied to ${path.basename(quarantine(file, true))}; ${lines.length - i - 1} later records ignored`);
+        break;
+      }
+      records.push(record);
     }
-    
-    // Load progress
-    if (fs.existsSync(PROGRESS_FILE)) {
+    return records;
+  }
+
+  // queue.json / state.json / progress.json from before the journal
+  loadLegacy(report) {
+    const read = (file) => {
+      if (!fs.existsSync(file)) return null;
       try {
-        this.progress = JSON.parse(fs.readFileSync(PROGRESS_FILE, 'utf8'));
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
       } catch (e) {
-        this.progress = {};
+        report.errors.push(`${path.basename(file)} is corrupt (${e.message}), moved to ${path.basename(quarantine(file))}`);
+        return null;
+      }
+    };
+    const queue = read(this.files.legacyQueue);
+    const state = read(this.files.legacyState);
+    const progress = read(this.files.legacyProgress);
+    this.queue = (queue && queue.messages) || [];
+    if (state) this.state = { ...this.state, ...state };
+    this.progress = progress || {};
+    report.snapshot = 'legacy';
+    for (const file of [this.files.legacyQueue, this.files.legacyState, this.files.legacyProgress]) {
+      if (fs.existsSync(file)) fs.renameSync(file, `${file}.migrated`);
+    }
+  }
+
+  applyRecord(record) {
+    switch (record.op) {
+      case 'put': {
+        const index = this.queue.findIndex(t => t.id === record.task.id);
+        const old = this.queue[index];
+        if (old && old.priority === record.task.priority && old.frontedAt === record.task.frontedAt) {
+          this.queue[index] = record.task;
+        } else {
+          if (old) this.queue.splice(index, 1);  // Reprioritised or moved to the front
+          this.insertByPriority(record.task);
+        }
+        break;
       }
+      case 'del':
+        this.queue = this.queue.filter(t => t.id !== record.id);
+        break;
+      case 'state':
+        this.state = { ...this.state, ...record.state };
+        break;
+      case 'progress':
+        if (record.progress) this.progress[record.id] = record.progress;
+        else delete this.progress[record.id];
+        break;
+      case 'finished':
+        this.rememberFinished(record.id, record.outcome);
+        break;
+      case 'dead':
+        this.addDeadLetter(record.entry);
+        break;
+      case 'sample':
+        this.addSample(record.sample);
+        break;
+      case 'dedup':
+        this.dedup[record.key] = record.entry;
+        break;
+      case 'undead':
+        this.deadLetters = this.deadLetters.filter(e => e.id !== record.id);
+        break;
     }
   }
 
+  // Append a change to the journal (the in-memory state is already updated)
+  record(op, fields) {
+    const body = { seq: this.seq + 1, op, ...fields };
+    const line = JSON.stringify({ ...body, crc: hashRecord(body).slice(0, 16) }) + '\n';
+    if (this.journalFd === null) this.journalFd = fs.openSync(this.files.journal, 'a');
+    fs.writeSync(this.journalFd, line);
+    if (this.config.fsync) fs.fsyncSync(this.journalFd);
+    this.seq = body.seq;
+    this.journalRecords++;
+    if (this.journalRecords >= this.config.compactEvery) this.persist();
+  }
+
+  // Write a snapshot atomically and start a new journal generation
   persist() {
-    if (!fs.existsSync(CONFIG_DIR)) {
-      fs.mkdirSync(CONFIG_DIR, { recursive: true });
+    const body = { version: 1, seq: this.seq, queue: this.queue, state: this.state, progress: this.progress, finished: this.finished, deadLetters: this.deadLetters, dedup: this.dedup, samples: this.samples, savedAt: new Date().toISOString() };
+    const tmp = `${this.files.snapshot}.tmp`;
+    const fd = fs.openSync(tmp, 'w');
+    try {
+      fs.writeSync(fd, JSON.stringify({ ...body, checksum: hashRecord(body) }, null, 2));
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
     }
     
-    fs.writeFileSync(QUEUE_FILE, JSON.stringify({
-      messages: this.queue,
-      updatedAt: new Date().toISOString()
-    }, null, 2));
-    
-    fs.writeFileSync(STATE_FILE, JSON.stringify(this.state, null, 2));
-    
-    fs.writeFileSync(PROGRESS_FILE, JSON.stringify(this.progress, null, 2));
+    if (this.journalFd !== null) { fs.closeSync(this.journalFd); this.journalFd = null; }
+    if (fs.existsSync(this.files.snapshot)) fs.renameSync(this.files.snapshot, this.files.snapshotPrev);
+    fs.renameSync(tmp, this.files.snapshot);
+    if (fs.existsSync(this.files.journal)) fs.renameSync(this.files.journal, this.files.journalPrev);
+    syncDir(this.dir);
+    this.journalRecords = 0;
+    this.lastCompaction = body.savedAt;
+  }
+
+  // Tasks moved to the front (latest first), then by priority
+  insertByPriority(task) {
+    const front = (t) => t.frontedAt || 0;
+    const insertIndex = this.queue.findIndex(t => front(t) < front(task) || (front(t) === front(task) && t.priority > task.priority));
+    if (insertIndex >= 0) {
+      this.queue.splice(insertIndex, 0, task);
+    } else {
+      this.queue.push(task);
+    }
   }
 
   // ============ Queue Operations ============
@@ -131,9 +416,47 @@ class TaskQueue {
       userId = 'unknown',
       priority = PRIORITY.NORMAL,
       metadata = {},
-      sessionId = null
+      sessionId = null,
+      runAt = null,     // Date, ISO string or epoch ms
+      delayMs = null,   // Run this long from now
+      repeat = null,    // Cron expression ("*/15 * * * *", "@daily")
+      seriesId = null,  // Set on recurring occurrences
+      occurrence = 1,
+      dependsOn = [],   // Parent task ids that must complete first
+      onParentFailure = this.config.onParentFailure,
+      retry = null,     // Retry policy overrides for this task
+      idempotencyKey = null,
+      messageId = null  // Platform message id; the key defaults to "<platform>:<messageId>"
     } = options;
     
+    const keys = this.dedupKeys(content, { platform, userId, idempotencyKey, messageId });
+    const duplicate = this.findDuplicate(keys);
+    if (duplicate) {
+      log(`Duplicate of ${duplicate.id} [${platform}], not enqueued`, 'gray');
+      return duplicate;
+    }
+    
+    const parents = [].concat(dependsOn || []);
+    for (const id of parents) {
+      if (this.parentOutcome(id) === undefined) throw new Error(`Unknown dependency: ${id}`);
+    }
+    if (!PARENT_FAILURE_POLICIES.includes(onParentFailure)) {
+      throw new Error(`Invalid onParentFailure: ${onParentFailure} (use ${PARENT_FAILURE_POLICIES.join(', ')})`);
+    }
+    if (retry) validateRetryPolicy(retry, 'retry');
+    
+    let due = null;
+    if (runAt !== null && runAt !== undefined) {
+      due = new Date(runAt);
+      if (isNaN(due)) throw new Error(`Invalid runAt: ${runAt}`);
+    } else if (delayMs) {
+      due = new Date(Date.now() + Number(delayMs));
+    } else if (repeat) {
+      due = nextCronTime(repeat, new Date());
+    }
+    if (repeat) parseCron(repeat);  // Reject bad expressions at enqueue time
+    const scheduled = due && due > new Date();
+    
     const task = {
       id: `task_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
       content,
@@ -142,7 +465,15 @@ class TaskQueue {
       priority,
       metadata,
       sessionId,
-      state: TASK_STATE.PENDING,
+      state: scheduled ? TASK_STATE.SCHEDULED : TASK_STATE.PENDING,
+      runAt: due ? due.toISOString() : null,
+      repeat,
+      seriesId: repeat ? (seriesId || null) : null,
+      occurrence,
+      dependsOn: parents,
+      onParentFailure,
+      retry,
+      nextAttemptAt: null,
       createdAt: new Date().toISOString(),
       startedAt: null,
       completedAt: null,
@@ -150,140 +481,434 @@ class TaskQueue {
       retryCount: 0
     };
     
-    // Parse content for sub-tasks (lines starting with - or numbered)
-    const lines = content.split('\n').filter(l => l.trim());
-    for (const line of lines) {
-      const trimmed = line.trim();
-      if (trimmed.startsWith('- ') || trimmed.startsWith('* ')) {
-        task.subTasks.push({
-          id: `${task.id}_sub_${task.subTasks.length}`,
-          content: trimmed.substring(2),
-          state: TASK_STATE.PENDING
-        });
-      }
-    }
+    task.subTasks = parseSubTasks(task.id, content);
     
     // Add to queue by priority
-    const insertIndex = this.queue.findIndex(t => t.priority > priority);
-    if (insertIndex >= 0) {
-      this.queue.splice(insertIndex, 0, task);
-    } else {
-      this.queue.push(task);
-    }
+    this.insertByPriority(task);
     
-    this.persist();
-    log(`Enqueued: ${task.id} [${platform}] priority:${priority}`, 'green');
+    if (task.repeat && !task.seriesId) task.seriesId = task.id;
+    if (parents.length) task.state = TASK_STATE.WAITING;
+    
+    this.record('put', { task });
+    for (const { key } of keys) {
+      this.dedup[key] = { taskId: task.id, at: task.createdAt };
+      this.record('dedup', { key, entry: this.dedup[key] });
+    }
+    this.publish('enqueued', task);
+    log(`Enqueued: ${task.id} [${platform}] priority:${priority}${scheduled ? ` due ${task.runAt}` : ''}${repeat ? ` repeat "${repeat}"` : ''}${parents.length ? ` after ${parents.join(', ')}` : ''}`, 'green');
+    if (parents.length) this.resolveWaiting();
     
-    // Auto-start processing if idle
-    if (this.config.autoProcess && this.state.status === 'idle') {
-      this.processNext();
+    // Auto-start processing if a worker slot is free
+    if (this.config.autoProcess && this.state.status !== 'paused') {
+      this.fill();
     }
     
     return task;
   }
 
-  // Get next task (highest priority, oldest)
+  // ============ Deduplication ============
+  //
+  // An idempotency key (given, or "<platform>:<messageId>") maps to the task
+  // it created for `dedupWindow`; with `contentDedup`, so does a hash of the
+  // user and text for `contentDedupWindow`. A repeat within the window gets
+  // the original task back (marked duplicate: true) instead of a new one.
+
+  dedupKeys(content, { platform, userId, idempotencyKey, messageId }) {
+    const keys = [];
+    const key = idempotencyKey || (messageId ? `${platform}:${messageId}` : null);
+    if (key) keys.push({ key: `key:${key}`, window: this.config.dedupWindow });
+    if (this.config.contentDedup) {
+      const hash = crypto.createHash('sha256').update(`${platform}\n${userId}\n${content.trim()}`).digest('hex').slice(0, 32);
+      keys.push({ key: `content:${hash}`, window: this.config.contentDedupWindow });
+    }
+    return keys;
+  }
+
+  findDuplicate(keys) {
+    this.pruneDedup();
+    const now = Date.now();
+    for (const { key, window } of keys) {
+      const entry = this.dedup[key];
+      if (!entry || now - new Date(entry.at).getTime() > window) continue;
+      const task = this.queue.find(t => t.id === entry.taskId);
+      if (task) return { ...task, duplicate: true };
+      const outcome = this.finished[entry.taskId] || {};
+      return { id: entry.taskId, state: outcome.state || 'unknown', content: outcome.content, duplicate: true };
+    }
+    return null;
+  }
+
+  // Drop keys older than the longest window (snapshots carry what is left)
+  pruneDedup() {
+    const cutoff = Date.now() - Math.max(this.config.dedupWindow, this.config.contentDedupWindow);
+    for (const [key, entry] of Object.entries(this.dedup)) {
+      if (new Date(entry.at).getTime() < cutoff) delete this.dedup[key];
+    }
+  }
+
+  // Tasks currently held by a worker
+  activeTasks() {
+    return this.queue.filter(t => t.state === TASK_STATE.PROCESSING);
+  }
+
+  // Concurrency cap for a platform: platformLimits[platform], then platformLimits['*'] (0 = no cap)
+  platformLimit(platform) {
+    const limits = this.config.platformLimits || {};
+    return limits[platform] !== undefined ? limits[platform] : (limits['*'] || 0);
+  }
+
+  // Scheduler: make SCHEDULED tasks PENDING once their runAt has passed
+  promoteDue({ fill = true } = {}) {
+    const now = new Date();
+    const due = this.queue.filter(t => t.state === TASK_STATE.SCHEDULED && new Date(t.runAt) <= now);
+    for (const task of due) {
+      task.state = TASK_STATE.PENDING;
+      this.record('put', { task });
+      log(`Due: ${task.id}`, 'cyan');
+    }
+    const retryDue = this.queue.some(t => t.state === TASK_STATE.PENDING && t.nextAttemptAt && new Date(t.nextAttemptAt) <= now);
+    if (fill && (due.length || retryDue) && this.config.autoProcess && this.state.status !== 'paused') this.fill();
+    return due.length;
+  }
+
+  scheduledTasks() {
+    return this.queue
+      .filter(t => t.state === TASK_STATE.SCHEDULED)
+      .sort((a, b) => new Date(a.runAt) - new Date(b.runAt));
+  }
+
+  // Remove a scheduled task; for a recurring task this ends the series
+  unschedule(taskId) {
+    const task = this.queue.find(t => t.id === taskId && t.state === TASK_STATE.SCHEDULED);
+    if (!task) return false;
+    this.queue = this.queue.filter(t => t.id !== taskId);
+    this.record('del', { id: taskId });
+    this.noteFinished(task, TASK_STATE.SKIPPED);
+    log(`Unscheduled: ${taskId}`, 'yellow');
+    this.resolveWaiting();
+    return true;
+  }
+
+  // Enqueue the next run of a recurring task once this one is finished. It
+  // keeps the task's options, except dependencies (already settled) and dedup
+  // keys (they would match this task).
+  scheduleNextOccurrence(task) {
+    if (!task.repeat) return null;
+    return this.enqueue(task.content, {
+      platform: task.platform,
+      userId: task.userId,
+      priority: task.priority,
+      metadata: task.metadata,
+      sessionId: task.sessionId,
+      retry: task.retry,
+      onParentFailure: task.onParentFailure,
+      runAt: nextCronTime(task.repeat, new Date()),
+      repeat: task.repeat,
+      seriesId: task.seriesId || task.id,
+      occurrence: (task.occurrence || 1) + 1
+    });
+  }
+
+  // Get next task (highest priority, oldest) that fits the worker, platform and user caps
   getNextTask() {
-    return this.queue.find(t => t.state === TASK_STATE.PENDING);
+    this.promoteDue({ fill: false });  // The caller is about to take a task itself
+    const active = this.activeTasks();
+    if (active.length >= this.config.workers) return null;
+    
+    const count = (key, value) => active.filter(t => t[key] === value).length;
+    const now = new Date();
+    const eligible = this.queue.filter(t => {
+      if (t.state !== TASK_STATE.PENDING) return false;
+      if (t.nextAttemptAt && new Date(t.nextAttemptAt) > now) return false;  // Backing off
+      const platformLimit = this.platformLimit(t.platform);
+      if (platformLimit && count('platform', t.platform) >= platformLimit) return false;
+      if (this.config.userLimit && count('userId', t.userId) >= this.config.userLimit) return false;
+      return true;
+    });
+    return eligible.reduce((best, t) => (!best || this.compareTasks(t, best, now) < 0 ? t : best), null);
+  }
+
+  // ============ Aging & Fairness ============
+  //
+  // Effective priority drops (i.e. gets more urgent) by one level per
+  // `agingInterval` of waiting, down to `agingCap`, so LOW work still runs
+  // under a steady stream of NORMAL messages; tasks already at or above the
+  // cap are not aged. Among equal effective priorities
+  // the platform, then the user, that was served longest ago goes first;
+  // after that, the oldest task.
+
+  // When the task became runnable
+  readySince(task) {
+    return Math.max(new Date(task.createdAt).getTime(), task.runAt ? new Date(task.runAt).getTime() : 0);
+  }
+
+  effectivePriority(task, now = new Date()) {
+    const interval = this.config.agingInterval;
+    if (!interval || task.priority <= this.config.agingCap) return task.priority;
+    const boost = Math.floor(Math.max(0, now - this.readySince(task)) / interval);
+    return Math.max(this.config.agingCap, task.priority - boost);
+  }
+
+  compareTasks(a, b, now = new Date()) {
+    const byFront = (b.frontedAt || 0) - (a.frontedAt || 0);  // moveToFront() beats everything
+    if (byFront) return byFront;
+    const byPriority = this.effectivePriority(a, now) - this.effectivePriority(b, now);
+    if (byPriority) return byPriority;
+    for (const dimension of [].concat(this.config.fairness || [])) {
+      const field = dimension === 'user' ? 'userId' : dimension;
+      const served = (t) => this.lastServed[`${dimension}:${t[field]}`] || 0;
+      if (served(a) !== served(b)) return served(a) - served(b);
+    }
+    return this.readySince(a) - this.readySince(b);
+  }
+
+  noteServed(task) {
+    this.claims++;
+    for (const dimension of [].concat(this.config.fairness || [])) {
+      const field = dimension === 'user' ? 'userId' : dimension;
+      this.lastServed[`${dimension}:${task[field]}`] = this.claims;
+    }
+  }
+
+  // idle / processing from the active task count; paused sticks until resume()
+  updateStatus() {
+    if (this.state.status === 'paused') return;
+    this.state.status = this.activeTasks().length ? 'processing' : 'idle';
+  }
+
+  // Claim the next task for a worker, with a lease that must be renewed by
+  // heartbeat() before it expires. Returns null when paused, at capacity or empty.
+  claim(workerId = 'local', leaseMs = this.config.leaseTimeout) {
+    validateLeaseMs(leaseMs);
+    if (this.state.status === 'paused') return null;
+    return this.processNext(workerId, leaseMs);
+  }
+
+  // Start as many tasks as the caps allow (autoProcess). The local agent
+  // doesn't heartbeat, so reapLeases() renews these leases for as long as this
+  // process lives; after a crash or restart they run out and are reaped.
+  fill() {
+    const started = [];
+    let task;
+    while (this.state.status !== 'paused' && (task = this.processNext('local'))) {
+      this.localLeases.add(task.id);
+      started.push(task);
+    }
+    return started;
+  }
+
+  // Heartbeat on behalf of the local agent once half of a lease is used up
+  renewLocalLeases() {
+    const now = Date.now();
+    for (const id of this.localLeases) {
+      const task = this.findActive(id, 'local');
+      if (!task) this.localLeases.delete(id);
+      else if (new Date(task.lease.expiresAt) - now < this.config.leaseTimeout / 2) this.heartbeat(id, 'local');
+    }
+  }
+
+  // Extend the lease on a claimed task
+  heartbeat(taskId, workerId = null, leaseMs = this.config.leaseTimeout) {
+    validateLeaseMs(leaseMs);
+    const task = this.queue.find(t => t.id === taskId);
+    if (!task || task.state !== TASK_STATE.PROCESSING || !task.lease) return null;
+    if (workerId && task.lease.workerId !== workerId) return null;
+    
+    task.lease.expiresAt = new Date(Date.now() + leaseMs).toISOString();
+    task.lease.heartbeatAt = new Date().toISOString();
+    this.record('put', { task });
+    return task.lease;
+  }
+
+  // Return tasks whose lease ran out to PENDING; each expiry counts as a retry
+  reapLeases() {
+    this.renewLocalLeases();
+    const now = new Date();
+    // A lease without expiry was written by an older version for the local agent
+    const expired = this.activeTasks().filter(t => !t.lease || !t.lease.expiresAt || new Date(t.lease.expiresAt) <= now);
+    for (const task of expired) {
+      const worker = task.lease ? task.lease.workerId : 'unknown';
+      if (task.cancelRequested) {
+        this.finishCancelled(task, task.cancelRequested.reason);
+        continue;
+      }
+      task.retryCount++;
+      task.lastError = `Lease expired (worker ${worker})`;
+      this.noteFailure(task, task.lastError, 'lease');
+      task.lease = null;
+      const decision = this.retryDecision(task, 'lease');
+      
+      if (!decision.retry) {
+        task.state = TASK_STATE.FAILED;
+        task.error = task.lastError;
+        this.state.totalFailed++;
+        this.queue = this.queue.filter(t => t.id !== task.id);
+        this.record('del', { id: task.id });
+        this.noteFinished(task, TASK_STATE.FAILED);
+        this.deadLetter(task);
+        this.recordSample(task, 'failed');
+        this.publish('failed', task, { error: task.error, errorClass: 'lease' });
+        this.replyToOrigin(task, `❌ Failed: ${task.error}`, true);
+        log(`Failed: ${task.id} after ${task.retryCount} expired leases`, 'red');
+        this.scheduleNextOccurrence(task);
+      } else {
+        task.state = TASK_STATE.PENDING;
+        task.nextAttemptAt = new Date(Date.now() + decision.delay).toISOString();
+        this.record('put', { task });
+        this.publish('retrying', task, { error: task.lastError, errorClass: 'lease', nextAttemptAt: task.nextAttemptAt });
+        log(`Lease expired: ${task.id} (worker ${worker}), retry ${task.retryCount}/${decision.maxRetries} in ${decision.delay}ms`, 'yellow');
+      }
+    }
+    if (expired.length) {
+      this.updateStatus();
+      this.record('state', { state: this.state });
+      this.resolveWaiting();
+      if (this.config.autoProcess) this.fill();
+    }
+    return expired.length;
   }
 
   // Start processing a task
-  async processNext() {
-    // Find next pending task
+  processNext(workerId = 'local', leaseMs = this.config.leaseTimeout) {
+    validateLeaseMs(leaseMs);
+    // Find next pending task that fits the concurrency caps
     const task = this.getNextTask();
     
     if (!task) {
-      this.state.status = 'idle';
-      this.currentTask = null;
-      this.persist();
-      log('Queue empty, waiting...', 'gray');
+      const before = this.state.status;
+      this.updateStatus();
+      if (this.state.status !== before) this.record('state', { state: this.state });
       return null;
     }
     
-    this.currentTask = task;
-    this.state.status = 'processing';
     task.state = TASK_STATE.PROCESSING;
     task.startedAt = new Date().toISOString();
+    task.waitedMs = Date.now() - this.readySince(task);
+    this.noteServed(task);
+    task.nextAttemptAt = null;
+    task.lease = { workerId, claimedAt: task.startedAt, expiresAt: new Date(Date.now() + leaseMs).toISOString() };
+    this.updateStatus();
     
-    this.persist();
-    log(`Processing: ${task.id} [${task.platform}]`, 'cyan');
+    this.record('put', { task });
+    this.record('state', { state: this.state });
+    this.publish('started', task, { workerId });
+    log(`Processing: ${task.id} [${task.platform}] leased to ${workerId}`, 'cyan');
     
     return task;
   }
 
-  // Complete current task
-  completeTask(result = {}) {
-    if (!this.currentTask) return false;
+  // Active task by id; when workerId is given it must hold the lease
+  findActive(taskId, workerId = null) {
+    const task = this.queue.find(t => t.id === taskId && t.state === TASK_STATE.PROCESSING);
+    if (!task) return null;
+    if (workerId && (!task.lease || task.lease.workerId !== workerId)) return null;
+    return task;
+  }
+
+  // Complete a task
+  completeTask(taskId, result = {}, workerId = null) {
+    const task = this.findActive(taskId, workerId);
+    if (!task) return false;
     
-    const task = this.currentTask;
     task.state = TASK_STATE.COMPLETED;
     task.completedAt = new Date().toISOString();
     task.result = result;
+    task.lease = null;
     
     // Remove from queue
     this.queue = this.queue.filter(t => t.id !== task.id);
     
     this.state.lastProcessed = task.id;
     this.state.totalProcessed++;
-    this.state.status = 'idle';
-    this.currentTask = null;
+    this.updateStatus();
     
     // Clear progress for this task
     delete this.progress[task.id];
     
-    this.persist();
+    this.record('del', { id: task.id });
+    this.record('progress', { id: task.id, progress: null });
+    this.record('state', { state: this.state });
+    this.noteFinished(task, TASK_STATE.COMPLETED);
+    this.recordSample(task, 'completed');
+    this.publish('completed', task, { result });
+    this.replyToOrigin(task, `✅ ${resultText(result)}`);
     log(`Completed: ${task.id}`, 'green');
+    this.scheduleNextOccurrence(task);
+    this.resolveWaiting();
     
     // Process next
     if (this.config.autoProcess && this.queue.length > 0) {
-      setTimeout(() => this.processNext(), 1000);
+      setTimeout(() => this.fill(), 1000);
     }
     
     return true;
   }
 
-  // Mark sub-task complete
+  // Mark sub-task complete (sub-task ids start with their task's id)
   completeSubTask(subTaskId) {
-    if (!this.currentTask) return false;
+    const task = this.activeTasks().find(t => subTaskId.startsWith(`${t.id}_sub_`));
+    if (!task) return false;
     
-    const subTask = this.currentTask.subTasks.find(st => st.id === subTaskId);
+    const subTask = task.subTasks.find(st => st.id === subTaskId);
     if (subTask) {
       subTask.state = TASK_STATE.COMPLETED;
-      this.progress[this.currentTask.id] = {
-        completed: this.currentTask.subTasks.filter(st => st.state === TASK_STATE.COMPLETED).length,
-        total: this.currentTask.subTasks.length
+      this.progress[task.id] = {
+        completed: task.subTasks.filter(st => st.state === TASK_STATE.COMPLETED).length,
+        total: task.subTasks.length
       };
-      this.persist();
+      this.record('put', { task });
+      this.record('progress', { id: task.id, progress: this.progress[task.id] });
+      this.publish('progress', task, { subTask: { id: subTask.id, content: subTask.content }, progress: this.progress[task.id] });
       return true;
     }
     return false;
   }
 
-  // Fail task
-  failTask(error) {
-    if (!this.currentTask) return false;
+  // Fail a task
+  failTask(taskId, error, workerId = null, errorClass = null) {
+    const task = this.findActive(taskId, workerId);
+    if (!task) return false;
+    if (task.cancelRequested) {
+      this.finishCancelled(task, task.cancelRequested.reason);
+      return true;
+    }
     
-    const task = this.currentTask;
+    errorClass = errorClass || classifyError(error);
     task.retryCount++;
+    this.noteFailure(task, error, errorClass);
+    task.lease = null;
+    const decision = this.retryDecision(task, errorClass);
     
-    if (task.retryCount >= this.config.maxRetries) {
+    if (!decision.retry) {
       task.state = TASK_STATE.FAILED;
       task.error = error;
       this.state.totalFailed++;
       this.queue = this.queue.filter(t => t.id !== task.id);
-      log(`Failed: ${task.id} after ${task.retryCount} retries`, 'red');
+      this.deadLetter(task);
+      this.recordSample(task, 'failed');
+      this.publish('failed', task, { error, errorClass });
+      this.replyToOrigin(task, `❌ Failed: ${resultText(error)}`, true);
+      log(`Failed: ${task.id} after ${task.retryCount} attempt(s) [${errorClass}${decision.policy.strategy === 'none' ? ', not retried' : ''}]`, 'red');
+      this.scheduleNextOccurrence(task);
     } else {
       task.state = TASK_STATE.PENDING;
-      log(`Retrying: ${task.id} (${task.retryCount}/${this.config.maxRetries})`, 'yellow');
+      task.nextAttemptAt = new Date(Date.now() + decision.delay).toISOString();
+      this.publish('retrying', task, { error, errorClass, nextAttemptAt: task.nextAttemptAt });
+      log(`Retrying: ${task.id} (${task.retryCount}/${decision.maxRetries}) in ${decision.delay}ms [${errorClass}]`, 'yellow');
     }
     
-    this.state.status = 'idle';
-    this.currentTask = null;
-    this.persist();
+    this.updateStatus();
+    if (task.state === TASK_STATE.FAILED) this.record('del', { id: task.id });
+    else this.record('put', { task });
+    this.record('state', { state: this.state });
+    if (task.state === TASK_STATE.FAILED) {
+      this.noteFinished(task, TASK_STATE.FAILED);
+      this.resolveWaiting();
+    }
     
     // Next
     if (this.config.autoProcess) {
-      this.processNext();
+      this.fill();
     }
     
     return true;
@@ -292,226 +917,1755 @@ class TaskQueue {
   // Pause processing
   pause() {
     this.state.status = 'paused';
-    this.persist();
+    this.record('state', { state: this.state });
+    this.publish('paused');
     log('Queue paused', 'yellow');
   }
 
   // Resume processing
   resume() {
     this.state.status = 'idle';
-    this.persist();
+    this.updateStatus();
+    this.record('state', { state: this.state });
+    this.publish('resumed');
     log('Queue resumed', 'green');
     if (this.config.autoProcess) {
-      this.processNext();
+      this.fill();
     }
   }
 
   // Clear completed/failed
   clear() {
-    this.queue = this.queue.filter(t => 
-      t.state === TASK_STATE.PROCESSING || t.state === TASK_STATE.PENDING
-    );
-    this.persist();
+    const keep = (t) => [TASK_STATE.PROCESSING, TASK_STATE.PENDING, TASK_STATE.SCHEDULED, TASK_STATE.WAITING].includes(t.state);
+    this.queue.filter(t => !keep(t)).forEach(t => this.record('del', { id: t.id }));
+    this.queue = this.queue.filter(keep);
     log('Queue cleared', 'cyan');
   }
 
-  // ============ Status ============
+  // ============ Editing ============
+  //
+  // Only tasks that haven't started can be edited. cancel() removes a queued
+  // task at once; a PROCESSING task is only flagged (cancelRequested), which
+  // its worker sees in heartbeat responses and the event stream. The worker
+  // then stops and calls fail (or complete, if it finished anyway); a failure
+  // or lease expiry on a flagged task ends it as CANCELLED without a retry.
+  // force: true drops a running task without waiting for its worker.
+  // Cancelling a recurring task ends the series.
 
-  getStatus() {
-    const pending = this.queue.filter(t => t.state === TASK_STATE.PENDING).length;
-    const processing = this.queue.filter(t => t.state === TASK_STATE.PROCESSING).length;
-    const completed = this.state.totalProcessed;
-    const failed = this.state.totalFailed;
-    const total = this.queue.length;
+  // Queued (not yet running) task by id
+  findEditable(taskId) {
+    return this.queue.find(t => t.id === taskId && t.state !== TASK_STATE.PROCESSING) || null;
+  }
+
+  cancel(taskId, { reason = null, force = false } = {}) {
+    const task = this.queue.find(t => t.id === taskId);
+    if (!task) return null;
     
-    return {
-      status: this.state.status,
-      queue: {
-        pending,
-        processing,
-        total
-      },
-      stats: {
-        completed,
-        failed,
-        lastProcessed: this.state.lastProcessed
-      },
-      currentTask: this.currentTask ? {
-        id: this.currentTask.id,
-        content: this.currentTask.content.substring(0, 100),
-        platform: this.currentTask.platform,
-        progress: this.progress[this.currentTask.id] || null
-      } : null
-    };
+    if (task.state === TASK_STATE.PROCESSING && !force) {
+      if (!task.cancelRequested) {
+        task.cancelRequested = { at: new Date().toISOString(), reason };
+        this.record('put', { task });
+        this.publish('cancelling', task, { reason, workerId: task.lease ? task.lease.workerId : null });
+        log(`Cancel requested: ${task.id} (worker ${task.lease ? task.lease.workerId : 'unknown'})`, 'yellow');
+      }
+      return task;
+    }
+    return this.finishCancelled(task, reason || (task.cancelRequested && task.cancelRequested.reason));
   }
 
-  // Format for chat
-  formatForChat() {
-    const status = this.getStatus();
+  finishCancelled(task, reason = null) {
+    const wasRunning = task.state === TASK_STATE.PROCESSING;
+    task.state = TASK_STATE.CANCELLED;
+    task.cancelledAt = new Date().toISOString();
+    task.error = reason ? `Cancelled: ${reason}` : 'Cancelled';
+    task.lease = null;
+    this.queue = this.queue.filter(t => t.id !== task.id);
+    delete this.progress[task.id];
+    this.updateStatus();
     
-    let msg = `📋 *Task Queue Status*\n\n`;
-    msg += `Status: ${status.status === 'processing' ? '⚙️ Processing' : '💤 Idle'}\n`;
-    msg += `Queue: ${status.queue.pending} pending, ${status.queue.processing} processing\n`;
-    msg += `Stats: ✅ ${status.stats.completed} completed, ❌ ${status.stats.failed} failed\n`;
+    this.record('del', { id: task.id });
+    if (wasRunning) this.record('progress', { id: task.id, progress: null });
+    this.record('state', { state: this.state });
+    this.noteFinished(task, TASK_STATE.CANCELLED);
+    this.publish('cancelled', task, { reason });
+    this.replyToOrigin(task, `🚫 ${task.error}`, true);
+    log(`Cancelled: ${task.id}${reason ? ` (${reason})` : ''}`, 'yellow');
+    this.resolveWaiting();
+    
+    if (this.config.autoProcess && this.state.status !== 'paused') this.fill();
+    return task;
+  }
+
+  // Change content, priority, metadata (merged) or when a queued task runs.
+  // Every field is checked before any is applied, so a rejected edit changes nothing.
+  update(taskId, changes = {}) {
+    const task = this.findEditable(taskId);
+    if (!task) return null;
+    const editable = ['content', 'priority', 'metadata', 'runAt', 'delayMs'];
+    const unknown = Object.keys(changes).find(k => !editable.includes(k));
+    if (unknown) throw new Error(`Cannot update ${unknown} (editable: ${editable.join(', ')})`);
     
-    if (status.currentTask) {
-      msg += `\n🔄 *Current Task:*\n`;
-      msg += `ID: ${status.currentTask.id}\n`;
-      msg += `Platform: ${status.currentTask.platform}\n`;
-      msg += `Content: ${status.currentTask.content}...\n`;
-      if (status.currentTask.progress) {
-        msg += `Progress: ${status.currentTask.progress.completed}/${status.currentTask.progress.total} sub-tasks\n`;
+    const patch = {};
+    if (changes.content !== undefined) {
+      if (typeof changes.content !== 'string' || !changes.content.trim()) throw new Error('content must be a non-empty string');
+      patch.content = changes.content;
+      patch.subTasks = parseSubTasks(task.id, changes.content);
+    }
+    if (changes.priority !== undefined) {
+      patch.priority = parsePriority(changes.priority);
+      patch.frontedAt = null;
+    }
+    if (changes.metadata !== undefined) {
+      if (!changes.metadata || typeof changes.metadata !== 'object' || Array.isArray(changes.metadata)) throw new Error('metadata must be an object');
+      patch.metadata = { ...task.metadata, ...changes.metadata };
+    }
+    if (changes.runAt !== undefined || changes.delayMs !== undefined) {
+      let due = null;
+      if (changes.runAt !== undefined && changes.runAt !== null) {
+        due = new Date(changes.runAt);
+        if (isNaN(due)) throw new Error(`Invalid runAt: ${changes.runAt}`);
+      } else if (changes.delayMs) {
+        const delayMs = Number(changes.delayMs);
+        if (!Number.isFinite(delayMs) || delayMs < 0) throw new Error(`Invalid delayMs: ${changes.delayMs}`);
+        due = new Date(Date.now() + delayMs);
+      }
+      patch.runAt = due ? due.toISOString() : null;
+      if (task.state !== TASK_STATE.WAITING) {
+        patch.state = due && due > new Date() ? TASK_STATE.SCHEDULED : TASK_STATE.PENDING;
       }
     }
     
-    return msg;
+    Object.assign(task, patch);
+    return this.saveEdit(task, Object.keys(changes));
   }
 
-  // ============ API Server ============
+  reprioritise(taskId, priority) {
+    return this.update(taskId, { priority });
+  }
+
+  // Next to be claimed, ahead of every priority; later moves go before earlier ones
+  moveToFront(taskId) {
+    const task = this.findEditable(taskId);
+    if (!task) return null;
+    task.frontedAt = Date.now();
+    return this.saveEdit(task, ['front']);
+  }
+
+  // Re-sort, journal and announce an edited task
+  saveEdit(task, fields) {
+    this.queue = this.queue.filter(t => t.id !== task.id);
+    this.insertByPriority(task);
+    task.updatedAt = new Date().toISOString();
+    this.record('put', { task });
+    this.publish('updated', task, { fields });
+    log(`Updated: ${task.id} (${fields.join(', ')})`, 'cyan');
+    if (this.config.autoProcess && this.state.status !== 'paused') this.fill();
+    return task;
+  }
+
+  // ============ Dependencies ============
+  //
+  // A task with dependsOn stays WAITING until every parent has completed.
+  // Parents must exist when the child is enqueued, so the graph can't have
+  // cycles. When a parent fails (or is skipped) the child's onParentFailure
+  // decides: 'skip' drops it, 'fail' fails it, 'run' runs it anyway once
+  // the remaining parents are done. Skips and failures cascade further down.
+  // Each waiting child keeps its parents' outcomes (parentOutcomes) as they
+  // finish, since `finished` only remembers the last FINISHED_LIMIT tasks.
+
+  // 'completed', 'failed', 'skipped' or 'cancelled' once finished, null while queued, undefined if unknown
+  parentOutcome(id) {
+    const task = this.queue.find(t => t.id === id);
+    if (task) return [TASK_STATE.COMPLETED, TASK_STATE.FAILED].includes(task.state) ? task.state : null;
+    if (this.finished[id]) return this.finished[id].state;
+    const [latest] = this.historyOf(id);
+    return latest ? latest.state : undefined;
+  }
+
+  rememberFinished(id, outcome) {
+    this.finished[id] = outcome;
+    const ids = Object.keys(this.finished);
+    for (const old of ids.slice(0, Math.max(0, ids.length - FINISHED_LIMIT))) delete this.finished[old];
+  }
 
-  startServer(port = 3850) {
-    const http = require('http');
+  noteFinished(task, state) {
+    const outcome = {
+      state,
+      content: task.content.substring(0, 100),
+      dependsOn: task.dependsOn || [],
+      finishedAt: new Date().toISOString()
+    };
+    this.rememberFinished(task.id, outcome);
+    this.record('finished', { id: task.id, outcome });
+    this.addHistory(task, state);
     
-    const server = http.createServer((req, res) => {
-      res.setHeader('Access-Control-Allow-Origin', '*');
-      res.setHeader('Content-Type', 'application/json');
-      
-      const url = new URL(req.url, `http://localhost:${port}`);
-      
-      // GET /status
-      if (req.method === 'GET' && url.pathname === '/status') {
-        res.end(JSON.stringify(this.getStatus()));
-        return;
-      }
-      
-      // GET /queue
-      if (req.method === 'GET' && url.pathname === '/queue') {
-        res.end(JSON.stringify(this.queue));
-        return;
-      }
-      
-      // POST /enqueue
-      if (req.method === 'POST' && url.pathname === '/enqueue') {
-        let body = '';
-        req.on('data', c => body += c);
-        req.on('end', () => {
-          try {
-            const data = JSON.parse(body);
-            const task = this.enqueue(data.content, {
-              platform: data.platform || 'api',
-              userId: data.userId,
-              priority: data.priority || PRIORITY.NORMAL,
-              metadata: data.metadata || {}
-            });
-            res.end(JSON.stringify({ success: true, taskId: task.id }));
-          } catch (e) {
-            res.statusCode = 400;
-            res.end(JSON.stringify({ error: e.message }));
-          }
-        });
-        return;
-      }
-      
-      // POST /complete
-      if (req.method === 'POST' && url.pathname === '/complete') {
-        let body = '';
-        req.on('data', c => body += c);
-        req.on('end', () => {
-          try {
-            const data = JSON.parse(body);
-            const result = this.completeTask(data.result);
-            res.end(JSON.stringify({ success: result }));
-          } catch (e) {
-            res.statusCode = 400;
-            res.end(JSON.stringify({ error: e.message }));
-          }
-        });
-        return;
-      }
-      
-      // POST /fail
-      if (req.method === 'POST' && url.pathname === '/fail') {
-        let body = '';
-        req.on('data', c => body += c);
-        req.on('end', () => {
-          try {
-            const data = JSON.parse(body);
-            const result = this.failTask(data.error);
-            res.end(JSON.stringify({ success: result }));
-          } catch (e) {
-            res.statusCode = 400;
-            res.end(JSON.stringify({ error: e.message }));
+    for (const child of this.queue.filter(t => t.state === TASK_STATE.WAITING && t.dependsOn.includes(task.id))) {
+      child.parentOutcomes = { ...child.parentOutcomes, [task.id]: state };
+      this.record('put', { task: child });
+    }
+  }
+
+  // Release, skip or fail WAITING tasks whose parents have settled; repeats so cascades reach grandchildren
+  resolveWaiting() {
+    let changed = true;
+    while (changed) {
+      changed = false;
+      for (const task of this.queue.filter(t => t.state === TASK_STATE.WAITING)) {
+        const outcomes = task.dependsOn.map(id => (task.parentOutcomes || {})[id] || this.parentOutcome(id));
+        const failedParent = task.dependsOn.find((id, i) => outcomes[i] && outcomes[i] !== TASK_STATE.COMPLETED);
+        
+        if (failedParent && task.onParentFailure !== 'run') {
+          const state = task.onParentFailure === 'fail' ? TASK_STATE.FAILED : TASK_STATE.SKIPPED;
+          task.state = state;
+          task.error = `Parent ${failedParent} ${outcomes[task.dependsOn.indexOf(failedParent)]}`;
+          this.queue = this.queue.filter(t => t.id !== task.id);
+          this.record('del', { id: task.id });
+          if (state === TASK_STATE.FAILED) {
+            this.state.totalFailed++;
+            this.record('state', { state: this.state });
+            this.noteFailure(task, task.error, 'dependency');
+            this.deadLetter(task);
           }
-        });
-        return;
-      }
-      
-      // POST /pause, /resume, /clear
-      if (req.method === 'POST') {
-        if (url.pathname === '/pause') {
-          this.pause();
-          res.end(JSON.stringify({ success: true }));
-          return;
-        }
-        if (url.pathname === '/resume') {
-          this.resume();
-          res.end(JSON.stringify({ success: true }));
-          return;
-        }
-        if (url.pathname === '/clear') {
-          this.clear();
-          res.end(JSON.stringify({ success: true }));
-          return;
+          this.noteFinished(task, state);
+          this.publish(state === TASK_STATE.FAILED ? 'failed' : 'skipped', task, { error: task.error, errorClass: 'dependency' });
+          this.replyToOrigin(task, `${state === TASK_STATE.FAILED ? '❌ Failed' : '⏭️ Skipped'}: ${task.error}`, true);
+          log(`${state === TASK_STATE.FAILED ? 'Failed' : 'Skipped'}: ${task.id} (${task.error})`, state === TASK_STATE.FAILED ? 'red' : 'yellow');
+          changed = true;
+        } else if (outcomes.every(o => o !== null && o !== undefined)) {
+          task.state = task.runAt && new Date(task.runAt) > new Date() ? TASK_STATE.SCHEDULED : TASK_STATE.PENDING;
+          this.record('put', { task });
+          log(`Ready: ${task.id} (dependencies settled)`, 'cyan');
+          changed = true;
         }
       }
-      
-      res.statusCode = 404;
-      res.end(JSON.stringify({ error: 'Not found' }));
-    });
-    
-    server.listen(port, () => {
-      log(`Task Queue server: http://localhost:${port}`, 'cyan');
-    });
+    }
+  }
+
+  // Dependency tree around a task: parents upward, children downward
+  graph(taskId) {
+    const node = (id) => {
+      const task = this.queue.find(t => t.id === id);
+      if (task) {
+        return { id, state: task.state, content: task.content.substring(0, 100), dependsOn: task.dependsOn || [], onParentFailure: task.onParentFailure };
+      }
+      return this.finished[id] ? { id, ...this.finished[id] } : { id, state: 'unknown', dependsOn: [] };
+    };
+    const known = [...this.queue.map(t => t.id), ...Object.keys(this.finished)];
+    const up = (id) => {
+      const n = node(id);
+      return { ...n, parents: n.dependsOn.map(up) };
+    };
+    const down = (id) => known
+      .filter(child => node(child).dependsOn.includes(id))
+      .map(child => ({ ...node(child), children: down(child) }));
     
-    return server;
+    const root = node(taskId);
+    if (root.state === 'unknown') return null;
+    return { ...root, parents: root.dependsOn.map(up), children: down(taskId) };
   }
 
-  shutdown() {
-    if (this.saveInterval) {
-      clearInterval(this.saveInterval);
+  // ============ Retry Policies ============
+  //
+  // A policy is { strategy, delay, factor, maxDelay, jitter, maxRetries, byClass }.
+  // The task's own `retry` is layered over config.retryPolicy, then the entry
+  // for the error class in byClass over that. 'fixed' waits `delay` (default
+  // retryDelay) every time, 'exponential' doubles it (by `factor`) up to
+  // maxDelay with +/- jitter, 'none' fails the task on the first error.
+
+  retryPolicy(task, errorClass) {
+    const base = { delay: this.config.retryDelay, maxRetries: this.config.maxRetries, ...this.config.retryPolicy };
+    const own = task.retry || {};
+    const byClass = { ...(base.byClass || {}), ...(own.byClass || {}) };
+    return { ...base, ...own, ...(byClass[errorClass] || {}), byClass };
+  }
+
+  // Whether the task gets another attempt after its latest failure, and after how long
+  retryDecision(task, errorClass) {
+    const policy = this.retryPolicy(task, errorClass);
+    const maxRetries = policy.maxRetries;
+    if (policy.strategy === 'none' || task.retryCount >= maxRetries) return { retry: false, policy, maxRetries };
+    
+    let delay = policy.delay;
+    if (policy.strategy === 'exponential') {
+      delay = Math.min(policy.maxDelay, policy.delay * Math.pow(policy.factor, task.retryCount - 1));
+      const jitter = policy.jitter || 0;
+      delay = Math.round(delay * (1 - jitter + Math.random() * 2 * jitter));
     }
-    this.persist();
-    log('Task Queue saved and shutdown', 'gray');
+    if (!Number.isFinite(delay)) {
+      // Only reachable for policies stored before validation existed
+      log(`Retry delay for ${task.id} is not a number, using retryDelay`, 'yellow');
+      delay = this.config.retryDelay;
+    }
+    return { retry: true, delay: Math.max(0, delay), policy, maxRetries };
   }
-}
 
-// CLI
-function main() {
-  const args = process.argv.slice(2);
-  const cmd = args[0];
-  
-  let config = DEFAULT_CONFIG;
-  const configPath = path.join(CONFIG_DIR, 'config.json');
-  if (fs.existsSync(configPath)) {
-    try { config = { ...config, ...JSON.parse(fs.readFileSync(configPath, 'utf8')) }; }
-    catch (e) {}
+  // ============ Dead Letters ============
+  //
+  // A task that fails for good (out of retries, out of leases, or failed by
+  // a parent) is kept here with its full failure history instead of being
+  // dropped. Replay puts it back on the queue with a fresh retry budget.
+
+  // Append an attempt to the task's failure history (call before clearing the lease)
+  noteFailure(task, error, errorClass = classifyError(error)) {
+    task.failures = [...(task.failures || []), {
+      attempt: task.retryCount,
+      error: typeof error === 'string' ? error : JSON.stringify(error),
+      errorClass,
+      workerId: task.lease ? task.lease.workerId : null,
+      startedAt: task.startedAt,
+      failedAt: new Date().toISOString()
+    }];
   }
-  
-  const queue = new TaskQueue(config);
-  
-  switch (cmd) {
-    case 'enqueue':
+
+  addDeadLetter(entry) {
+    this.deadLetters = this.deadLetters.filter(e => e.id !== entry.id);
+    this.deadLetters.push(entry);
+    const excess = this.deadLetters.length - this.config.deadLetterLimit;
+    if (excess > 0) this.deadLetters.splice(0, excess);
+  }
+
+  deadLetter(task) {
+    const entry = {
+      id: task.id,
+      failedAt: new Date().toISOString(),
+      error: task.error,
+      attempts: task.retryCount,
+      task: { ...task, lease: null }
+    };
+    this.addDeadLetter(entry);
+    this.record('dead', { entry });
+  }
+
+  getDeadLetter(id) {
+    return this.deadLetters.find(e => e.id === id) || null;
+  }
+
+  // Put a dead letter back on the queue (same id, retry count reset)
+  replayDeadLetter(id) {
+    const entry = this.getDeadLetter(id);
+    if (!entry) return null;
+    if (this.queue.some(t => t.id === id)) return null;
+    
+    const task = {
+      ...entry.task,
+      state: TASK_STATE.PENDING,
+      error: undefined,
+      retryCount: 0,
+      nextAttemptAt: null,
+      startedAt: null,
+      completedAt: null,
+      dependsOn: [],        // Parents already settled; replay is explicit
+      repeat: null,         // The series moved on when this occurrence failed
+      replays: (entry.task.replays || 0) + 1,
+      replayedAt: new Date().toISOString()
+    };
+    this.deadLetters = this.deadLetters.filter(e => e.id !== id);
+    this.insertByPriority(task);
+    this.record('undead', { id });
+    this.record('put', { task });
+    log(`Replayed: ${id}`, 'green');
+    
+    if (this.config.autoProcess && this.state.status !== 'paused') this.fill();
+    return task;
+  }
+
+  // Remove one dead letter, or all of them without an id
+  purgeDeadLetters(id = null) {
+    const ids = id ? this.deadLetters.filter(e => e.id === id).map(e => e.id) : this.deadLetters.map(e => e.id);
+    for (const purged of ids) this.record('undead', { id: purged });
+    this.deadLetters = this.deadLetters.filter(e => !ids.includes(e.id));
+    if (ids.length) log(`Purged ${ids.length} dead letter(s)`, 'yellow');
+    return ids.length;
+  }
+
+  // ============ Events ============
+  //
+  // Every change worth pushing is published as { id, type, at, task?, ... }
+  // and emitted as 'event'. Ids are "<epoch>-<seq>": seq counts up from 1 per
+  // process and the epoch changes with it. The last `eventBuffer` events are
+  // kept so a client can resume after a dropped connection. If it can't
+  // (server restarted, or it fell too far behind) it gets a 'reset' event and
+  // should refetch /status.
+
+  publish(type, task = null, extra = {}) {
+    const seq = ++this.eventSeq;
+    const event = { id: `${this.eventEpoch}-${seq}`, seq, type, queue: this.name, at: new Date().toISOString(), ...extra };
+    if (task) {
+      event.task = {
+        id: task.id,
+        state: task.state,
+        platform: task.platform,
+        userId: task.userId,
+        priority: task.priority,
+        content: task.content.substring(0, 100)
+      };
+    }
+    this.events.push(event);
+    if (this.events.length > this.config.eventBuffer) this.events.shift();
+    this.emit('event', event);
+    return event;
+  }
+
+  // Events after lastId, or null if they are no longer available
+  eventsSince(lastId) {
+    const match = /^([0-9a-f]+)-(\d+)$/.exec(String(lastId));
+    if (!match || match[1] !== this.eventEpoch) return null;  // An id from another process
+    const lastSeq = parseInt(match[2]);
+    if (lastSeq > this.eventSeq) return null;
+    const oldest = this.events.length ? this.events[0].seq : this.eventSeq + 1;
+    if (lastSeq < oldest - 1) return null;
+    return this.events.filter(e => e.seq > lastSeq);
+  }
+
+  // Attach a stream: replay what the client missed, then push new events. Returns the unsubscribe function.
+  subscribe(send, { lastEventId = null, types = null } = {}) {
+    const wanted = (e) => !types || types.includes(e.type);
+    if (lastEventId !== null) {
+      const missed = this.eventsSince(lastEventId);
+      if (missed) missed.filter(wanted).forEach(send);
+      else send({ id: `${this.eventEpoch}-${this.eventSeq}`, seq: this.eventSeq, type: 'reset', at: new Date().toISOString(), reason: 'Events since that id are no longer available; refetch /status' });
+    }
+    const listener = (e) => { if (wanted(e)) send(e); };
+    this.on('event', listener);
+    return () => this.off('event', listener);
+  }
+
+  // ============ Chat Ingestion ============
+
+  // Post a result back into the chat a task came from (tasks from /ingest carry metadata.replyTo)
+  replyToOrigin(task, text, isFailure = false) {
+    const replyTo = task.metadata && task.metadata.replyTo;
+    const ingest = this.config.ingest || {};
+    if (!replyTo || (isFailure && ingest.replyOnFailure === false)) return;
+    sendReply(replyTo, text, ingest)
+      .then(() => log(`Replied on ${replyTo.platform}: ${task.id}`, 'gray'))
+      .catch(e => log(`Reply to ${replyTo.platform} failed for ${task.id}: ${e.message}`, 'yellow'));
+  }
+
+  // Queue a verified inbound chat message; returns the platform's webhook response
+  ingest(parsed) {
+    if (!parsed.content) return parsed.ack('Nothing to queue: send some text');
+    const rules = (this.config.ingest || {}).priority;
+    const task = this.enqueue(parsed.content, {
+      platform: parsed.platform,
+      userId: parsed.userId,
+      priority: derivePriority(parsed.userId, parsed.content, parsed.roles, rules),
+      metadata: { replyTo: parsed.replyTo, chat: parsed.chat },
+      messageId: parsed.messageId
+    });
+    if (task.duplicate) return parsed.ack(`Already queued as ${task.id} (${task.state})`);
+    const position = this.queue.filter(t => t.state === TASK_STATE.PENDING).indexOf(task) + 1;
+    return parsed.ack(`📥 Queued as ${task.id}${position > 0 ? ` (#${position} in line)` : ''}`);
+  }
+
+  // ============ History ============
+  //
+  // Every finished task (completed, failed, skipped or cancelled) is appended
+  // to history.jsonl with its content, result or error, platform and timings.
+  // It lives outside the journal and snapshots, so it can hold far more than
+  // the live queue. Entries older than `historyMaxAge` or beyond `historyLimit`
+  // are dropped from memory as new ones arrive; the file is rewritten once
+  // enough of them pile up, and on load.
+
+  loadHistory() {
+    if (!fs.existsSync(this.files.history)) return;
+    const lines = fs.readFileSync(this.files.history, 'utf8').split('\n').filter(Boolean);
+    let damaged = 0;
+    for (const line of lines) {
+      try { this.history.push(JSON.parse(line)); }
+      catch (e) { damaged++; }  // Usually a torn last line
+    }
+    if (damaged) log(`History: dropped ${damaged} damaged line(s)`, 'yellow');
+    if (this.pruneHistory() || damaged) this.writeHistory();
+  }
+
+  addHistory(task, state) {
+    const finishedAt = new Date();
+    const entry = {
+      id: task.id,
+      queue: this.name,
+      state,
+      content: task.content,
+      result: state === TASK_STATE.COMPLETED && task.result !== undefined ? task.result : null,
+      error: state === TASK_STATE.COMPLETED ? null : (task.error || null),
+      platform: task.platform,
+      userId: task.userId,
+      priority: task.priority,
+      metadata: task.metadata,
+      retries: task.retryCount,
+      createdAt: task.createdAt,
+      startedAt: task.startedAt,
+      finishedAt: finishedAt.toISOString(),
+      waitMs: task.startedAt ? task.waitedMs : null,
+      runMs: task.startedAt ? finishedAt - new Date(task.startedAt) : null
+    };
+    this.history.push(entry);
+    fs.appendFileSync(this.files.history, JSON.stringify(entry) + '\n');
+    this.historyDropped += this.pruneHistory();
+    if (this.historyDropped >= Math.max(100, this.config.historyLimit / 10)) this.writeHistory();
+  }
+
+  // Drop expired and surplus entries from memory; returns how many
+  pruneHistory() {
+    const before = this.history.length;
+    if (this.config.historyMaxAge) {
+      const cutoff = Date.now() - this.config.historyMaxAge;
+      const keepFrom = this.history.findIndex(e => new Date(e.finishedAt).getTime() >= cutoff);
+      this.history = keepFrom === -1 ? [] : this.history.slice(keepFrom);
+    }
+    if (this.config.historyLimit && this.history.length > this.config.historyLimit) {
+      this.history = this.history.slice(-this.config.historyLimit);
+    }
+    return before - this.history.length;
+  }
+
+  // Rewrite history.jsonl with what is in memory (temp file + rename)
+  writeHistory() {
+    const tmp = `${this.files.history}.tmp`;
+    fs.writeFileSync(tmp, this.history.map(e => JSON.stringify(e) + '\n').join(''));
+    fs.renameSync(tmp, this.files.history);
+    this.historyDropped = 0;
+  }
+
+  // See searchHistory()
+  searchHistory(query = {}) {
+    return searchHistory([this], query);
+  }
+
+  // Every run of a task id, newest first (a replayed dead letter finishes more than once)
+  historyOf(id) {
+    return this.history.filter(e => e.id === id).reverse();
+  }
+
+  // ============ Metrics ============
+  //
+  // Every task that finishes after running leaves a sample with its wait
+  // (ready -> started, see readySince) and run (started -> finished) times.
+  // Samples older than the longest window, or beyond metricsSamples, are
+  // dropped. Tasks skipped or failed by a parent never ran and aren't sampled.
+
+  recordSample(task, outcome) {
+    const started = task.startedAt ? new Date(task.startedAt).getTime() : null;
+    const sample = {
+      at: new Date().toISOString(),
+      platform: task.platform,
+      outcome,
+      waitMs: task.waitedMs !== undefined ? task.waitedMs : (started ? started - this.readySince(task) : null),
+      runMs: started ? Date.now() - started : null
+    };
+    this.addSample(sample);
+    this.record('sample', { sample });
+  }
+
+  addSample(sample) {
+    this.samples.push(sample);
+    const horizon = Date.now() - Math.max(...Object.values(this.config.metricsWindows));
+    let drop = Math.max(0, this.samples.length - this.config.metricsSamples);
+    while (drop < this.samples.length && new Date(this.samples[drop].at).getTime() < horizon) drop++;
+    if (drop) this.samples.splice(0, drop);
+  }
+
+  getMetrics() {
+    const now = Date.now();
+    const windows = {};
+    for (const [name, ms] of Object.entries(this.config.metricsWindows)) {
+      const inWindow = this.samples.filter(s => now - new Date(s.at).getTime() <= ms);
+      const completed = inWindow.filter(s => s.outcome === 'completed').length;
+      const failed = inWindow.length - completed;
+      const minutes = ms / 60000;
+      const byPlatform = {};
+      for (const s of inWindow) {
+        const p = byPlatform[s.platform] = byPlatform[s.platform] || { completed: 0, failed: 0 };
+        p[s.outcome]++;
+      }
+      for (const p of Object.values(byPlatform)) p.throughputPerMin = round((p.completed + p.failed) / minutes);
+      windows[name] = {
+        seconds: ms / 1000,
+        completed,
+        failed,
+        failureRate: inWindow.length ? round(failed / inWindow.length) : 0,
+        throughputPerMin: round(inWindow.length / minutes),
+        byPlatform,
+        waitMs: percentiles(inWindow.map(s => s.waitMs)),
+        runMs: percentiles(inWindow.map(s => s.runMs))
+      };
+    }
+    
+    const count = (state) => this.queue.filter(t => t.state === state).length;
+    return {
+      generatedAt: new Date(now).toISOString(),
+      status: this.state.status,
+      queue: {
+        pending: count(TASK_STATE.PENDING),
+        processing: count(TASK_STATE.PROCESSING),
+        scheduled: count(TASK_STATE.SCHEDULED),
+        waiting: count(TASK_STATE.WAITING),
+        deadLetters: this.deadLetters.length
+      },
+      workers: { limit: this.config.workers, busy: count(TASK_STATE.PROCESSING) },
+      totals: { completed: this.state.totalProcessed, failed: this.state.totalFailed },
+      windows
+    };
+  }
+
+  // Prometheus text for this queue (see formatPrometheus)
+  formatPrometheus() {
+    return formatPrometheus([this]);
+  }
+
+  // ============ Status ============
+
+  getStatus() {
+    const pending = this.queue.filter(t => t.state === TASK_STATE.PENDING).length;
+    const scheduled = this.queue.filter(t => t.state === TASK_STATE.SCHEDULED);
+    const waiting = this.queue.filter(t => t.state === TASK_STATE.WAITING).length;
+    const now = new Date();
+    const processing = this.queue.filter(t => t.state === TASK_STATE.PROCESSING).length;
+    const completed = this.state.totalProcessed;
+    const failed = this.state.totalFailed;
+    const total = this.queue.length;
+    
+    return {
+      name: this.name,
+      status: this.state.status,
+      queue: {
+        pending,
+        processing,
+        scheduled: scheduled.length,
+        waiting,
+        total,
+        deadLetters: this.deadLetters.length
+      },
+      nextScheduled: scheduled.length
+        ? scheduled.reduce((a, b) => new Date(a.runAt) <= new Date(b.runAt) ? a : b).runAt
+        : null,
+      stats: {
+        completed,
+        failed,
+        lastProcessed: this.state.lastProcessed
+      },
+      workers: { limit: this.config.workers, busy: processing },
+      activeTasks: this.activeTasks().map(t => ({
+        id: t.id,
+        content: t.content.substring(0, 100),
+        platform: t.platform,
+        userId: t.userId,
+        lease: t.lease,
+        waitedMs: t.waitedMs,
+        progress: this.progress[t.id] || null
+      })),
+      // Pending tasks in the order they would be claimed (ignoring caps and backoff)
+      nextUp: this.queue
+        .filter(t => t.state === TASK_STATE.PENDING)
+        .sort((a, b) => this.compareTasks(a, b, now))
+        .slice(0, 10)
+        .map(t => ({
+          id: t.id,
+          content: t.content.substring(0, 100),
+          platform: t.platform,
+          userId: t.userId,
+          priority: t.priority,
+          effectivePriority: this.effectivePriority(t, now),
+          waitMs: now - this.readySince(t)
+        })),
+      persistence: {
+        seq: this.seq,
+        journalRecords: this.journalRecords,
+        lastCompaction: this.lastCompaction || null,
+        recovery: this.recovery
+      }
+    };
+  }
+
+  // Format for chat
+  formatForChat() {
+    const status = this.getStatus();
+    
+    let msg = `📋 *Task Queue Status*\n\n`;
+    msg += `Status: ${status.status === 'processing' ? '⚙️ Processing' : '💤 Idle'}\n`;
+    msg += `Queue: ${status.queue.pending} pending, ${status.queue.processing}/${status.workers.limit} processing\n`;
+    msg += `Stats: ✅ ${status.stats.completed} completed, ❌ ${status.stats.failed} failed\n`;
+    if (status.queue.deadLetters) {
+      msg += `☠️ Dead letters: ${status.queue.deadLetters}\n`;
+    }
+    if (status.queue.waiting) {
+      msg += `Waiting on dependencies: ${status.queue.waiting}\n`;
+    }
+    if (status.queue.scheduled) {
+      msg += `Scheduled: ${status.queue.scheduled} (next ${status.nextScheduled})\n`;
+    }
+    if (status.persistence.recovery.errors.length) {
+      msg += `⚠️ Recovery problems: ${status.persistence.recovery.errors.join('; ')}\n`;
+    }
+    
+    if (status.nextUp.length) {
+      msg += `\n⏳ *Next Up:*\n`;
+      for (const task of status.nextUp.slice(0, 5)) {
+        const aged = task.effectivePriority !== task.priority ? ` → ${priorityName(task.effectivePriority)}` : '';
+        msg += `${priorityName(task.priority)}${aged} · waiting ${formatWait(task.waitMs)} · ${task.platform}/${task.userId} · ${task.content.substring(0, 40)}\n`;
+      }
+    }
+    
+    for (const task of status.activeTasks) {
+      msg += `\n🔄 *Active Task:*\n`;
+      msg += `ID: ${task.id}\n`;
+      msg += `Platform: ${task.platform}\n`;
+      if (task.waitedMs !== undefined) msg += `Waited: ${formatWait(task.waitedMs)}\n`;
+      if (task.lease) {
+        msg += `Worker: ${task.lease.workerId} (lease until ${task.lease.expiresAt})\n`;
+      }
+      msg += `Content: ${task.content}...\n`;
+      if (task.progress) {
+        msg += `Progress: ${task.progress.completed}/${task.progress.total} sub-tasks\n`;
+      }
+    }
+    
+    return msg;
+  }
+
+  // ============ API Server ============
+  //
+  // Routes for one queue. The server (see startServer) reads the body, picks
+  // the queue and calls this with the path below /queues/<name>; `route`
+  // picks the queue for new tasks on the top-level /enqueue and /ingest
+  // routes. Returns false if nothing matched. Errors thrown here become 400s.
+
+  handleRequest(req, res, url, pathname, body, route = null) {
+    const data = () => (body ? JSON.parse(body) : {});
+    const idMatch = (pattern) => {
+      const m = pathname.match(pattern);
+      return m && decodeURIComponent(m[1]);
+    };
+    
+    // GET /status
+    if (req.method === 'GET' && pathname === '/status') {
+      res.end(JSON.stringify(this.getStatus()));
+      return true;
+    }
+    
+    // GET /metrics (Prometheus text; JSON with ?format=json or Accept: application/json)
+    if (req.method === 'GET' && pathname === '/metrics') {
+      if (url.searchParams.get('format') === 'json' || /application\/json/.test(req.headers.accept || '')) {
+        res.end(JSON.stringify(this.getMetrics()));
+      } else {
+        res.setHeader('Content-Type', 'text/plain; version=0.0.4');
+        res.end(this.formatPrometheus());
+      }
+      return true;
+    }
+    
+    // GET /history?q=&platform=&user=&state=&since=&until=&limit=&offset=
+    if (req.method === 'GET' && pathname === '/history') {
+      res.end(JSON.stringify(this.searchHistory(Object.fromEntries(url.searchParams))));
+      return true;
+    }
+    
+    // GET /history/:id
+    const historyId = idMatch(/^\/history\/([^/]+)$/);
+    if (req.method === 'GET' && historyId) {
+      const entries = this.historyOf(historyId);
+      if (!entries.length) res.statusCode = 404;
+      res.end(JSON.stringify(entries.length ? entries : { error: 'No history for that id' }));
+      return true;
+    }
+    
+    // GET /queue
+    if (req.method === 'GET' && pathname === '/queue') {
+      res.end(JSON.stringify(this.queue));
+      return true;
+    }
+    
+    // GET /scheduled
+    if (req.method === 'GET' && pathname === '/scheduled') {
+      res.end(JSON.stringify(this.scheduledTasks()));
+      return true;
+    }
+    
+    // DELETE /scheduled/:id
+    const scheduledId = idMatch(/^\/scheduled\/([^/]+)$/);
+    if (req.method === 'DELETE' && scheduledId) {
+      const removed = this.unschedule(scheduledId);
+      if (!removed) res.statusCode = 404;
+      res.end(JSON.stringify(removed ? { success: true } : { error: 'No scheduled task with that id' }));
+      return true;
+    }
+    
+    // GET /graph/:id
+    const graphId = idMatch(/^\/graph\/([^/]+)$/);
+    if (req.method === 'GET' && graphId) {
+      const graph = this.graph(graphId);
+      if (!graph) res.statusCode = 404;
+      res.end(JSON.stringify(graph || { error: 'Unknown task' }));
+      return true;
+    }
+    
+    // GET /deadletter, GET /deadletter/:id, POST /deadletter/:id/replay, DELETE /deadletter[/:id]
+    const deadMatch = pathname.match(/^\/deadletter(?:\/([^/]+))?(\/replay)?$/);
+    if (deadMatch) {
+      const id = deadMatch[1] ? decodeURIComponent(deadMatch[1]) : null;
+      if (req.method === 'GET' && !deadMatch[2]) {
+        const found = id ? this.getDeadLetter(id) : this.deadLetters;
+        if (!found) res.statusCode = 404;
+        res.end(JSON.stringify(found || { error: 'No dead letter with that id' }));
+        return true;
+      }
+      if (req.method === 'POST' && id && deadMatch[2]) {
+        const task = this.replayDeadLetter(id);
+        if (!task) res.statusCode = 404;
+        res.end(JSON.stringify(task ? { success: true, taskId: task.id } : { error: 'No dead letter with that id (or task already queued)' }));
+        return true;
+      }
+      if (req.method === 'DELETE' && !deadMatch[2]) {
+        const purged = this.purgeDeadLetters(id);
+        if (id && !purged) res.statusCode = 404;
+        res.end(JSON.stringify({ success: purged > 0 || !id, purged }));
+        return true;
+      }
+    }
+    
+    // GET /events (Server-Sent Events)
+    if (req.method === 'GET' && pathname === '/events') {
+      const options = eventStreamOptions(url, req.headers['last-event-id']);
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+      });
+      res.write(': connected\n\n');
+      const unsubscribe = this.subscribe(
+        (e) => res.write(`id: ${e.id}\nevent: ${e.type}\ndata: ${JSON.stringify(e)}\n\n`),
+        options
+      );
+      const ping = setInterval(() => res.write(': ping\n\n'), 15000);
+      // The body was read before routing, so req has already closed; the response closes on disconnect
+      res.on('close', () => { clearInterval(ping); unsubscribe(); });
+      return true;
+    }
+    
+    // POST /subtask/:id/complete
+    const subTaskId = idMatch(/^\/subtask\/([^/]+)\/complete$/);
+    if (req.method === 'POST' && subTaskId) {
+      const done = this.completeSubTask(subTaskId);
+      if (!done) res.statusCode = 404;
+      res.end(JSON.stringify(done ? { success: true } : { error: 'No such sub-task on an active task' }));
+      return true;
+    }
+    
+    // POST /ingest/discord, /ingest/telegram, /ingest/lark
+    const platform = idMatch(/^\/ingest\/(discord|telegram|lark)$/);
+    if (req.method === 'POST' && platform) {
+      const parsed = parseIngest(platform, req, body, this.config.ingest || {});
+      if (parsed.error) {
+        log(`Rejected ${platform} webhook: ${parsed.error}`, 'yellow');
+        res.statusCode = parsed.status;
+        res.end(JSON.stringify({ error: parsed.error }));
+        return true;
+      }
+      const target = route && !parsed.response
+        ? route(parsed.content, { platform, userId: parsed.userId, metadata: { chat: parsed.chat } })
+        : this;
+      res.end(JSON.stringify(parsed.response || target.ingest(parsed)));
+      return true;
+    }
+    
+    // POST /enqueue
+    if (req.method === 'POST' && pathname === '/enqueue') {
+      const input = data();
+      const options = {
+        platform: input.platform || 'api',
+        userId: input.userId,
+        priority: input.priority || PRIORITY.NORMAL,
+        metadata: input.metadata || {},
+        runAt: input.runAt,
+        delayMs: input.delayMs,
+        repeat: input.repeat,
+        dependsOn: input.dependsOn,
+        onParentFailure: input.onParentFailure,
+        retry: input.retry,
+        idempotencyKey: input.idempotencyKey || req.headers['idempotency-key'],
+        messageId: input.messageId
+      };
+      const target = route ? route(input.content, options) : this;
+      const task = target.enqueue(input.content, options);
+      res.end(JSON.stringify({ success: true, taskId: task.id, queue: target.name, state: task.state, runAt: task.runAt, duplicate: !!task.duplicate }));
+      return true;
+    }
+    
+    // POST /claim {workerId, leaseMs}
+    if (req.method === 'POST' && pathname === '/claim') {
+      const input = data();
+      const task = this.claim(input.workerId || 'api', input.leaseMs ?? this.config.leaseTimeout);
+      res.end(JSON.stringify({ task: task || null }));
+      return true;
+    }
+    
+    // POST /heartbeat/:id {workerId, leaseMs}
+    const heartbeatId = idMatch(/^\/heartbeat\/([^/]+)$/);
+    if (req.method === 'POST' && heartbeatId) {
+      const input = data();
+      const lease = this.heartbeat(heartbeatId, input.workerId, input.leaseMs ?? this.config.leaseTimeout);
+      if (!lease) res.statusCode = 409;
+      const cancelRequested = lease ? this.findActive(heartbeatId).cancelRequested || null : null;
+      res.end(JSON.stringify(lease ? { success: true, lease, cancelRequested } : { error: 'Lease not held (task finished, expired or claimed by another worker)' }));
+      return true;
+    }
+    
+    // PATCH /task/:id {content, priority, metadata, runAt, delayMs}, DELETE /task/:id {reason, force},
+    // POST /task/:id/priority {priority}, POST /task/:id/front
+    const taskMatch = pathname.match(/^\/task\/([^/]+)(?:\/(priority|front))?$/);
+    if (taskMatch) {
+      const id = decodeURIComponent(taskMatch[1]);
+      const input = data();
+      let task;
+      if (req.method === 'PATCH' && !taskMatch[2]) task = this.update(id, input);
+      else if (req.method === 'DELETE' && !taskMatch[2]) task = this.cancel(id, { reason: input.reason, force: !!input.force || url.searchParams.get('force') === 'true' });
+      else if (req.method === 'POST' && taskMatch[2] === 'priority') task = this.reprioritise(id, input.priority);
+      else if (req.method === 'POST' && taskMatch[2] === 'front') task = this.moveToFront(id);
+      else return false;
+      if (!task) res.statusCode = 404;
+      res.end(JSON.stringify(task ? { success: true, task } : { error: req.method === 'DELETE' ? 'No queued or active task with that id' : 'No queued task with that id (running tasks cannot be edited)' }));
+      return true;
+    }
+    
+    // POST /complete {id, result, workerId}
+    if (req.method === 'POST' && pathname === '/complete') {
+      const input = data();
+      if (!input.id) throw new Error('id required');
+      const result = this.completeTask(input.id, input.result, input.workerId);
+      if (!result) res.statusCode = 409;
+      res.end(JSON.stringify(result ? { success: true } : { success: false, error: 'Task not active (unknown, finished, or leased to another worker)' }));
+      return true;
+    }
+    
+    // POST /fail {id, error, workerId, errorClass}
+    if (req.method === 'POST' && pathname === '/fail') {
+      const input = data();
+      if (!input.id) throw new Error('id required');
+      const result = this.failTask(input.id, input.error, input.workerId, input.errorClass);
+      if (!result) res.statusCode = 409;
+      res.end(JSON.stringify(result ? { success: true } : { success: false, error: 'Task not active (unknown, finished, or leased to another worker)' }));
+      return true;
+    }
+    
+    // POST /pause, /resume, /clear
+    if (req.method === 'POST') {
+      if (pathname === '/pause') {
+        this.pause();
+        res.end(JSON.stringify({ success: true }));
+        return true;
+      }
+      if (pathname === '/resume') {
+        this.resume();
+        res.end(JSON.stringify({ success: true }));
+        return true;
+      }
+      if (pathname === '/clear') {
+        this.clear();
+        res.end(JSON.stringify({ success: true }));
+        return true;
+      }
+    }
+    
+    return false;
+  }
+
+  shutdown() {
+    clearInterval(this.reapTimer);
+    clearInterval(this.schedulerTimer);
+    this.persist();
+    log('Task Queue saved and shutdown', 'gray');
+  }
+}
+
+// ============ Named Queues ============
+//
+// config.queues names extra queues, each with its own directory, pause state
+// and config overrides ({ chat: { workers: 4 }, deploy: { maxRetries: 1 } });
+// the default queue always exists. config.routes sends new tasks to a queue:
+// the first rule whose fields all match wins, otherwise the default queue.
+//   { queue: 'deploy', platform: 'lark', userId: [...], metadata: { kind: 'deploy' }, content: '^/deploy' }
+
+class QueueRouter {
+  constructor(config = {}) {
+    this.config = config;
+    this.queues = {};  // Opened on first use
+    this.names = [DEFAULT_QUEUE, ...Object.keys(config.queues || {}).filter(n => n !== DEFAULT_QUEUE)];
+    for (const name of this.names) {
+      if (!/^[a-z0-9][a-z0-9_-]*$/i.test(name)) throw new Error(`Invalid queue name: ${name}`);
+    }
+    this.routes = (config.routes || []).map((rule, i) => {
+      if (!this.names.includes(rule.queue)) throw new Error(`Route ${i + 1} targets unknown queue: ${rule.queue}`);
+      return { ...rule, pattern: rule.content ? new RegExp(rule.content, 'i') : null };
+    });
+  }
+
+  get(name = DEFAULT_QUEUE) {
+    if (!this.names.includes(name)) throw new Error(`Unknown queue: ${name} (have ${this.names.join(', ')})`);
+    if (!this.queues[name]) {
+      const dir = name === DEFAULT_QUEUE ? CONFIG_DIR : path.join(CONFIG_DIR, 'queues', name);
+      this.queues[name] = new TaskQueue(mergeConfig(this.config, (this.config.queues || {})[name]), name, dir);
+    }
+    return this.queues[name];
+  }
+
+  all() {
+    return this.names.map(name => this.get(name));
+  }
+
+  // Queue name for a new task
+  route(content, { platform, userId, metadata = {} } = {}) {
+    const matches = (expected, actual) => expected === undefined || [].concat(expected).includes(actual);
+    const rule = this.routes.find(r =>
+      matches(r.platform, platform) &&
+      matches(r.userId, userId) &&
+      Object.entries(r.metadata || {}).every(([key, value]) => matches(value, metadata[key])) &&
+      (!r.pattern || r.pattern.test(content || '')));
+    return rule ? rule.queue : DEFAULT_QUEUE;
+  }
+
+  // Queue that holds (or held) a task or sub-task id; the default queue if none does
+  owner(id) {
+    if (!id) return this.get();
+    const taskId = id.replace(/_sub_\d+$/, '');
+    return this.all().find(q =>
+      q.queue.some(t => t.id === taskId) || q.finished[taskId] || q.getDeadLetter(taskId)) || this.get();
+  }
+
+  // Compact every open queue with journal records since its last snapshot
+  checkpoint() {
+    Object.values(this.queues).filter(q => q.journalRecords > 0).forEach(q => q.persist());
+  }
+
+  shutdown() {
+    Object.values(this.queues).forEach(q => q.shutdown());
+  }
+}
+
+// One server for all queues: /queues/<name>/<route>, and the original
+// top-level routes, which act on the default queue except that new tasks
+// are routed and task-id routes go to the queue holding the task.
+function startServer(router, port = 3850) {
+  const http = require('http');
+  
+  const server = http.createServer((req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Content-Type', 'application/json');
+    const url = new URL(req.url, `http://localhost:${port}`);
+    
+    let body = '';
+    req.on('data', c => body += c);
+    req.on('end', () => {
+      try {
+        // GET /queues
+        if (req.method === 'GET' && url.pathname === '/queues') {
+          res.end(JSON.stringify(router.all().map(q => {
+            const status = q.getStatus();
+            return { name: q.name, status: status.status, queue: status.queue, workers: status.workers };
+          })));
+          return;
+        }
+        
+        const named = url.pathname.match(/^\/queues\/([^/]+)(\/.*)$/);
+        if (named) {
+          const name = decodeURIComponent(named[1]);
+          if (!router.names.includes(name)) {
+            res.statusCode = 404;
+            res.end(JSON.stringify({ error: `Unknown queue: ${name}` }));
+            return;
+          }
+          if (router.get(name).handleRequest(req, res, url, named[2], body)) return;
+        } else {
+          // GET /metrics covers every queue in Prometheus format
+          if (req.method === 'GET' && url.pathname === '/metrics' && url.searchParams.get('format') !== 'json' && !/application\/json/.test(req.headers.accept || '')) {
+            res.setHeader('Content-Type', 'text/plain; version=0.0.4');
+            res.end(formatPrometheus(router.all()));
+            return;
+          }
+          // GET /history searches every queue
+          if (req.method === 'GET' && url.pathname === '/history') {
+            res.end(JSON.stringify(searchHistory(router.all(), Object.fromEntries(url.searchParams))));
+            return;
+          }
+          const historyId = url.pathname.match(/^\/history\/([^/]+)$/);
+          if (req.method === 'GET' && historyId) {
+            const entries = router.all().flatMap(q => q.historyOf(decodeURIComponent(historyId[1])));
+            if (!entries.length) res.statusCode = 404;
+            res.end(JSON.stringify(entries.length ? entries : { error: 'No history for that id' }));
+            return;
+          }
+          const idInPath = url.pathname.match(/^\/(?:heartbeat|subtask|graph|scheduled|deadletter|task)\/([^/]+)/);
+          let id = idInPath && decodeURIComponent(idInPath[1]);
+          if (!id && (url.pathname === '/complete' || url.pathname === '/fail')) {
+            try { id = JSON.parse(body).id; } catch (e) {}
+          }
+          const route = (content, options) => router.get(router.route(content, options));
+          if (router.owner(id).handleRequest(req, res, url, url.pathname, body, route)) return;
+        }
+        
+        res.statusCode = 404;
+        res.end(JSON.stringify({ error: 'Not found' }));
+      } catch (e) {
+        res.statusCode = 400;
+        res.end(JSON.stringify({ error: e.message }));
+      }
+    });
+  });
+  
+  // WebSocket on /events or /queues/<name>/events: same stream as SSE, one JSON event per text frame
+  server.on('upgrade', (req, socket) => {
+    const url = new URL(req.url, `http://localhost:${port}`);
+    const key = req.headers['sec-websocket-key'];
+    const match = url.pathname.match(/^(?:\/queues\/([^/]+))?\/events$/);
+    const name = match && match[1] ? decodeURIComponent(match[1]) : DEFAULT_QUEUE;
+    if (!match || !key || !router.names.includes(name)) {
+      socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+      return;
+    }
+    const accept = crypto.createHash('sha1').update(key + '258EAFA5-E914-47DA-95CA-C5AB0DC85B11').digest('base64');
+    socket.write(`HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\nSec-WebSocket-Accept: ${accept}\r\n\r\n`);
+    
+    const unsubscribe = router.get(name).subscribe((e) => socket.write(wsFrame(JSON.stringify(e))), eventStreamOptions(url));
+    socket.on('data', (data) => {
+      if ((data[0] & 0x0f) === 0x8) socket.end(Buffer.from([0x88, 0]));  // Close frame
+    });
+    socket.on('close', unsubscribe);
+    socket.on('error', unsubscribe);
+  });
+  
+  server.listen(port, () => {
+    log(`Task Queue server: http://localhost:${port} (queues: ${router.names.join(', ')})`, 'cyan');
+  });
+  
+  return server;
+}
+
+// ============ Chat Ingestion ============
+
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a || ''));
+  const y = Buffer.from(String(b || ''));
+  return x.length === y.length && x.length > 0 && crypto.timingSafeEqual(x, y);
+}
+
+// Discord signs "<timestamp><raw body>" with the application's Ed25519 key
+function verifyDiscordSignature(publicKeyHex, signatureHex, timestamp, body) {
+  try {
+    const key = crypto.createPublicKey({
+      key: Buffer.concat([Buffer.from('302a300506032b6570032100', 'hex'), Buffer.from(publicKeyHex, 'hex')]),
+      format: 'der', type: 'spki'
+    });
+    return crypto.verify(null, Buffer.from(timestamp + body), key, Buffer.from(signatureHex, 'hex'));
+  } catch (e) {
+    return false;
+  }
+}
+
+// Lark encrypts events with AES-256-CBC under sha256(encryptKey), IV prepended
+function decryptLark(encrypted, encryptKey) {
+  const raw = Buffer.from(encrypted, 'base64');
+  const key = crypto.createHash('sha256').update(encryptKey).digest();
+  const decipher = crypto.createDecipheriv('aes-256-cbc', key, raw.subarray(0, 16));
+  return JSON.parse(Buffer.concat([decipher.update(raw.subarray(16)), decipher.final()]).toString('utf8'));
+}
+
+// Verify an inbound webhook and normalise it to
+// { platform, userId, content, roles, chat, replyTo, ack(text) }, a handshake { response }, or { status, error }
+function parseIngest(platform, req, body, ingest) {
+  const settings = ingest[platform] || {};
+  let payload;
+  try { payload = JSON.parse(body); } catch (e) { return { status: 400, error: 'Invalid payload' }; }
+  
+  if (platform === 'discord') {
+    if (!settings.publicKey || !verifyDiscordSignature(settings.publicKey, req.headers['x-signature-ed25519'], req.headers['x-signature-timestamp'] || '', body)) {
+      return { status: 401, error: 'Invalid Discord signature' };
+    }
+    if (payload.type === 1) return { response: { type: 1 } };  // PING
+    const user = (payload.member && payload.member.user) || payload.user || {};
+    const options = ((payload.data && payload.data.options) || []).map(o => o.value);
+    return {
+      platform,
+      userId: `discord:${user.id}`,
+      content: options.join(' ').trim(),
+      messageId: payload.id,
+      roles: (payload.member && payload.member.roles) || [],
+      chat: { guildId: payload.guild_id, channelId: payload.channel_id, user: user.username },
+      replyTo: { platform, applicationId: payload.application_id, token: payload.token },
+      ack: (text) => ({ type: 4, data: { content: text } })
+    };
+  }
+  
+  if (platform === 'telegram') {
+    if (!settings.secretToken || !safeEqual(req.headers['x-telegram-bot-api-secret-token'], settings.secretToken)) {
+      return { status: 401, error: 'Invalid Telegram secret token' };
+    }
+    const msg = payload.message || payload.edited_message;
+    if (!msg || !msg.text) return { response: {} };  // Joins, stickers, etc.
+    if (!msg.chat || msg.chat.id === undefined) return { status: 400, error: 'Telegram message has no chat' };
+    return {
+      platform,
+      userId: `telegram:${msg.from && msg.from.id}`,
+      content: msg.text.replace(/^\/\w+(@\w+)?\s*/, '').trim(),
+      messageId: `${msg.chat.id}:${msg.message_id}`,
+      roles: [],
+      chat: { chatId: msg.chat.id, user: msg.from && msg.from.username },
+      replyTo: { platform, chatId: msg.chat.id, messageId: msg.message_id },
+      ack: (text) => ({ method: 'sendMessage', chat_id: msg.chat.id, reply_to_message_id: msg.message_id, text })
+    };
+  }
+  
+  // Lark: with an encryptKey, events are signed (and may be encrypted); then
+  // the verification token
+  if (settings.encryptKey) {
+    const signature = crypto.createHash('sha256')
+      .update((req.headers['x-lark-request-timestamp'] || '') + (req.headers['x-lark-request-nonce'] || '') + settings.encryptKey + body)
+      .digest('hex');
+    if (payload.encrypt) {
+      try { payload = decryptLark(payload.encrypt, settings.encryptKey); }
+      catch (e) { return { status: 400, error: 'Cannot decrypt Lark event (check encryptKey)' }; }
+    }
+    // Only the one-off URL verification challenge is sent unsigned
+    const sent = req.headers['x-lark-signature'];
+    if (!sent && payload.type !== 'url_verification') return { status: 401, error: 'Missing Lark signature' };
+    if (sent && !safeEqual(sent, signature)) return { status: 401, error: 'Invalid Lark signature' };
+  }
+  const token = payload.header ? payload.header.token : payload.token;
+  if (!settings.verificationToken || !safeEqual(token, settings.verificationToken)) {
+    return { status: 401, error: 'Invalid Lark verification token' };
+  }
+  if (payload.type === 'url_verification') return { response: { challenge: payload.challenge } };
+  
+  const event = payload.event || {};
+  if (!payload.header || payload.header.event_type !== 'im.message.receive_v1' || !event.message) return { response: {} };
+  let text = '';
+  try { text = JSON.parse(event.message.content).text || ''; } catch (e) {}
+  const sender = (event.sender && event.sender.sender_id) || {};
+  return {
+    platform,
+    userId: `lark:${sender.open_id || sender.user_id}`,
+    content: text.replace(/@_user_\d+/g, '').trim(),
+    messageId: event.message.message_id,
+    roles: [],
+    chat: { chatId: event.message.chat_id, eventId: payload.header.event_id },
+    replyTo: { platform, messageId: event.message.message_id },
+    ack: () => ({})  // Lark ignores the response body; the reply goes out through the API
+  };
+}
+
+// Priority for an inbound message: per-user rule, then the most urgent role, then keywords
+function derivePriority(userId, text, roles = [], rules = {}) {
+  const level = (name) => PRIORITY[String(name).toUpperCase()];
+  if (rules.users && level(rules.users[userId]) !== undefined) return level(rules.users[userId]);
+  
+  const fromRoles = roles.map(r => level((rules.roles || {})[r])).filter(p => p !== undefined);
+  if (fromRoles.length) return Math.min(...fromRoles);
+  
+  const lower = text.toLowerCase();
+  const matched = Object.entries(rules.keywords || {})
+    .filter(([name, words]) => level(name) !== undefined && words.some(w => lower.includes(w.toLowerCase())))
+    .map(([name]) => level(name));
+  return matched.length ? Math.min(...matched) : PRIORITY.NORMAL;
+}
+
+function resultText(result) {
+  if (result === undefined || result === null || result === '') return 'Done';
+  if (typeof result === 'string') return result;
+  const text = result.text || result.message || result.summary || result.content;
+  if (typeof text === 'string') return text;
+  return Object.keys(result).length ? JSON.stringify(result) : 'Done';
+}
+
+// JSON request over http(s); resolves { status, body } and rejects on HTTP errors
+function httpRequest(method, url, payload, headers = {}, timeout = 10000) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const data = JSON.stringify(payload);
+    const req = require(target.protocol === 'https:' ? 'https' : 'http').request(target, {
+      method,
+      timeout,
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(data), ...headers }
+    }, (res) => {
+      let body = '';
+      res.on('data', c => body += c);
+      res.on('end', () => {
+        let parsed = body;
+        try { parsed = JSON.parse(body); } catch (e) {}
+        if (res.statusCode >= 400) reject(new Error(`HTTP ${res.statusCode}: ${body.substring(0, 200)}`));
+        else resolve({ status: res.statusCode, body: parsed });
+      });
+    });
+    req.on('timeout', () => req.destroy(new Error('Request timed out')));
+    req.on('error', reject);
+    req.end(data);
+  });
+}
+
+// Post text into the originating chat
+async function sendReply(replyTo, text, ingest) {
+  const content = text.length > 1900 ? `${text.substring(0, 1900)}…` : text;
+  switch (replyTo.platform) {
+    case 'discord':
+      // Interaction follow-up; the token is valid for 15 minutes after the command
+      return httpRequest('POST', `https://discord.com/api/v10/webhooks/${replyTo.applicationId}/${replyTo.token}`, { content });
+    case 'telegram': {
+      const botToken = (ingest.telegram || {}).botToken;
+      if (!botToken) throw new Error('ingest.telegram.botToken is not set');
+      return httpRequest('POST', `https://api.telegram.org/bot${botToken}/sendMessage`, {
+        chat_id: replyTo.chatId, reply_to_message_id: replyTo.messageId, text: content
+      });
+    }
+    case 'lark': {
+      const lark = ingest.lark || {};
+      if (!lark.appId || !lark.appSecret) throw new Error('ingest.lark.appId and appSecret are not set');
+      const base = lark.baseUrl || 'https://open.larksuite.com';
+      const auth = await httpRequest('POST', `${base}/open-apis/auth/v3/tenant_access_token/internal`, { app_id: lark.appId, app_secret: lark.appSecret });
+      if (!auth.body.tenant_access_token) throw new Error(`Lark auth failed: ${auth.body.msg || 'no token'}`);
+      return httpRequest('POST', `${base}/open-apis/im/v1/messages/${replyTo.messageId}/reply`,
+        { msg_type: 'text', content: JSON.stringify({ text: content }) },
+        { Authorization: `Bearer ${auth.body.tenant_access_token}` });
+    }
+  }
+  throw new Error(`No reply-back for platform ${replyTo.platform}`);
+}
+
+// Prometheus text exposition format (0.0.4); every series carries a queue label
+function formatPrometheus(queues) {
+  const families = {};
+  for (const queue of queues) {
+    const m = queue.getMetrics();
+    const metric = (name, type, help, samples) => {
+      const family = families[name] = families[name] || { type, help, samples: [] };
+      family.samples.push(...samples.map(([labels, value]) => [{ queue: queue.name, ...labels }, value]));
+    };
+    
+    const { deadLetters, ...states } = m.queue;
+    metric('tasks', 'gauge', 'Tasks in the queue by state',
+      Object.entries(states).map(([state, n]) => [{ state }, n]));
+    metric('dead_letters', 'gauge', 'Tasks in the dead-letter store', [[{}, deadLetters]]);
+    metric('workers', 'gauge', 'Worker slots',
+      [[{ kind: 'limit' }, m.workers.limit], [{ kind: 'busy' }, m.workers.busy]]);
+    metric('paused', 'gauge', '1 while the queue is paused', [[{}, m.status === 'paused' ? 1 : 0]]);
+    metric('finished_total', 'counter', 'Tasks finished since the queue was created',
+      [[{ outcome: 'completed' }, m.totals.completed], [{ outcome: 'failed' }, m.totals.failed]]);
+    
+    const windows = Object.entries(m.windows);
+    const quantiles = (key) => windows.flatMap(([window, w]) =>
+      [['0.5', 'p50'], ['0.95', 'p95'], ['0.99', 'p99']].map(([q, p]) => [{ window, quantile: q }, w[key][p] === null ? null : w[key][p] / 1000]));
+    metric('wait_seconds', 'gauge', 'Time from ready to started, by rolling window', quantiles('waitMs'));
+    metric('run_seconds', 'gauge', 'Time from started to finished, by rolling window', quantiles('runMs'));
+    metric('throughput_per_minute', 'gauge', 'Finished tasks per minute, by rolling window and platform',
+      windows.flatMap(([window, w]) => [[{ window, platform: 'all' }, w.throughputPerMin],
+        ...Object.entries(w.byPlatform).map(([platform, p]) => [{ window, platform }, p.throughputPerMin])]));
+    metric('failure_ratio', 'gauge', 'Failed / finished tasks, by rolling window',
+      windows.map(([window, w]) => [{ window }, w.failureRate]));
+  }
+  
+  const lines = [];
+  for (const [name, family] of Object.entries(families)) {
+    lines.push(`# HELP task_queue_${name} ${family.help}`, `# TYPE task_queue_${name} ${family.type}`);
+    for (const [labels, value] of family.samples) {
+      const l = Object.entries(labels).map(([k, v]) => `${k}="${String(v).replace(/["\\\n]/g, '_')}"`).join(',');
+      lines.push(`task_queue_${name}{${l}} ${value === null ? 'NaN' : value}`);
+    }
+  }
+  return lines.join('\n') + '\n';
+}
+
+// Newest-first history across queues. q matches words anywhere in the
+// content, result or error (all must appear, case-insensitive); platform,
+// user and state match exactly; since/until take a date, epoch ms (a bare
+// number, as for runAt) or an age with a unit (7d, 12h, 30m).
+function searchHistory(queues, { q = '', platform, user, state, since, until, limit = 50, offset = 0 } = {}) {
+  const time = (value) => {
+    if (/^\d+$/.test(value)) return Number(value);
+    if (/^\d+(ms|s|m|h|d)$/.test(value)) return Date.now() - parseDelay(value);
+    return new Date(value).getTime();
+  };
+  const from = since ? time(since) : null;
+  const to = until ? time(until) : null;
+  if (Number.isNaN(from) || Number.isNaN(to)) throw new Error(`Invalid time: ${Number.isNaN(from) ? since : until}`);
+  const terms = String(q).toLowerCase().split(/\s+/).filter(Boolean);
+  
+  const matches = queues.flatMap(queue => queue.history).filter(e => {
+    if (platform && e.platform !== platform) return false;
+    if (user && e.userId !== user) return false;
+    if (state && e.state !== state) return false;
+    const at = new Date(e.finishedAt).getTime();
+    if ((from !== null && at < from) || (to !== null && at > to)) return false;
+    if (!terms.length) return true;
+    const text = [e.content, e.result === null ? '' : resultText(e.result), e.error || ''].join('\n').toLowerCase();
+    return terms.every(term => text.includes(term));
+  }).sort((a, b) => new Date(b.finishedAt) - new Date(a.finishedAt));
+  
+  const start = Math.max(0, parseInt(offset) || 0);
+  return { total: matches.length, entries: matches.slice(start, start + Math.max(1, parseInt(limit) || 50)) };
+}
+
+function round(n) {
+  return Math.round(n * 1000) / 1000;
+}
+
+// Nearest-rank p50/p95/p99 of the non-null values (null when there are none)
+function percentiles(values) {
+  const sorted = values.filter(v => v !== null && v !== undefined).sort((a, b) => a - b);
+  const at = (p) => sorted.length ? sorted[Math.max(0, Math.ceil(p * sorted.length) - 1)] : null;
+  return { count: sorted.length, p50: at(0.5), p95: at(0.95), p99: at(0.99) };
+}
+
+// 0-3 or critical/high/normal/low
+function parsePriority(value) {
+  const level = typeof value === 'string' && PRIORITY[value.toUpperCase()] !== undefined
+    ? PRIORITY[value.toUpperCase()]
+    : Number(value);
+  if (!Object.values(PRIORITY).includes(level)) {
+    throw new Error(`Invalid priority: ${value} (use ${Object.keys(PRIORITY).map(k => k.toLowerCase()).join(', ')} or 0-3)`);
+  }
+  return level;
+}
+
+// Sub-tasks are the content's bullet lines ("- " or "* ")
+function parseSubTasks(taskId, content) {
+  return content.split('\n')
+    .map(line => line.trim())
+    .filter(line => line.startsWith('- ') || line.startsWith('* '))
+    .map((line, i) => ({ id: `${taskId}_sub_${i}`, content: line.substring(2), state: TASK_STATE.PENDING }));
+}
+
+function priorityName(level) {
+  const name = Object.keys(PRIORITY).find(k => PRIORITY[k] === level);
+  return name ? name.toLowerCase() : String(level);
+}
+
+// 45s, 12m, 3h, 2d
+function formatWait(ms) {
+  const s = Math.round(ms / 1000);
+  if (s < 60) return `${s}s`;
+  if (s < 3600) return `${Math.round(s / 60)}m`;
+  if (s < 86400) return `${Math.round(s / 3600)}h`;
+  return `${Math.round(s / 86400)}d`;
+}
+
+// ?types=completed,failed and Last-Event-ID (header, or ?lastEventId= where headers can't be set)
+function eventStreamOptions(url, header) {
+  const last = header || url.searchParams.get('lastEventId');
+  const types = url.searchParams.get('types');
+  return {
+    lastEventId: last || null,
+    types: types ? types.split(',') : null
+  };
+}
+
+// Unmasked server-to-client WebSocket text frame
+function wsFrame(text) {
+  const payload = Buffer.from(text);
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x81, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.from([0x81, 126, 0, 0]);
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x81;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+// Throws on an unknown strategy, or a number that isn't finite and >= 0, in
+// a policy or any of its byClass entries
+function validateRetryPolicy(policy, label) {
+  const policies = [[label, policy], ...Object.entries(policy.byClass || {}).map(([cls, p]) => [`${label}.byClass.${cls}`, p])];
+  for (const [name, p] of policies) {
+    if (p.strategy !== undefined && !RETRY_STRATEGIES.includes(p.strategy)) {
+      throw new Error(`Invalid ${name}.strategy: ${p.strategy} (use ${RETRY_STRATEGIES.join(', ')})`);
+    }
+    for (const field of ['delay', 'maxRetries', 'factor', 'maxDelay', 'jitter']) {
+      if (p[field] !== undefined && !(Number.isFinite(p[field]) && p[field] >= 0)) {
+        throw new Error(`Invalid ${name}.${field}: ${p[field]} (must be a number >= 0)`);
+      }
+    }
+  }
+}
+
+// Lease lengths arrive from the API; anything but a positive number of ms
+// would leave a claimed task without a valid expiry
+function validateLeaseMs(leaseMs) {
+  if (typeof leaseMs !== 'number' || !Number.isFinite(leaseMs) || leaseMs <= 0) {
+    throw new Error(`Invalid leaseMs: ${JSON.stringify(leaseMs)} (must be a number > 0)`);
+  }
+}
+
+function classifyError(error) {
+  if (error && typeof error === 'object' && error.errorClass) return error.errorClass;
+  const text = typeof error === 'string' ? error : JSON.stringify(error || '');
+  const match = ERROR_CLASSES.find(([, pattern]) => pattern.test(text));
+  return match ? match[0] : 'unknown';
+}
+
+// ============ Cron ============
+//
+// Cron expressions: "minute hour day-of-month month day-of-week" with *, */n,
+// a-b, a-b/n and comma lists, or @hourly/@daily/@weekly/@monthly/@yearly.
+// Evaluated in the server's local time, like crontab.
+const CRON_ALIASES = {
+  '@hourly': '0 * * * *', '@daily': '0 0 * * *', '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0', '@monthly': '0 0 1 * *', '@yearly': '0 0 1 1 *', '@annually': '0 0 1 1 *'
+};
+const CRON_FIELDS = [['minute', 0, 59], ['hour', 0, 23], ['dom', 1, 31], ['month', 1, 12], ['dow', 0, 7]];
+
+function parseCron(expr) {
+  const parts = (CRON_ALIASES[String(expr).trim()] || String(expr)).trim().split(/\s+/);
+  if (parts.length !== 5) throw new Error(`Invalid cron expression "${expr}": expected 5 fields`);
+  
+  const spec = {};
+  CRON_FIELDS.forEach(([name, min, max], i) => {
+    const values = new Set();
+    for (const item of parts[i].split(',')) {
+      const m = item.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+      if (!m) throw new Error(`Invalid cron field "${item}" in "${expr}"`);
+      const from = m[1] === '*' ? min : parseInt(m[2]);
+      const to = m[1] === '*' ? max : m[3] !== undefined ? parseInt(m[3]) : (m[4] ? max : from);
+      const step = m[4] ? parseInt(m[4]) : 1;
+      if (from < min || to > max || from > to || step < 1) throw new Error(`Cron field "${item}" out of range ${min}-${max}`);
+      for (let v = from; v <= to; v += step) values.add(name === 'dow' && v === 7 ? 0 : v);
+    }
+    spec[name] = values;
+    spec[`${name}Any`] = parts[i] === '*';
+  });
+  return spec;
+}
+
+// First time strictly after `after` that matches the expression
+function nextCronTime(expr, after = new Date()) {
+  const spec = parseCron(expr);
+  const t = new Date(after);
+  t.setSeconds(0, 0);
+  t.setMinutes(t.getMinutes() + 1);
+  const limit = after.getTime() + 5 * 366 * 86400000;
+  
+  while (t.getTime() <= limit) {
+    if (!spec.month.has(t.getMonth() + 1)) {
+      t.setMonth(t.getMonth() + 1, 1); t.setHours(0, 0);
+      continue;
+    }
+    // Like cron: when both day fields are restricted, either may match
+    const domMatch = spec.dom.has(t.getDate());
+    const dowMatch = spec.dow.has(t.getDay());
+    const dayMatch = spec.domAny || spec.dowAny ? domMatch && dowMatch : domMatch || dowMatch;
+    if (!dayMatch) {
+      t.setDate(t.getDate() + 1); t.setHours(0, 0);
+      continue;
+    }
+    if (!spec.hour.has(t.getHours())) {
+      t.setHours(t.getHours() + 1, 0);
+      continue;
+    }
+    if (!spec.minute.has(t.getMinutes())) {
+      t.setMinutes(t.getMinutes() + 1);
+      continue;
+    }
+    return t;
+  }
+  throw new Error(`Cron expression "${expr}" never matches`);
+}
+
+// "30s", "5m", "2h", "1d" or plain milliseconds
+function parseDelay(str) {
+  const m = String(str).match(/^(\d+)(ms|s|m|h|d)?$/);
+  if (!m) return null;
+  return parseInt(m[1]) * { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 }[m[2] || 'ms'];
+}
+
+// SHA-256 over the canonical JSON of a snapshot or journal record
+function hashRecord(body) {
+  return crypto.createHash('sha256').update(JSON.stringify(body)).digest('hex');
+}
+
+// Move a damaged file aside (or copy it, when it is kept in use)
+function quarantine(file, copy = false) {
+  const target = `${file}.corrupt-${Date.now()}`;
+  if (copy) fs.copyFileSync(file, target);
+  else fs.renameSync(file, target);
+  return target;
+}
+
+// Make renames durable; not every platform can fsync a directory
+function syncDir(dir) {
+  try {
+    const fd = fs.openSync(dir, 'r');
+    fs.fsyncSync(fd);
+    fs.closeSync(fd);
+  } catch (e) {
+    if (e.code !== 'EISDIR' && e.code !== 'EPERM' && e.code !== 'EINVAL') throw e;
+  }
+}
+
+// CLI
+function main() {
+  const args = process.argv.slice(2);
+  
+  // --queue <name> picks a named queue; otherwise new tasks are routed and
+  // task-id commands find the queue holding the task
+  let queueName = null;
+  const queueFlag = args.indexOf('--queue');
+  if (queueFlag !== -1) {
+    queueName = args[queueFlag + 1];
+    args.splice(queueFlag, 2);
+  }
+  const cmd = args[0];
+  
+  let config = DEFAULT_CONFIG;
+  const configPath = path.join(CONFIG_DIR, 'config.json');
+  if (fs.existsSync(configPath)) {
+    try { config = mergeConfig(config, JSON.parse(fs.readFileSync(configPath, 'utf8'))); }
+    catch (e) {}
+  }
+  
+  let router, queue;
+  try {
+    router = new QueueRouter(config);
+    const id = ['deadletter', 'dlq'].includes(cmd) ? args[2] : args[1];
+    queue = queueName ? router.get(queueName)
+      : ['graph', 'unschedule', 'cancel', 'update', 'edit', 'reprioritise', 'reprioritize', 'front', 'move-to-front', 'heartbeat', 'subtask', 'complete', 'fail', 'deadletter', 'dlq'].includes(cmd) ? router.owner(id)
+      : router.get();
+  } catch (e) {
+    log(e.message, 'red');
+    process.exitCode = 1;
+    return;
+  }
+  
+  switch (cmd) {
+    case 'enqueue':
     case 'add':
-      const content = args.slice(1).join(' ');
+      const flags = ['--platform', '--priority', '--at', '--delay', '--repeat', '--after', '--on-parent-failure', '--retry', '--key'];
+      const flag = (name) => args.includes(name) ? args[args.indexOf(name) + 1] : undefined;
+      const content = args.slice(1).filter((a, i) => !flags.includes(a) && !flags.includes(args[i])).join(' ');
       if (!content) {
-        log('Usage: task-queue enqueue <message> [--platform discord] [--priority high]');
+        log('Usage: task-queue enqueue <message> [--platform discord] [--priority high] [--at <time>] [--delay 30s] [--repeat "<cron>"] [--after <id,id>] [--on-parent-failure skip|fail|run] [--retry fixed|exponential|none] [--key <idempotency key>]');
         process.exit(1);
       }
-      const platform = args.includes('--platform') ? args[args.indexOf('--platform') + 1] : 'cli';
-      const priority = args.includes('--priority') ? 
-        (args[args.indexOf('--priority') + 1] === 'high' ? PRIORITY.HIGH : PRIORITY.NORMAL) : 
-        PRIORITY.NORMAL;
-      console.log(queue.enqueue(content, { platform, priority }));
+      const platform = flag('--platform') || 'cli';
+      let priority;
+      try {
+        priority = flag('--priority') !== undefined ? parsePriority(flag('--priority')) : PRIORITY.NORMAL;
+      } catch (e) {
+        log(e.message, 'red');
+        process.exit(1);
+      }
+      const delayMs = flag('--delay') !== undefined ? parseDelay(flag('--delay')) : null;
+      if (delayMs === null && flag('--delay') !== undefined) {
+        log(`Invalid delay: ${flag('--delay')} (use e.g. 30s, 5m, 2h)`, 'red');
+        process.exit(1);
+      }
+      try {
+        const target = queueName ? queue : router.get(router.route(content, { platform }));
+        console.log(target.enqueue(content, {
+          platform, priority, runAt: flag('--at'), delayMs, repeat: flag('--repeat'),
+          dependsOn: flag('--after') ? flag('--after').split(',') : [],
+          onParentFailure: flag('--on-parent-failure'),
+          retry: flag('--retry') ? { strategy: flag('--retry') } : null,
+          idempotencyKey: flag('--key')
+        }));
+      } catch (e) {
+        log(e.message, 'red');
+        process.exitCode = 1;
+      }
+      break;
+      
+    case 'queues':
+      for (const q of router.all()) {
+        const status = q.getStatus();
+        console.log(`${q.name.padEnd(16)} ${status.status.padEnd(8)} pending ${status.queue.pending}, processing ${status.queue.processing}, scheduled ${status.queue.scheduled}`);
+      }
+      break;
+      
+    case 'scheduled':
+      for (const t of queue.scheduledTasks()) {
+        console.log(`${t.id}  ${t.runAt}${t.repeat ? `  repeat "${t.repeat}"` : ''}  ${t.content.substring(0, 60)}`);
+      }
+      if (!queue.scheduledTasks().length) log('No scheduled tasks', 'gray');
+      break;
+      
+    case 'graph': {
+      const graph = args[1] && queue.graph(args[1]);
+      if (!graph) { log(`Unknown task: ${args[1] || '(none)'}`, 'red'); process.exitCode = 1; break; }
+      const line = (n, indent, arrow) => console.log(`${indent}${arrow}${n.id} [${n.state}] ${(n.content || '').substring(0, 50)}`);
+      const walk = (n, key, indent, arrow) => {
+        line(n, indent, arrow);
+        for (const next of n[key]) walk(next, key, indent + '  ', arrow);
+      };
+      for (const p of graph.parents) walk(p, 'parents', '', '↑ ');
+      line(graph, '', '● ');
+      for (const c of graph.children) walk(c, 'children', '  ', '↓ ');
+      break;
+    }
+      
+    case 'deadletter':
+    case 'dlq': {
+      const sub = args[1] || 'list';
+      if (sub === 'list') {
+        for (const e of queue.deadLetters) {
+          console.log(`${e.id}  ${e.failedAt}  ${e.attempts} attempt(s)  ${String(e.error).substring(0, 60)}  | ${e.task.content.substring(0, 40)}`);
+        }
+        if (!queue.deadLetters.length) log('No dead letters', 'gray');
+      } else if (sub === 'show') {
+        const entry = queue.getDeadLetter(args[2]);
+        if (entry) console.log(JSON.stringify(entry, null, 2));
+        else { log(`No dead letter: ${args[2]}`, 'red'); process.exitCode = 1; }
+      } else if (sub === 'replay') {
+        const ids = args[2] === 'all' ? queue.deadLetters.map(e => e.id) : [args[2]];
+        for (const id of ids) {
+          if (!queue.replayDeadLetter(id)) { log(`Cannot replay: ${id}`, 'red'); process.exitCode = 1; }
+        }
+      } else if (sub === 'purge') {
+        const purged = queue.purgeDeadLetters(args[2] || null);
+        if (args[2] && !purged) { log(`No dead letter: ${args[2]}`, 'red'); process.exitCode = 1; }
+      } else {
+        log('Usage: task-queue deadletter list | show <id> | replay <id|all> | purge [id]', 'red');
+        process.exitCode = 1;
+      }
+      break;
+    }
+      
+    case 'history': {
+      const sub = args[1] || 'list';
+      const queues = queueName ? [queue] : router.all();
+      const flags = ['--platform', '--user', '--state', '--since', '--until', '--limit'];
+      const flag = (name) => args.includes(name) ? args[args.indexOf(name) + 1] : undefined;
+      const print = (e) => console.log(`${e.finishedAt}  ${e.state.padEnd(9)} ${e.id}  [${e.platform}${queues.length > 1 ? ` ${e.queue}` : ''}]  ${e.content.replace(/\s+/g, ' ').substring(0, 50)}  → ${(e.error || resultText(e.result)).replace(/\s+/g, ' ').substring(0, 40)}`);
+      if (sub === 'list' || sub === 'search') {
+        try {
+          const { total, entries } = searchHistory(queues, {
+            q: args.slice(2).filter((a, i) => !flags.includes(a) && !flags.includes(args[i + 1])).join(' '),
+            platform: flag('--platform'), user: flag('--user'), state: flag('--state'),
+            since: flag('--since'), until: flag('--until'), limit: flag('--limit') || 20
+          });
+          entries.forEach(print);
+          log(total ? `${entries.length} of ${total} match(es)` : 'No history matches', 'gray');
+        } catch (e) {
+          log(e.message, 'red');
+          process.exitCode = 1;
+        }
+      } else if (sub === 'show') {
+        const entries = queues.flatMap(q => q.historyOf(args[2]));
+        if (entries.length) console.log(JSON.stringify(entries, null, 2));
+        else { log(`No history for: ${args[2]}`, 'red'); process.exitCode = 1; }
+      } else if (sub === 'prune') {
+        for (const q of queues) {
+          const dropped = q.pruneHistory();
+          q.writeHistory();
+          log(`${q.name}: ${dropped} entries pruned, ${q.history.length} kept`, 'green');
+        }
+      } else {
+        log('Usage: task-queue history list | search [words] [--platform p] [--user u] [--state s] [--since 7d] [--until <time>] [--limit n] | show <id> | prune', 'red');
+        process.exitCode = 1;
+      }
+      break;
+    }
+      
+    case 'unschedule':
+      if (!queue.unschedule(args[1])) { log(`Not scheduled: ${args[1]}`, 'red'); process.exitCode = 1; }
       break;
       
     case 'status':
@@ -523,14 +2677,90 @@ function main() {
       console.log(queue.formatForChat());
       break;
       
+    case 'metrics':
+      console.log(args.includes('--prom') ? queue.formatPrometheus() : JSON.stringify(queue.getMetrics(), null, 2));
+      break;
+      
+    case 'claim': {
+      const task = queue.claim(args[1] || 'cli');
+      console.log(task ? JSON.stringify(task, null, 2) : 'Nothing to claim (empty, paused or at capacity)');
+      break;
+    }
+      
+    case 'heartbeat': {
+      const lease = queue.heartbeat(args[1]);
+      if (lease) log(`Lease extended until ${lease.expiresAt}`, 'green');
+      else { log(`Lease not held: ${args[1]}`, 'red'); process.exitCode = 1; }
+      if (lease && queue.findActive(args[1]).cancelRequested) log('Cancellation requested: stop and report with fail', 'yellow');
+      break;
+    }
+      
+    case 'cancel': {
+      if (!args[1]) { log('Usage: task-queue cancel <task id> [reason] [--force]', 'red'); process.exitCode = 1; break; }
+      const reason = args.slice(2).filter(a => a !== '--force').join(' ') || null;
+      const task = queue.cancel(args[1], { reason, force: args.includes('--force') });
+      if (!task) { log(`Not queued or active: ${args[1]}`, 'red'); process.exitCode = 1; }
+      break;
+    }
+      
+    case 'update':
+    case 'edit': {
+      const flag = (name) => args.includes(name) ? args[args.indexOf(name) + 1] : undefined;
+      const changes = {};
+      if (flag('--content') !== undefined) changes.content = flag('--content');
+      if (flag('--priority') !== undefined) changes.priority = flag('--priority');
+      if (flag('--at') !== undefined) changes.runAt = flag('--at') === 'now' ? null : flag('--at');
+      if (flag('--delay') !== undefined) {
+        changes.delayMs = parseDelay(flag('--delay'));
+        if (changes.delayMs === null) { log(`Invalid delay: ${flag('--delay')} (use e.g. 30s, 5m, 2h)`, 'red'); process.exitCode = 1; break; }
+      }
+      if (!args[1] || !Object.keys(changes).length) {
+        log('Usage: task-queue update <task id> [--content <text>] [--priority high] [--at <time>|now] [--delay 30s]', 'red');
+        process.exitCode = 1;
+        break;
+      }
+      try {
+        if (!queue.update(args[1], changes)) { log(`Not queued (or already running): ${args[1]}`, 'red'); process.exitCode = 1; }
+      } catch (e) {
+        log(e.message, 'red');
+        process.exitCode = 1;
+      }
+      break;
+    }
+      
+    case 'reprioritise':
+    case 'reprioritize':
+      try {
+        if (!queue.reprioritise(args[1], args[2])) { log(`Not queued (or already running): ${args[1]}`, 'red'); process.exitCode = 1; }
+      } catch (e) {
+        log(e.message, 'red');
+        process.exitCode = 1;
+      }
+      break;
+      
+    case 'front':
+    case 'move-to-front':
+      if (!queue.moveToFront(args[1])) { log(`Not queued (or already running): ${args[1]}`, 'red'); process.exitCode = 1; }
+      break;
+      
+    case 'subtask':
+      if (!queue.completeSubTask(args[1] || '')) { log(`No such sub-task on an active task: ${args[1]}`, 'red'); process.exitCode = 1; }
+      break;
+      
     case 'complete':
     case 'done':
-      queue.completeTask();
+      if (!args[1]) { log('Usage: task-queue complete <task id>', 'red'); process.exitCode = 1; break; }
+      if (!queue.completeTask(args[1])) { log(`Not active: ${args[1]}`, 'red'); process.exitCode = 1; }
       break;
       
-    case 'fail':
-      queue.failTask(args.slice(1).join(' ') || 'Unknown error');
+    case 'fail': {
+      if (!args[1]) { log('Usage: task-queue fail <task id> [error] [--class timeout]', 'red'); process.exitCode = 1; break; }
+      const classAt = args.indexOf('--class');
+      const errorClass = classAt > 0 ? args[classAt + 1] : null;
+      const message = args.slice(2).filter((a, i) => i + 2 !== classAt && i + 2 !== classAt + 1).join(' ') || 'Unknown error';
+      if (!queue.failTask(args[1], message, null, errorClass)) { log(`Not active: ${args[1]}`, 'red'); process.exitCode = 1; }
       break;
+    }
       
     case 'pause':
       queue.pause();
@@ -545,7 +2775,12 @@ function main() {
       break;
       
     case 'server':
-      queue.startServer(parseInt(args[1]) || 3850);
+      startServer(router, parseInt(args[1]) || 3850);
+      break;
+      
+    case 'compact':
+      queue.persist();
+      log(`Snapshot written at record ${queue.seq}`, 'green');
       break;
       
     case 'init':
@@ -562,31 +2797,89 @@ Task Queue - Persistent multi-platform task queue
 
 USAGE:
   task-queue enqueue <msg> [--platform discord] [--priority high]
+                      [--at <time>] [--delay 30s] [--repeat "<cron>"]
+                      [--after <id,id>] [--on-parent-failure skip|fail|run]
+                      [--retry fixed|exponential|none] [--key <idempotency key>]
+  task-queue queues           List queues and their state
+  task-queue scheduled        List tasks that are not due yet
+  task-queue graph <id>       Show a task's dependency tree
+  task-queue deadletter list|show <id>|replay <id|all>|purge [id]
+                              Inspect and replay tasks that failed for good
+  task-queue history [list]   Recently finished tasks
+  task-queue history search [words] [--platform p] [--user u] [--state s]
+                      [--since 7d] [--until <time>] [--limit n]
+  task-queue history show <id>|prune
+  task-queue unschedule <id>  Remove a scheduled task (ends a recurring series)
+  task-queue cancel <id> [reason] [--force]
+                              Cancel a queued task, or ask the worker to stop a running one
+  task-queue update <id> [--content <text>] [--priority high] [--at <time>|now] [--delay 30s]
+                              Edit a task that hasn't started
+  task-queue reprioritise <id> <critical|high|normal|low>
+  task-queue front <id>       Move a queued task to the front of the line
   task-queue status           JSON status
   task-queue chat             Chat format
-  task-queue complete         Mark current complete
-  task-queue fail <error>     Mark current failed
+  task-queue metrics [--prom] Wait/run percentiles, throughput, failure rate
+  task-queue claim [worker]   Claim the next task with a lease
+  task-queue heartbeat <id>   Extend the lease on a claimed task
+  task-queue subtask <id>     Mark a sub-task of an active task done
+  task-queue complete <id>    Mark a task complete
+  task-queue fail <id> [err] [--class timeout]
+                              Mark a task failed (retried per its policy)
   task-queue pause            Pause processing
   task-queue resume           Resume processing
   task-queue clear           Clear queue
-  task-queue server [port]   Start API server
+  task-queue compact         Write a snapshot and start a new journal
+  task-queue server [port]   Start API server (all queues)
+
+  --queue <name> runs any command against a named queue (default: routed
+  by config.routes for enqueue, the queue holding the task for task ids,
+  otherwise the default queue)
 
 PLATFORMS: discord, telegram, lark, wechat, signal, whatsapp
 
 PRIORITY: critical, high, normal, low
 
 API:
-  POST /enqueue {content, platform, priority}
-  POST /complete {result}
-  POST /fail {error}
+  POST /enqueue {content, platform, priority, runAt, delayMs, repeat, dependsOn, onParentFailure, retry,
+                 idempotencyKey, messageId}   (or Idempotency-Key header)
+  GET  /scheduled
+  DELETE /scheduled/:id
+  GET  /graph/:id
+  GET  /deadletter, /deadletter/:id
+  POST /deadletter/:id/replay
+  DELETE /deadletter[/:id]
+  POST /claim {workerId, leaseMs}
+  POST /heartbeat/:id {workerId, leaseMs}   (cancelRequested set when the task should stop)
+  PATCH /task/:id {content, priority, metadata, runAt, delayMs}
+  DELETE /task/:id {reason, force}
+  POST /task/:id/priority {priority}
+  POST /task/:id/front
+  POST /complete {id, result, workerId}
+  POST /fail {id, error, workerId, errorClass}
+  POST /ingest/discord, /ingest/telegram, /ingest/lark
+  POST /subtask/:id/complete
   GET  /status
   GET  /queue
+  GET  /history [?q=&platform=&user=&state=&since=&until=&limit=&offset=]
+  GET  /history/:id
+  GET  /metrics [?format=json]   (Prometheus text by default)
+  GET  /events [?types=completed,failed]   (SSE, or WebSocket upgrade)
   POST /pause, /resume, /clear
+  GET  /queues
+  /queues/:name/<route>   Any route above on a named queue (top-level routes use the
+                          default queue; /enqueue and /ingest/* follow config.routes)
 
 CONFIG:
   ${configPath}
       `);
   }
+  
+  // Leave a fresh snapshot behind, so the next run has no journal to replay
+  if (cmd !== 'server') router.checkpoint();
 }
 
-main();
+if (require.main === module) {
+  main();
+} else {
+  module.exports = { TaskQueue, QueueRouter, TASK_STATE, PRIORITY, DEFAULT_CONFIG, parseCron, nextCronTime, parseIngest, startServer };
+}
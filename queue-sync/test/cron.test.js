@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { TASK_STATE, parseCron, nextCronTime } = require('../main.js');
+const { openQueue } = require('./helpers');
+
+// Local time, like the cron evaluator; 2026-10-19 is a Monday
+const at = (y, mo, d, h = 0, mi = 0, s = 0) => new Date(y, mo - 1, d, h, mi, s);
+const next = (expr, after) => nextCronTime(expr, after).getTime();
+
+test('steps, ranges and lists expand to the matching values', () => {
+  assert.deepStrictEqual([...parseCron('*/20 * * * *').minute], [0, 20, 40]);
+  assert.deepStrictEqual([...parseCron('0 8-18/5 * * *').hour], [8, 13, 18]);
+  assert.deepStrictEqual([...parseCron('5,10,5 * * * *').minute], [5, 10]);
+  assert.deepStrictEqual([...parseCron('0 0 * * 5/1').dow], [5, 6, 0]);
+});
+
+test('the next time is strictly after the given one', () => {
+  assert.strictEqual(next('*/15 * * * *', at(2026, 10, 19, 10, 7)), at(2026, 10, 19, 10, 15).getTime());
+  assert.strictEqual(next('*/15 * * * *', at(2026, 10, 19, 10, 15)), at(2026, 10, 19, 10, 30).getTime());
+  assert.strictEqual(next('@daily', at(2026, 10, 19, 23, 59, 30)), at(2026, 10, 20).getTime());
+  assert.strictEqual(next('@yearly', at(2026, 12, 31, 23, 59)), at(2027, 1, 1).getTime());
+});
+
+test('day-of-week ranges skip the weekend and 7 means Sunday', () => {
+  assert.strictEqual(next('0 9 * * 1-5', at(2026, 10, 23, 10)), at(2026, 10, 26, 9).getTime());
+  assert.strictEqual(next('0 0 * * 7', at(2026, 10, 19)), at(2026, 10, 25).getTime());
+  assert.strictEqual(next('@weekly', at(2026, 10, 19)), at(2026, 10, 25).getTime());
+});
+
+test('when both day fields are restricted either one matches', () => {
+  assert.strictEqual(next('0 0 13 * 5', at(2026, 10, 10)), at(2026, 10, 13).getTime());
+  assert.strictEqual(next('0 0 13 * 5', at(2026, 10, 14)), at(2026, 10, 16).getTime());
+});
+
+test('months without the day are skipped, up to leap years', () => {
+  assert.strictEqual(next('0 0 31 * *', at(2026, 1, 31)), at(2026, 3, 31).getTime());
+  assert.strictEqual(next('0 0 29 2 *', at(2026, 3, 1)), at(2028, 2, 29).getTime());
+  assert.throws(() => nextCronTime('0 0 30 2 *', at(2026, 1, 1)), /never matches/);
+});
+
+test('malformed and out-of-range expressions are rejected', () => {
+  for (const expr of ['* * * *', '60 * * * *', '0 24 * * *', '0 0 0 * *', '5-1 * * * *', '*/0 * * * *', 'a * * * *', '@often']) {
+    assert.throws(() => parseCron(expr), /Invalid cron|out of range/, expr);
+  }
+});
+
+test('delayed and cron tasks wait as scheduled until due', () => {
+  const q = openQueue();
+  const delayed = q.enqueue('later', { delayMs: 60000 });
+  const recurring = q.enqueue('report', { repeat: '@hourly' });
+  assert.strictEqual(delayed.state, TASK_STATE.SCHEDULED);
+  assert.strictEqual(new Date(recurring.runAt).getMinutes(), 0);
+  assert.strictEqual(q.claim('w1'), null);
+
+  delayed.runAt = new Date(Date.now() - 1).toISOString();
+  assert.strictEqual(q.promoteDue(), 1);
+  assert.strictEqual(q.claim('w1').id, delayed.id);
+
+  assert.ok(q.unschedule(recurring.id));
+  assert.strictEqual(q.scheduledTasks().length, 0);
+  assert.throws(() => q.enqueue('bad', { repeat: '* * *' }), /Invalid cron/);
+  assert.throws(() => q.enqueue('bad', { runAt: 'tomorrow-ish' }), /Invalid runAt/);
+});
+
+test('finishing a recurring task schedules its next occurrence in the same series', () => {
+  const q = openQueue();
+  const first = q.enqueue('tick', { repeat: '*/5 * * * *', runAt: Date.now() - 1000 });
+  q.completeTask(q.claim('w1').id);
+  const [second] = q.scheduledTasks();
+  assert.strictEqual(second.seriesId, first.id);
+  assert.strictEqual(second.occurrence, 2);
+  assert.strictEqual(new Date(second.runAt).getMinutes() % 5, 0);
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { TASK_STATE } = require('../main.js');
+const { openQueue, reopen } = require('./helpers');
+
+const open = (config = {}) => openQueue({ maxRetries: 2, retryDelay: 0, ...config });
+
+// Run a task through every attempt until it is dead-lettered
+function kill(q, content) {
+  const task = q.enqueue(content);
+  let claimed;
+  while ((claimed = q.claim('w1'))) q.failTask(claimed.id, `${content} broke`, 'w1');
+  return task;
+}
+
+test('a task that runs out of retries is kept with its failure history', () => {
+  const q = open();
+  const task = kill(q, 'doomed');
+  const entry = q.getDeadLetter(task.id);
+  assert.strictEqual(entry.attempts, 2);
+  assert.strictEqual(entry.error, 'doomed broke');
+  assert.deepStrictEqual(entry.task.failures.map(f => [f.attempt, f.workerId]), [[1, 'w1'], [2, 'w1']]);
+  assert.ok(!q.queue.some(t => t.id === task.id));
+});
+
+test('replay requeues the task under the same id with a fresh retry budget', () => {
+  const q = open();
+  const task = kill(q, 'flaky');
+  const replayed = q.replayDeadLetter(task.id);
+  assert.strictEqual(replayed.id, task.id);
+  assert.strictEqual(replayed.state, TASK_STATE.PENDING);
+  assert.strictEqual(replayed.retryCount, 0);
+  assert.strictEqual(replayed.replays, 1);
+  assert.strictEqual(q.getDeadLetter(task.id), null);
+  assert.strictEqual(q.replayDeadLetter(task.id), null);
+  assert.ok(q.completeTask(q.claim('w2').id));
+});
+
+test('purge removes one dead letter or all of them', () => {
+  const q = open();
+  const [a] = ['a', 'b', 'c'].map(c => kill(q, c));
+  assert.strictEqual(q.purgeDeadLetters(a.id), 1);
+  assert.strictEqual(q.purgeDeadLetters(a.id), 0);
+  assert.strictEqual(q.purgeDeadLetters(), 2);
+  assert.strictEqual(q.deadLetters.length, 0);
+});
+
+test('the store keeps the newest deadLetterLimit entries', () => {
+  const q = open({ deadLetterLimit: 2 });
+  ['a', 'b', 'c'].forEach(c => kill(q, c));
+  assert.deepStrictEqual(q.deadLetters.map(e => e.task.content), ['b', 'c']);
+});
+
+test('dead letters, replays and purges survive a restart', () => {
+  const q = open();
+  const [a, b, c] = ['a', 'b', 'c'].map(content => kill(q, content));
+  q.replayDeadLetter(a.id);
+  q.purgeDeadLetters(b.id);
+
+  const restarted = reopen(q, { maxRetries: 2 });
+  assert.deepStrictEqual(restarted.deadLetters.map(e => e.id), [c.id]);
+  assert.ok(restarted.queue.some(t => t.id === a.id && t.state === TASK_STATE.PENDING));
+});
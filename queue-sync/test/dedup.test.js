@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { TASK_STATE } = require('../main.js');
+const { openQueue, reopen } = require('./helpers');
+
+// Push a key's timestamp back past its window
+const age = (q, ms) => { for (const entry of Object.values(q.dedup)) entry.at = new Date(Date.now() - ms).toISOString(); };
+
+test('a repeated idempotency key returns the original task instead of a new one', () => {
+  const q = openQueue();
+  const first = q.enqueue('deploy', { idempotencyKey: 'deploy-42' });
+  const again = q.enqueue('deploy (resent)', { idempotencyKey: 'deploy-42' });
+  assert.strictEqual(again.id, first.id);
+  assert.strictEqual(again.duplicate, true);
+  assert.strictEqual(q.queue.length, 1);
+});
+
+test('message ids are only duplicates on the same platform', () => {
+  const q = openQueue();
+  const a = q.enqueue('hi', { platform: 'discord', messageId: '1001' });
+  assert.strictEqual(q.enqueue('hi', { platform: 'discord', messageId: '1001' }).id, a.id);
+  assert.notStrictEqual(q.enqueue('hi', { platform: 'telegram', messageId: '1001' }).id, a.id);
+});
+
+test('content dedup is opt-in and matches the same text from the same user', () => {
+  const plain = openQueue();
+  plain.enqueue('status?', { userId: 'u1' });
+  assert.ok(!plain.enqueue('status?', { userId: 'u1' }).duplicate);
+
+  const q = openQueue({ contentDedup: true });
+  const first = q.enqueue('status?', { platform: 'discord', userId: 'u1' });
+  assert.strictEqual(q.enqueue('  status?\n', { platform: 'discord', userId: 'u1' }).id, first.id);
+  assert.ok(!q.enqueue('status?', { platform: 'discord', userId: 'u2' }).duplicate);
+  assert.ok(!q.enqueue('status!', { platform: 'discord', userId: 'u1' }).duplicate);
+});
+
+test('keys stop matching once their window has passed', () => {
+  const q = openQueue({ dedupWindow: 60000, contentDedup: true, contentDedupWindow: 1000 });
+  q.enqueue('ping', { idempotencyKey: 'k' });
+  age(q, 5000);
+  assert.ok(q.enqueue('ping', { idempotencyKey: 'k' }).duplicate, 'the key window is still open');
+  q.enqueue('pong');
+  age(q, 5000);
+  assert.ok(!q.enqueue('pong').duplicate, 'the content window has closed');
+  age(q, 120000);
+  assert.ok(!q.enqueue('ping', { idempotencyKey: 'k' }).duplicate);
+});
+
+test('a duplicate of a finished task reports how it ended', () => {
+  const q = openQueue();
+  const task = q.enqueue('once', { idempotencyKey: 'once' });
+  q.completeTask(q.claim('w1').id);
+  const again = q.enqueue('once', { idempotencyKey: 'once' });
+  assert.deepStrictEqual([again.id, again.state, again.duplicate], [task.id, TASK_STATE.COMPLETED, true]);
+  assert.strictEqual(q.queue.length, 0);
+});
+
+test('keys survive a restart', () => {
+  const q = openQueue();
+  const task = q.enqueue('deploy', { idempotencyKey: 'deploy-7' });
+  assert.strictEqual(reopen(q).enqueue('deploy', { idempotencyKey: 'deploy-7' }).id, task.id);
+});
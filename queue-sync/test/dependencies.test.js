@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { TASK_STATE } = require('../main.js');
+const { openQueue, reopen } = require('./helpers');
+
+const CONFIG = { workers: 5, maxRetries: 0 };
+
+const finish = (q, task) => {
+  assert.strictEqual(q.claim('w').id, task.id);
+  q.completeTask(task.id, 'ok');
+};
+
+test('a child waits until every parent has completed', () => {
+  const q = openQueue(CONFIG);
+  const a = q.enqueue('a');
+  const b = q.enqueue('b');
+  const child = q.enqueue('child', { dependsOn: [a.id, b.id] });
+  assert.strictEqual(child.state, TASK_STATE.WAITING);
+  finish(q, a);
+  assert.strictEqual(child.state, TASK_STATE.WAITING);
+  finish(q, b);
+  assert.strictEqual(child.state, TASK_STATE.PENDING);
+});
+
+test('a failed parent skips its children and grandchildren', () => {
+  const q = openQueue(CONFIG);
+  const parent = q.enqueue('parent');
+  const child = q.enqueue('child', { dependsOn: [parent.id] });
+  const grandchild = q.enqueue('grandchild', { dependsOn: [child.id] });
+  q.claim('w');
+  q.failTask(parent.id, 'boom');
+  assert.strictEqual(q.parentOutcome(child.id), TASK_STATE.SKIPPED);
+  assert.strictEqual(q.parentOutcome(grandchild.id), TASK_STATE.SKIPPED);
+  assert.strictEqual(q.queue.length, 0);
+});
+
+test('a child still starts after its first parent was evicted from the finished cache', () => {
+  const q = openQueue(CONFIG);
+  const a = q.enqueue('a');
+  const b = q.enqueue('b');
+  const child = q.enqueue('child', { dependsOn: [a.id, b.id] });
+  finish(q, a);
+  // What FINISHED_LIMIT and history retention do to an old parent
+  q.finished = {};
+  q.history = [];
+  finish(q, b);
+  assert.strictEqual(child.state, TASK_STATE.PENDING);
+
+  // The recorded outcomes are journaled with the child
+  const reopened = reopen(q, CONFIG).queue.find(t => t.id === child.id);
+  assert.deepStrictEqual(reopened.parentOutcomes, { [a.id]: TASK_STATE.COMPLETED, [b.id]: TASK_STATE.COMPLETED });
+});
+
+test('a parent that left the finished cache is found in history', () => {
+  const q = openQueue(CONFIG);
+  const a = q.enqueue('a');
+  finish(q, a);
+  q.finished = {};
+  const child = q.enqueue('child', { dependsOn: [a.id] });
+  assert.strictEqual(child.state, TASK_STATE.PENDING);
+});
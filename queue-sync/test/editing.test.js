@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { TASK_STATE, PRIORITY } = require('../main.js');
+const { openQueue, reopen } = require('./helpers');
+
+test('a rejected update changes nothing and writes nothing', () => {
+  const q = openQueue();
+  const task = q.enqueue('original');
+  const seq = q.seq;
+  assert.throws(() => q.update(task.id, { content: 'CHANGED', priority: 'bogus' }), /Invalid priority/);
+  assert.throws(() => q.update(task.id, { content: 'CHANGED', runAt: 'not a date' }), /Invalid runAt/);
+  assert.strictEqual(task.content, 'original');
+  assert.strictEqual(task.priority, PRIORITY.NORMAL);
+  assert.strictEqual(q.seq, seq);
+});
+
+test('an accepted update is journaled once and survives a restart', () => {
+  const q = openQueue();
+  const task = q.enqueue('original');
+  const seq = q.seq;
+  q.update(task.id, { content: '- one\n- two', priority: 'high', metadata: { ticket: 7 } });
+  assert.strictEqual(q.seq, seq + 1);
+
+  const saved = reopen(q).queue.find(t => t.id === task.id);
+  assert.strictEqual(saved.content, '- one\n- two');
+  assert.strictEqual(saved.priority, PRIORITY.HIGH);
+  assert.deepStrictEqual(saved.subTasks.map(s => s.content), ['one', 'two']);
+  assert.strictEqual(saved.metadata.ticket, 7);
+});
+
+test('reprioritise and move-to-front change which task is claimed next', () => {
+  const q = openQueue({ workers: 3 });
+  const low = q.enqueue('low', { priority: PRIORITY.LOW });
+  const normal = q.enqueue('normal');
+  const high = q.enqueue('high', { priority: PRIORITY.HIGH });
+  q.reprioritise(low.id, 'critical');
+  q.moveToFront(normal.id);
+  assert.deepStrictEqual([q.claim('w').id, q.claim('w').id, q.claim('w').id], [normal.id, low.id, high.id]);
+});
+
+test('cancelling a running task waits for its worker, then ends it without a retry', () => {
+  const q = openQueue();
+  const task = q.enqueue('long job');
+  q.claim('w1');
+  q.cancel(task.id, { reason: 'not needed' });
+  assert.strictEqual(task.state, TASK_STATE.PROCESSING);
+  assert.strictEqual(task.cancelRequested.reason, 'not needed');
+
+  q.failTask(task.id, 'stopped', 'w1');
+  assert.strictEqual(q.queue.length, 0);
+  assert.strictEqual(q.parentOutcome(task.id), TASK_STATE.CANCELLED);
+  assert.strictEqual(q.deadLetters.length, 0);
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { openQueue, reopen } = require('./helpers');
+
+// Subscribe and collect what is sent right away (the replay)
+const replay = (q, lastEventId) => {
+  const sent = [];
+  q.subscribe(e => sent.push(e), { lastEventId })();
+  return sent;
+};
+
+test('a client resuming with Last-Event-ID gets exactly the events it missed', () => {
+  const q = openQueue();
+  q.enqueue('a');
+  const seen = q.events[q.events.length - 1].id;
+  q.enqueue('b');
+  q.enqueue('c');
+  assert.deepStrictEqual(replay(q, seen).map(e => e.task.content), ['b', 'c']);
+  assert.deepStrictEqual(replay(q, q.events[q.events.length - 1].id), []);
+});
+
+test('an id from before a restart gets a reset, not unrelated new events', () => {
+  const q = openQueue();
+  q.enqueue('a');
+  const seen = q.events[0].id;
+
+  const restarted = reopen(q);
+  restarted.enqueue('b');
+  restarted.enqueue('c');
+  const sent = replay(restarted, seen);
+  assert.strictEqual(sent.length, 1);
+  assert.strictEqual(sent[0].type, 'reset');
+  assert.strictEqual(sent[0].id, restarted.events[1].id);
+  assert.deepStrictEqual(replay(restarted, '2').map(e => e.type), ['reset']);
+});
+
+test('a client that fell out of the event buffer gets a reset', () => {
+  const q = openQueue({ eventBuffer: 2 });
+  q.enqueue('a');
+  const seen = q.events[0].id;
+  for (const content of ['b', 'c', 'd']) q.enqueue(content);
+  assert.deepStrictEqual(replay(q, seen).map(e => e.type), ['reset']);
+});
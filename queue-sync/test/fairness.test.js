@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PRIORITY } = require('../main.js');
+const { openQueue } = require('./helpers');
+
+// Claim and finish tasks one at a time, returning them in the order they ran
+function runAll(q, pick = t => t.content) {
+  const order = [];
+  let task;
+  while ((task = q.claim('w1'))) {
+    order.push(pick(task));
+    q.completeTask(task.id);
+  }
+  return order;
+}
+
+const backdate = (task, ms) => { task.createdAt = new Date(Date.now() - ms).toISOString(); };
+
+test('equal priorities alternate between platforms, least recently served first', () => {
+  const q = openQueue({ agingInterval: 0 });
+  for (const content of ['d1', 'd2', 'd3']) q.enqueue(content, { platform: 'discord' });
+  q.enqueue('t1', { platform: 'telegram' });
+  q.enqueue('l1', { platform: 'lark' });
+  assert.deepStrictEqual(runAll(q), ['d1', 't1', 'l1', 'd2', 'd3']);
+});
+
+test('within a platform, users take turns', () => {
+  const q = openQueue({ agingInterval: 0 });
+  for (const [content, userId] of [['a1', 'alice'], ['a2', 'alice'], ['a3', 'alice'], ['b1', 'bob']]) {
+    q.enqueue(content, { platform: 'discord', userId });
+  }
+  assert.deepStrictEqual(runAll(q), ['a1', 'b1', 'a2', 'a3']);
+});
+
+test('with fairness off, tasks run oldest first', () => {
+  const q = openQueue({ agingInterval: 0, fairness: [] });
+  for (const [content, platform] of [['d1', 'discord'], ['d2', 'discord'], ['t1', 'telegram']]) q.enqueue(content, { platform });
+  assert.deepStrictEqual(runAll(q), ['d1', 'd2', 't1']);
+});
+
+test('fairness never overrides priority', () => {
+  const q = openQueue({ agingInterval: 0 });
+  q.enqueue('d1', { platform: 'discord' });
+  q.enqueue('d2', { platform: 'discord', priority: PRIORITY.HIGH });
+  q.enqueue('t1', { platform: 'telegram' });
+  assert.deepStrictEqual(runAll(q), ['d2', 't1', 'd1']);
+});
+
+test('waiting tasks age one level per interval, up to agingCap', () => {
+  const q = openQueue({ agingInterval: 60000, agingCap: PRIORITY.HIGH });
+  const low = q.enqueue('low', { priority: PRIORITY.LOW });
+  const high = q.enqueue('high', { priority: PRIORITY.HIGH });
+  backdate(low, 90000);
+  assert.strictEqual(q.effectivePriority(low), PRIORITY.NORMAL);
+  backdate(low, 3600000);
+  assert.strictEqual(q.effectivePriority(low), PRIORITY.HIGH);
+  backdate(high, 7200000);
+  assert.strictEqual(q.effectivePriority(high), PRIORITY.HIGH, 'tasks at the cap are not aged');
+
+  q.enqueue('fresh', { priority: PRIORITY.NORMAL });
+  q.enqueue('urgent', { priority: PRIORITY.CRITICAL });
+  assert.deepStrictEqual(runAll(q), ['urgent', 'high', 'low', 'fresh']);
+});
+
+test('a scheduled task ages from its run time, not from when it was enqueued', () => {
+  const q = openQueue({ agingInterval: 60000 });
+  const task = q.enqueue('report', { priority: PRIORITY.LOW, runAt: Date.now() - 1000 });
+  backdate(task, 3600000);
+  assert.strictEqual(q.effectivePriority(task), PRIORITY.LOW);
+  assert.strictEqual(openQueue({ agingInterval: 0 }).effectivePriority({ ...task, createdAt: new Date(0).toISOString() }), PRIORITY.LOW);
+});
@@ -0,0 +1,39 @@
+// Shared fixtures for the queue tests (not a test file itself). Tests that
+// use QueueRouter set HOME before requiring this, since CONFIG_DIR is fixed
+// when main.js loads.
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { TaskQueue, startServer } = require('../main.js');
+
+const tmpDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'task-queue-test-'));
+
+// A queue in its own directory (a fresh temp one by default), without fsync
+function openQueue(config = {}, dir = tmpDir()) {
+  return new TaskQueue({ fsync: false, ...config }, 'default', dir);
+}
+
+// The same queue directory opened again, as after a restart
+function reopen(queue, config = {}) {
+  return openQueue(config, queue.dir);
+}
+
+// Start the server for a router on a free port, with a request helper bound to it
+async function serve(router) {
+  const server = startServer(router, 0);
+  await new Promise(resolve => server.once('listening', resolve));
+  const { port } = server.address();
+  const request = (method, pathname, { headers = {}, body } = {}) => new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, method, path: pathname, headers }, res => {
+      let text = ''; res.on('data', c => text += c);
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, text, json: () => JSON.parse(text) }));
+    });
+    req.on('error', reject);
+    req.setTimeout(5000, () => req.destroy(new Error(`${method} ${pathname}: no response`)));
+    req.end(typeof body === 'object' ? JSON.stringify(body) : body);
+  });
+  return { server, port, request };
+}
+
+module.exports = { tmpDir, openQueue, reopen, serve };
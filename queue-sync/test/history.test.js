@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { openQueue, reopen } = require('./helpers');
+
+// Run a task to completion (or failure, when error is given)
+function finish(q, content, { platform = 'discord', error = null } = {}) {
+  const task = q.enqueue(content, { platform });
+  q.claim('w');
+  if (error) q.failTask(task.id, error, 'w');
+  else q.completeTask(task.id, { text: `done: ${content}` }, 'w');
+  return task;
+}
+
+test('search matches every word in content, result or error', () => {
+  const q = openQueue({ maxRetries: 0 });
+  finish(q, 'write release notes');
+  const failed = finish(q, 'deploy release', { platform: 'telegram', error: 'permission denied' });
+  finish(q, 'unrelated');
+
+  assert.deepStrictEqual(q.searchHistory({ q: 'release' }).entries.map(e => e.content).sort(), ['deploy release', 'write release notes']);
+  assert.deepStrictEqual(q.searchHistory({ q: 'RELEASE denied' }).entries.map(e => e.id), [failed.id]);
+  assert.strictEqual(q.searchHistory({ platform: 'telegram' }).total, 1);
+  assert.strictEqual(q.searchHistory({ state: 'completed' }).total, 2);
+  assert.strictEqual(reopen(q, { maxRetries: 0 }).searchHistory({ q: 'release' }).total, 2);
+});
+
+test('since and until take epoch ms, a date or an age with a unit', () => {
+  const q = openQueue();
+  finish(q, 'recent');
+  const now = Date.now();
+  assert.strictEqual(q.searchHistory({ since: String(now - 60000) }).total, 1);
+  assert.strictEqual(q.searchHistory({ since: String(now + 60000) }).total, 0);
+  assert.strictEqual(q.searchHistory({ until: new Date(now - 60000).toISOString() }).total, 0);
+  assert.strictEqual(q.searchHistory({ since: '1h' }).total, 1);
+  assert.throws(() => q.searchHistory({ since: 'last tuesday' }), /Invalid time/);
+});
+
+test('limit and offset page through the results', () => {
+  const q = openQueue();
+  for (const n of [1, 2, 3]) finish(q, `task ${n}`);
+  const page = q.searchHistory({ limit: 2, offset: 1 });
+  assert.strictEqual(page.total, 3);
+  assert.strictEqual(page.entries.length, 2);
+});
+
+test('historyLimit keeps the newest entries, and historyMaxAge drops old ones on load', () => {
+  const q = openQueue({ historyLimit: 2 });
+  for (const n of [1, 2, 3]) finish(q, `task ${n}`);
+  assert.deepStrictEqual(q.history.map(e => e.content), ['task 2', 'task 3']);
+
+  const lines = fs.readFileSync(q.files.history, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+  lines[0].finishedAt = new Date(Date.now() - 2 * 86400000).toISOString();
+  fs.writeFileSync(q.files.history, lines.map(e => JSON.stringify(e) + '\n').join('') + '{"id":"torn');
+  const restarted = reopen(q, { historyLimit: 0, historyMaxAge: 86400000 });
+  assert.deepStrictEqual(restarted.history.map(e => e.content), ['task 2', 'task 3']);
+  assert.strictEqual(fs.readFileSync(q.files.history, 'utf8').split('\n').filter(Boolean).length, 2);
+  assert.deepStrictEqual(restarted.historyOf(lines[2].id).map(e => e.state), ['completed']);
+});
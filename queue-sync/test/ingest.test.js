@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PRIORITY, parseIngest } = require('../main.js');
+const { openQueue } = require('./helpers');
+
+const telegram = (q, payload) => {
+  const req = { headers: { 'x-telegram-bot-api-secret-token': 's3cret' } };
+  return parseIngest('telegram', req, JSON.stringify(payload), q.config.ingest);
+};
+
+test('setting one ingest option keeps the default priority keywords', () => {
+  const q = openQueue({ ingest: { telegram: { secretToken: 's3cret' } } });
+  assert.deepStrictEqual(q.config.ingest.priority.keywords.critical, ['urgent', 'emergency', 'outage']);
+  assert.strictEqual(q.config.ingest.lark.baseUrl, 'https://open.larksuite.com');
+
+  const parsed = telegram(q, { message: { message_id: 1, chat: { id: 42 }, from: { id: 7 }, text: 'urgent fix prod' } });
+  q.ingest(parsed);
+  assert.strictEqual(q.queue[0].priority, PRIORITY.CRITICAL);
+});
+
+test('a telegram message is rejected without the secret token', () => {
+  const q = openQueue({ ingest: { telegram: { secretToken: 's3cret' } } });
+  const parsed = parseIngest('telegram', { headers: {} }, JSON.stringify({ message: { text: 'hi' } }), q.config.ingest);
+  assert.strictEqual(parsed.status, 401);
+});
+
+test('a telegram message without a chat is a validation error', () => {
+  const q = openQueue({ ingest: { telegram: { secretToken: 's3cret' } } });
+  assert.deepStrictEqual(telegram(q, { edited_message: { message_id: 1, text: 'hi' } }), { status: 400, error: 'Telegram message has no chat' });
+});
+
+test('with an encryptKey, lark events without a signature are rejected', () => {
+  const crypto = require('crypto');
+  const q = openQueue({ ingest: { lark: { verificationToken: 'vt', encryptKey: 'ek' } } });
+  const body = JSON.stringify({
+    schema: '2.0',
+    header: { event_type: 'im.message.receive_v1', token: 'vt', event_id: 'e1' },
+    event: { message: { message_id: 'm1', chat_id: 'c1', content: JSON.stringify({ text: 'hello' }) }, sender: { sender_id: { open_id: 'ou_1' } } }
+  });
+  assert.deepStrictEqual(parseIngest('lark', { headers: {} }, body, q.config.ingest), { status: 401, error: 'Missing Lark signature' });
+
+  const headers = { 'x-lark-request-timestamp': '1', 'x-lark-request-nonce': 'n' };
+  headers['x-lark-signature'] = crypto.createHash('sha256').update('1nek' + body).digest('hex');
+  assert.strictEqual(parseIngest('lark', { headers }, body, q.config.ingest).content, 'hello');
+  headers['x-lark-signature'] = 'f'.repeat(64);
+  assert.strictEqual(parseIngest('lark', { headers }, body, q.config.ingest).status, 401);
+
+  const challenge = JSON.stringify({ type: 'url_verification', token: 'vt', challenge: 'abc' });
+  assert.deepStrictEqual(parseIngest('lark', { headers: {} }, challenge, q.config.ingest), { response: { challenge: 'abc' } });
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { TASK_STATE } = require('../main.js');
+const { openQueue } = require('./helpers');
+
+const open = (config = {}) => openQueue({ retryDelay: 0, ...config });
+
+// Push a task's lease into the past
+const expire = (q, task) => { task.lease.expiresAt = new Date(Date.now() - 1000).toISOString(); };
+
+test('with the default config a worker can claim a new task', () => {
+  const q = open();
+  const task = q.enqueue('work');
+  const claimed = q.claim('w1');
+  assert.strictEqual(claimed.id, task.id);
+  assert.strictEqual(claimed.lease.workerId, 'w1');
+  assert.ok(claimed.lease.expiresAt);
+});
+
+test('an expired lease returns the task to pending as a retry', () => {
+  const q = open();
+  const task = q.enqueue('work');
+  q.claim('w1');
+  expire(q, task);
+  assert.strictEqual(q.reapLeases(), 1);
+  assert.strictEqual(task.state, TASK_STATE.PENDING);
+  assert.strictEqual(task.retryCount, 1);
+  assert.strictEqual(q.claim('w2').id, task.id);
+});
+
+test('a heartbeat extends the lease only for the worker holding it', () => {
+  const q = open();
+  const task = q.enqueue('work');
+  q.claim('w1');
+  expire(q, task);
+  assert.strictEqual(q.heartbeat(task.id, 'w2'), null);
+  assert.ok(q.heartbeat(task.id, 'w1'));
+  assert.strictEqual(q.reapLeases(), 0);
+});
+
+test('running out of retries on lease expiry dead-letters the task', () => {
+  const q = open({ maxRetries: 2 });
+  const task = q.enqueue('work');
+  q.claim('w1');
+  expire(q, task);
+  q.reapLeases();
+  q.claim('w1');
+  expire(q, task);
+  q.reapLeases();
+  assert.strictEqual(q.queue.length, 0);
+  assert.strictEqual(q.getDeadLetter(task.id).error, 'Lease expired (worker w1)');
+});
+
+test('autoProcess leases are renewed for the local agent while the process runs', () => {
+  const q = open({ autoProcess: true, leaseTimeout: 60000 });
+  const task = q.enqueue('work');
+  assert.strictEqual(task.state, TASK_STATE.PROCESSING);
+  assert.strictEqual(task.lease.workerId, 'local');
+
+  task.lease.expiresAt = new Date(Date.now() + 10).toISOString();
+  assert.strictEqual(q.reapLeases(), 0);
+  assert.ok(new Date(task.lease.expiresAt) - Date.now() > 50000);
+  assert.ok(q.completeTask(task.id, 'done'));
+  assert.strictEqual(q.localLeases.size, 1);
+  q.reapLeases();
+  assert.strictEqual(q.localLeases.size, 0);
+});
+
+test('a leaseMs that is not a positive number is rejected before the task is touched', () => {
+  const q = open();
+  const task = q.enqueue('work');
+  const seq = q.seq;
+  for (const leaseMs of ['30000', -1, 0, NaN, null]) {
+    assert.throws(() => q.claim('w1', leaseMs), /Invalid leaseMs/);
+  }
+  assert.strictEqual(task.state, TASK_STATE.PENDING);
+  assert.strictEqual(task.lease, undefined);
+  assert.strictEqual(q.seq, seq);
+
+  q.claim('w1', 30000);
+  assert.throws(() => q.heartbeat(task.id, 'w1', '30000'), /Invalid leaseMs/);
+  assert.ok(new Date(task.lease.expiresAt) > Date.now());
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'task-queue-test-'));
+const { QueueRouter } = require('../main.js');
+const { openQueue, reopen, serve } = require('./helpers');
+
+const minutesAgo = (m) => new Date(Date.now() - m * 60000).toISOString();
+const sample = (fields) => ({ at: minutesAgo(1), platform: 'discord', outcome: 'completed', waitMs: 0, runMs: 0, ...fields });
+
+test('percentiles, failure rate and throughput are computed per window', () => {
+  const q = openQueue();
+  for (let i = 1; i <= 100; i++) q.addSample(sample({ waitMs: i, runMs: i * 10, outcome: i % 4 ? 'completed' : 'failed' }));
+  q.addSample(sample({ at: minutesAgo(120), platform: 'telegram', waitMs: 5000 }));
+
+  const { windows } = q.getMetrics();
+  assert.deepStrictEqual(windows['5m'].waitMs, { count: 100, p50: 50, p95: 95, p99: 99 });
+  assert.strictEqual(windows['5m'].runMs.p95, 950);
+  assert.deepStrictEqual([windows['5m'].completed, windows['5m'].failed, windows['5m'].failureRate], [75, 25, 0.25]);
+  assert.strictEqual(windows['5m'].throughputPerMin, 20);
+  assert.deepStrictEqual(Object.keys(windows['5m'].byPlatform), ['discord']);
+  assert.strictEqual(windows['24h'].byPlatform.telegram.completed, 1);
+  assert.strictEqual(windows['24h'].waitMs.count, 101);
+});
+
+test('empty windows report null percentiles and a zero failure rate', () => {
+  const { windows } = openQueue().getMetrics();
+  assert.deepStrictEqual(windows['1h'].runMs, { count: 0, p50: null, p95: null, p99: null });
+  assert.strictEqual(windows['1h'].failureRate, 0);
+});
+
+test('finished tasks leave samples that survive a restart; old ones are dropped', () => {
+  const q = openQueue({ maxRetries: 1 });
+  q.enqueue('ok', { platform: 'lark' });
+  q.completeTask(q.claim('w1').id);
+  q.enqueue('bad', { platform: 'lark' });
+  q.failTask(q.claim('w1').id, 'boom');
+  q.addSample(sample({ at: minutesAgo(60 * 25) }));
+
+  const m = reopen(q, { maxRetries: 1 }).getMetrics();
+  assert.deepStrictEqual(m.totals, { completed: 1, failed: 1 });
+  assert.deepStrictEqual(m.windows['24h'].byPlatform, { lark: { completed: 1, failed: 1, throughputPerMin: 0.001 } });
+
+  const capped = openQueue({ metricsSamples: 3 });
+  for (let i = 0; i < 5; i++) capped.addSample(sample({ waitMs: i }));
+  assert.deepStrictEqual(capped.samples.map(s => s.waitMs), [2, 3, 4]);
+});
+
+test('Prometheus output labels every series with its queue', () => {
+  const q = openQueue();
+  q.enqueue('waiting');
+  const text = q.formatPrometheus();
+  assert.match(text, /^# TYPE task_queue_tasks gauge$/m);
+  assert.match(text, /^task_queue_tasks\{queue="default",state="pending"\} 1$/m);
+  assert.match(text, /^task_queue_wait_seconds\{queue="default",window="5m",quantile="0.95"\} NaN$/m);
+  assert.match(text, /^task_queue_finished_total\{queue="default",outcome="completed"\} 0$/m);
+});
+
+test('GET /metrics serves every queue as Prometheus text, or JSON on request', async () => {
+  const router = new QueueRouter({ fsync: false, queues: { chat: {} } });
+  const { server, request } = await serve(router);
+  try {
+    router.get('chat').enqueue('hello');
+    const text = await request('GET', '/metrics');
+    assert.match(text.headers['content-type'], /^text\/plain/);
+    assert.match(text.text, /task_queue_tasks\{queue="default",state="pending"\} 0/);
+    assert.match(text.text, /task_queue_tasks\{queue="chat",state="pending"\} 1/);
+
+    const json = await request('GET', '/queues/chat/metrics', { headers: { accept: 'application/json' } });
+    assert.strictEqual(json.json().queue.pending, 1);
+    assert.strictEqual((await request('GET', '/metrics?format=json')).json().queue.pending, 0);
+  } finally {
+    server.close();
+    router.shutdown();
+  }
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { TASK_STATE } = require('../main.js');
+const { tmpDir, openQueue, reopen } = require('./helpers');
+
+test('tasks and their state survive a restart through the journal', () => {
+  const q = openQueue();
+  const a = q.enqueue('first');
+  const b = q.enqueue('second');
+  q.claim('w1');
+  q.completeTask(a.id, { text: 'done' });
+
+  const reopened = reopen(q);
+  assert.deepStrictEqual(reopened.queue.map(t => t.id), [b.id]);
+  assert.strictEqual(reopened.state.totalProcessed, 1);
+  assert.strictEqual(reopened.parentOutcome(a.id), TASK_STATE.COMPLETED);
+});
+
+test('a torn last journal line is dropped', () => {
+  const q = openQueue();
+  const a = q.enqueue('kept');
+  fs.appendFileSync(q.files.journal, '{"seq":99,"op":"put","task":{"id":"half');
+
+  const reopened = reopen(q);
+  assert.deepStrictEqual(reopened.queue.map(t => t.id), [a.id]);
+  assert.strictEqual(reopened.recovery.tornTail, true);
+  assert.deepStrictEqual(reopened.recovery.errors, []);
+});
+
+test('a corrupt snapshot falls back to the previous generation', () => {
+  const q = openQueue();
+  const a = q.enqueue('one');
+  q.persist();
+  const b = q.enqueue('two');
+  q.persist();
+  fs.writeFileSync(q.files.snapshot, '{"not": "a snapshot"');
+
+  const reopened = reopen(q);
+  assert.ok(reopened.recovery.errors.some(e => e.includes('snapshot.json is corrupt')));
+  // The previous snapshot has "one"; "two" is replayed from the previous journal
+  assert.deepStrictEqual(reopened.queue.map(t => t.id).sort(), [a.id, b.id].sort());
+});
+
+test('compaction every compactEvery records keeps the journal short', () => {
+  const q = openQueue({ compactEvery: 5 });
+  for (let i = 0; i < 12; i++) q.enqueue(`task ${i}`);
+  assert.ok(q.journalRecords < 5);
+  assert.strictEqual(reopen(q).queue.length, 12);
+});
+
+test('a task the local agent held when the process died is handed out again after a restart', () => {
+  const config = { autoProcess: true, retryDelay: 0 };
+  const q = openQueue(config);
+  const task = q.enqueue('work');
+  assert.strictEqual(task.lease.workerId, 'local');
+
+  // The new process doesn't renew the old lease; once it runs out the task is retried
+  const reopened = reopen(q, config);
+  const stale = reopened.queue.find(t => t.id === task.id);
+  assert.strictEqual(stale.state, TASK_STATE.PROCESSING);
+  stale.lease.expiresAt = new Date(Date.now() - 1000).toISOString();
+  assert.strictEqual(reopened.reapLeases(), 1);
+  assert.strictEqual(stale.retryCount, 1);
+  assert.ok(reopened.localLeases.has(task.id));
+
+  // Leases written without an expiry by older versions are reaped on startup
+  stale.lease.expiresAt = null;
+  reopened.record('put', { task: stale });
+  const again = reopen(q, config).queue.find(t => t.id === task.id);
+  assert.strictEqual(again.retryCount, 2);
+  assert.ok(again.lease.expiresAt);
+});
+
+test('CLI runs leave nothing to replay; a crash is reported on the next run', () => {
+  const { execFileSync } = require('child_process');
+  const home = tmpDir();
+  const cli = (...args) => execFileSync(process.execPath, [path.join(__dirname, '..', 'main.js'), ...args], { env: { ...process.env, HOME: home }, encoding: 'utf8' });
+  cli('enqueue', 'first');
+  cli('enqueue', 'second');
+  assert.doesNotMatch(cli('status'), /Recovered/);
+
+  // Simulate a process killed after journaling a change
+  const q = openQueue({}, path.join(home, '.task-queue'));
+  q.enqueue('third');
+  assert.match(cli('status'), /Recovered after an unclean shutdown: 3 tasks/);
+  assert.doesNotMatch(cli('status'), /Recovered/);
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { TASK_STATE } = require('../main.js');
+const { openQueue } = require('./helpers');
+
+test('a partial retryPolicy keeps the default factor, maxDelay and jitter', () => {
+  const q = openQueue({ retryDelay: 1000, retryPolicy: { strategy: 'exponential' } });
+  assert.strictEqual(q.config.retryPolicy.factor, 2);
+  assert.strictEqual(q.config.retryPolicy.maxDelay, 300000);
+
+  const task = q.enqueue('flaky');
+  q.claim('w1');
+  assert.ok(q.failTask(task.id, 'boom', 'w1'));
+  assert.strictEqual(task.state, TASK_STATE.PENDING);
+  const wait = new Date(task.nextAttemptAt) - Date.now();
+  assert.ok(wait > 500 && wait <= 1200, `waits about retryDelay, got ${wait}ms`);
+});
+
+test('a lease expiry under a partial policy is retried instead of throwing', () => {
+  const q = openQueue({ retryPolicy: { strategy: 'exponential' } });
+  const task = q.enqueue('work');
+  q.claim('w1');
+  task.lease.expiresAt = new Date(Date.now() - 1000).toISOString();
+  assert.strictEqual(q.reapLeases(), 1);
+  assert.ok(Number.isFinite(new Date(task.nextAttemptAt).getTime()));
+});
+
+test('exponential delays grow by factor and stop at maxDelay', () => {
+  const q = openQueue({ maxRetries: 10, retryDelay: 100, retryPolicy: { strategy: 'exponential', jitter: 0, maxDelay: 350 } });
+  const task = q.enqueue('work');
+  const delays = [1, 2, 3, 4].map(n => {
+    task.retryCount = n;
+    return q.retryDecision(task, 'unknown').delay;
+  });
+  assert.deepStrictEqual(delays, [100, 200, 350, 350]);
+});
+
+test('byClass overrides the policy for one error class', () => {
+  const q = openQueue({ retryPolicy: { byClass: { validation: { strategy: 'none' } } } });
+  const task = q.enqueue('bad input');
+  q.claim('w1');
+  q.failTask(task.id, 'invalid payload', 'w1');
+  assert.strictEqual(q.getDeadLetter(task.id).task.failures[0].errorClass, 'validation');
+  assert.strictEqual(q.queue.length, 0);
+});
+
+test('policies with unknown strategies or non-numeric fields are rejected', () => {
+  assert.throws(() => openQueue({ retryPolicy: { factor: 'two' } }), /retryPolicy\.factor/);
+  const q = openQueue();
+  assert.throws(() => q.enqueue('x', { retry: { strategy: 'sometimes' } }), /retry\.strategy/);
+  assert.throws(() => q.enqueue('x', { retry: { byClass: { timeout: { delay: -1 } } } }), /retry\.byClass\.timeout\.delay/);
+});
+
+test('the next occurrence of a recurring task keeps its retry policy', () => {
+  const q = openQueue();
+  const task = q.enqueue('nightly report', { repeat: '@daily', runAt: Date.now(), retry: { strategy: 'none' }, onParentFailure: 'run' });
+  q.claim('w1');
+  q.failTask(task.id, 'boom', 'w1');
+  assert.strictEqual(q.getDeadLetter(task.id).task.retryCount, 1);
+
+  const next = q.queue.find(t => t.seriesId === task.id);
+  assert.strictEqual(next.occurrence, 2);
+  assert.deepStrictEqual(next.retry, { strategy: 'none' });
+  assert.strictEqual(next.onParentFailure, 'run');
+});
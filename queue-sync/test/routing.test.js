@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'task-queue-test-'));
+const { QueueRouter } = require('../main.js');
+const { serve } = require('./helpers');
+
+const config = {
+  fsync: false,
+  queues: { deploy: { maxRetries: 1 }, chat: { workers: 4 } },
+  routes: [
+    { queue: 'deploy', content: '^/deploy\\b' },
+    { queue: 'deploy', platform: 'lark', metadata: { kind: ['release', 'hotfix'] } },
+    { queue: 'chat', platform: ['discord', 'telegram'], userId: 'u1' }
+  ]
+};
+
+let router, server, request;
+
+test.before(async () => {
+  router = new QueueRouter(config);
+  ({ server, request } = await serve(router));
+});
+
+test.after(() => {
+  server.close();
+  router.shutdown();
+});
+
+test('the first rule whose fields all match picks the queue, otherwise the default', () => {
+  assert.strictEqual(router.route('/deploy api', { platform: 'discord', userId: 'u1' }), 'deploy');
+  assert.strictEqual(router.route('/deployment notes', { platform: 'discord', userId: 'u1' }), 'chat');
+  assert.strictEqual(router.route('ship it', { platform: 'lark', metadata: { kind: 'hotfix' } }), 'deploy');
+  assert.strictEqual(router.route('ship it', { platform: 'lark', metadata: { kind: 'docs' } }), 'default');
+  assert.strictEqual(router.route('hi', { platform: 'telegram', userId: 'u2' }), 'default');
+  assert.strictEqual(router.route('hi'), 'default');
+});
+
+test('bad queue names and routes to unknown queues are rejected up front', () => {
+  assert.throws(() => new QueueRouter({ queues: { '../etc': {} } }), /Invalid queue name/);
+  assert.throws(() => new QueueRouter({ routes: [{ queue: 'nowhere' }] }), /unknown queue: nowhere/);
+  assert.throws(() => router.get('nowhere'), /Unknown queue/);
+});
+
+test('each named queue has its own directory and config overrides', () => {
+  const deploy = router.get('deploy');
+  assert.strictEqual(deploy.dir, path.join(process.env.HOME, '.task-queue', 'queues', 'deploy'));
+  assert.strictEqual(deploy.config.maxRetries, 1);
+  assert.strictEqual(router.get('chat').config.workers, 4);
+  assert.strictEqual(router.get().config.workers, 1);
+});
+
+test('top-level POST /enqueue is routed, and task-id routes find the owning queue', async () => {
+  const res = (await request('POST', '/enqueue', { body: { content: '/deploy web', platform: 'discord' } })).json();
+  assert.strictEqual(res.queue, 'deploy');
+  const { task } = (await request('POST', '/queues/deploy/claim', { body: { workerId: 'w1' } })).json();
+  assert.strictEqual(task.id, res.taskId);
+
+  const done = await request('POST', '/complete', { body: { id: res.taskId, workerId: 'w1' } });
+  assert.strictEqual(done.status, 200);
+  assert.strictEqual(router.owner(res.taskId).name, 'deploy');
+  assert.strictEqual(router.get('deploy').state.totalProcessed, 1);
+});
+
+test('/queues/:name routes act on that queue only', async () => {
+  const res = (await request('POST', '/queues/chat/enqueue', { body: { content: '/deploy not routed here' } })).json();
+  assert.strictEqual(res.queue, 'chat');
+  assert.strictEqual((await request('GET', '/queues/chat/status')).json().queue.pending, 1);
+  assert.strictEqual((await request('GET', '/status')).json().queue.pending, 0);
+
+  const list = (await request('GET', '/queues')).json();
+  assert.deepStrictEqual(list.map(q => q.name), ['default', 'deploy', 'chat']);
+  assert.strictEqual((await request('GET', '/queues/nowhere/status')).status, 404);
+});
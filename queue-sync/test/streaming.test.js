@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+process.env.HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'task-queue-test-'));
+const { QueueRouter } = require('../main.js');
+const { serve } = require('./helpers');
+
+let router, server, port;
+
+test.before(async () => {
+  router = new QueueRouter({ fsync: false, queues: { chat: {} } });
+  ({ server, port } = await serve(router));
+});
+
+test.after(() => {
+  server.close();
+  router.shutdown();
+});
+
+// Read an SSE stream until `count` events have arrived
+function sse(pathname, headers = {}, count = 1) {
+  return new Promise((resolve, reject) => {
+    const req = http.get({ host: '127.0.0.1', port, path: pathname, headers }, res => {
+      let text = '';
+      res.on('data', chunk => {
+        text += chunk;
+        const events = text.split('\n\n').filter(block => block.startsWith('id: '));
+        if (events.length < count) return;
+        req.destroy();
+        resolve(events.map(block => {
+          const [, id, type, data] = block.match(/^id: (.*)\nevent: (.*)\ndata: (.*)$/);
+          return { id, type, data: JSON.parse(data) };
+        }));
+      });
+    });
+    req.on('error', e => e.code !== 'ECONNRESET' && reject(e));
+    req.setTimeout(5000, () => req.destroy(new Error(`${pathname}: too few events`)));
+  });
+}
+
+// Open a WebSocket and collect `count` text frames (the server never masks)
+function ws(pathname, count = 1) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      host: '127.0.0.1', port, path: pathname,
+      headers: { Connection: 'Upgrade', Upgrade: 'websocket', 'Sec-WebSocket-Version': '13', 'Sec-WebSocket-Key': crypto.randomBytes(16).toString('base64') }
+    });
+    req.on('response', res => resolve({ status: res.statusCode, frames: [] }));
+    req.on('upgrade', (res, socket, head) => {
+      let buffer = head;
+      const frames = [];
+      const read = (chunk) => {
+        buffer = Buffer.concat([buffer, chunk]);
+        while (buffer.length >= 2) {
+          const short = buffer[1] & 0x7f;
+          const offset = short === 126 ? 4 : 2;
+          const length = short === 126 ? buffer.readUInt16BE(2) : short;
+          if (buffer.length < offset + length) break;
+          frames.push(JSON.parse(buffer.subarray(offset, offset + length)));
+          buffer = buffer.subarray(offset + length);
+        }
+        if (frames.length >= count) {
+          socket.destroy();
+          resolve({ status: res.statusCode, frames });
+        }
+      };
+      socket.on('data', read);
+      read(Buffer.alloc(0));
+    });
+    req.on('error', reject);
+    req.setTimeout(5000, () => req.destroy(new Error(`${pathname}: too few frames`)));
+    req.end();
+  });
+}
+
+test('SSE replays the events after Last-Event-ID, then streams new ones until the client leaves', async () => {
+  const q = router.get();
+  q.enqueue('a');
+  const seen = q.events[q.events.length - 1].id;
+  q.enqueue('b');
+
+  const pending = sse('/events?types=enqueued', { 'Last-Event-ID': seen }, 2);
+  while (!q.listenerCount('event')) await new Promise(resolve => setTimeout(resolve, 10));
+  q.enqueue('c');
+  const events = await pending;
+  assert.deepStrictEqual(events.map(e => e.data.task.content), ['b', 'c']);
+  assert.strictEqual(events[0].id, events[0].data.id);
+  while (q.listenerCount('event')) await new Promise(resolve => setTimeout(resolve, 10));
+});
+
+test('SSE answers an id from another process with a reset', async () => {
+  const [event] = await sse('/events', { 'Last-Event-ID': '0badc0de-1' });
+  assert.strictEqual(event.type, 'reset');
+});
+
+test('WebSocket clients resume with ?lastEventId= on a named queue', async () => {
+  const q = router.get('chat');
+  q.enqueue('hello');
+  const seen = q.events[q.events.length - 1].id;
+  q.enqueue('again');
+  const { status, frames } = await ws(`/queues/chat/events?lastEventId=${seen}`);
+  assert.strictEqual(status, 101);
+  assert.strictEqual(frames[0].task.content, 'again');
+});
+
+test('WebSocket upgrades to unknown paths or queues are refused', async () => {
+  assert.strictEqual((await ws('/queues/nope/events')).status, 400);
+  assert.strictEqual((await ws('/status')).status, 400);
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { openQueue } = require('./helpers');
+
+// Oldest first, so the caps alone decide what is skipped
+const open = (config = {}) => openQueue({ fairness: [], agingInterval: 0, ...config });
+
+const drain = (q, worker = 'w') => {
+  const claimed = [];
+  let task;
+  while ((task = q.claim(`${worker}${claimed.length}`))) claimed.push(task);
+  return claimed;
+};
+
+test('no more tasks run at once than there are workers', () => {
+  const q = open({ workers: 2 });
+  for (let i = 0; i < 3; i++) q.enqueue(`t${i}`);
+  const [first] = drain(q);
+  assert.strictEqual(q.activeTasks().length, 2);
+  q.completeTask(first.id);
+  assert.strictEqual(q.claim('w9').content, 't2');
+});
+
+test('platform limits cap each platform, with "*" as the default', () => {
+  const q = open({ workers: 5, platformLimits: { discord: 1, '*': 2 } });
+  for (const platform of ['discord', 'discord', 'telegram', 'telegram', 'telegram']) q.enqueue('x', { platform });
+  const platforms = drain(q).map(t => t.platform);
+  assert.deepStrictEqual(platforms, ['discord', 'telegram', 'telegram']);
+});
+
+test('userLimit caps tasks per user and frees the slot when one finishes', () => {
+  const q = open({ workers: 4, userLimit: 1 });
+  q.enqueue('a1', { userId: 'alice' });
+  q.enqueue('a2', { userId: 'alice' });
+  q.enqueue('b1', { userId: 'bob' });
+  const claimed = drain(q);
+  assert.deepStrictEqual(claimed.map(t => t.content), ['a1', 'b1']);
+  q.completeTask(claimed[0].id);
+  assert.strictEqual(q.claim('w9').content, 'a2');
+});
+
+test('complete and fail only act for the worker holding the lease', () => {
+  const q = open({ workers: 2, maxRetries: 0 });
+  const a = q.enqueue('a');
+  const b = q.enqueue('b');
+  drain(q, 'worker-');
+  assert.strictEqual(q.completeTask(a.id, {}, 'someone-else'), false);
+  assert.strictEqual(q.failTask(b.id, 'boom', 'someone-else'), false);
+  assert.ok(q.completeTask(a.id, {}, 'worker-0'));
+  assert.ok(q.failTask(b.id, 'boom', 'worker-1'));
+  assert.strictEqual(q.activeTasks().length, 0);
+});
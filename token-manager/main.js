@@ -9,12 +9,26 @@
  * - Access control toggle
  * - Platform connections tracking
  * - Auto-provision tokens to platforms
+ * - Vault mode: token values encrypted at rest with a master passphrase
+ * - Per-client API keys with scoped grants for skills
+ * - Expiry tracking and rotation with a grace period for the previous value
+ * - Live validation probes per platform (GitHub, Home Assistant, ClawHub, HTTP)
+ * - Append-only, hash-chained audit log of every operation and its caller
+ * - Import/export: .env files, openclaw.json providers, environment, encrypted bundles
+ * - Secret injection runner: exec a command with tokens as environment variables
+ * - Chat gateway with user allowlist, roles, confirmations and webhook signatures
+ * - Profiles: separate token sets, platforms and access flags per environment
+ * - Usage analytics per token with burst / new-platform / off-hours alerts
  */
 
 const fs = require('fs');
 const path = require('path');
 const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
 const { exec, spawn } = require('child_process');
+const { Transform } = require('stream');
+const { StringDecoder } = require('string_decoder');
 
 const C = {
   reset: '\x1b[0m', bright: '\x1b[1m', dim: '\x1b[2m',
@@ -25,56 +39,483 @@ const C = {
 const CONFIG_DIR = path.join(process.env.HOME || '/home/crix', '.token-manager');
 const DATA_FILE = path.join(CONFIG_DIR, 'tokens.json');
 const CONFIG_FILE = path.join(CONFIG_DIR, 'config.json');
+const AUDIT_FILE = path.join(CONFIG_DIR, 'audit.jsonl');
 
 if (!fs.existsSync(CONFIG_DIR)) {
   fs.mkdirSync(CONFIG_DIR, { recursive: true });
 }
 
+// Each profile (home, prod, staging, ...) holds its own tokens, platforms and
+// access flag. The vault and client credentials are shared by all profiles.
+const DEFAULT_PROFILE = 'default';
+
+function emptyProfile() {
+  return { accessEnabled: false, tokens: {}, platforms: {} };
+}
+
 const DEFAULT_DATA = {
-  accessEnabled: false,
-  tokens: {},
-  platforms: {},  // Connected platforms
-  history: []
+  activeProfile: DEFAULT_PROFILE,
+  profiles: { [DEFAULT_PROFILE]: emptyProfile() },
+  clients: {}     // Skill credentials and their grants
 };
 
-function loadData() {
+// Profile for this process or request, overriding the stored active profile
+// (--profile, TOKEN_MANAGER_PROFILE, ?profile=)
+let profileOverride = process.env.TOKEN_MANAGER_PROFILE || null;
+
+function readDataFile() {
   if (!fs.existsSync(DATA_FILE)) {
     saveData(DEFAULT_DATA);
-    return DEFAULT_DATA;
+    return JSON.parse(JSON.stringify(DEFAULT_DATA));
   }
   try {
-    return JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+    const data = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+    // Single flat token map from before profiles becomes the default profile
+    if (!data.profiles) {
+      data.profiles = { [DEFAULT_PROFILE]: { accessEnabled: !!data.accessEnabled, tokens: data.tokens || {}, platforms: data.platforms || {} } };
+      data.activeProfile = DEFAULT_PROFILE;
+      delete data.accessEnabled; delete data.tokens; delete data.platforms;
+    }
+    if (Array.isArray(data.history)) migrateHistory(data);
+    // Drop previous values of rotated tokens once their grace period ends
+    for (const profile of Object.values(data.profiles)) {
+      for (const token of Object.values(profile.tokens)) {
+        if (token.previous && new Date(token.previous.until) < new Date()) delete token.previous;
+      }
+    }
+    return data;
   } catch (e) {
-    return DEFAULT_DATA;
+    return JSON.parse(JSON.stringify(DEFAULT_DATA));
   }
 }
 
+// Data with the selected profile's tokens, platforms and accessEnabled on top
+function loadData(profile = profileOverride) {
+  const data = readDataFile();
+  const name = profile || data.activeProfile || DEFAULT_PROFILE;
+  const selected = data.profiles[name] || emptyProfile();
+  return { ...data, profile: name, accessEnabled: selected.accessEnabled, tokens: selected.tokens, platforms: selected.platforms };
+}
+
 function saveData(data) {
-  fs.writeFileSync(DATA_FILE, JSON.stringify(data, null, 2));
+  const { profile, accessEnabled, tokens, platforms, ...stored } = data;
+  if (profile) stored.profiles = { ...stored.profiles, [profile]: { accessEnabled, tokens, platforms } };
+  fs.writeFileSync(DATA_FILE, JSON.stringify(stored, null, 2), { mode: 0o600 });
+  fs.chmodSync(DATA_FILE, 0o600);
+}
+
+function currentProfile() {
+  return profileOverride || readDataFile().activeProfile || DEFAULT_PROFILE;
+}
+
+function profileExists(name) {
+  return !!readDataFile().profiles[name];
+}
+
+// Run fn with another profile selected (fn must be synchronous)
+function withProfile(name, fn) {
+  if (!name) return fn();
+  if (!profileExists(name)) return { error: `Profile not found: ${name}`, code: 'PROFILE_NOT_FOUND', profile: name };
+  const saved = profileOverride;
+  profileOverride = name;
+  try {
+    return fn();
+  } finally {
+    profileOverride = saved;
+  }
+}
+
+function listProfiles() {
+  const data = readDataFile();
+  const active = currentProfile();
+  return Object.entries(data.profiles).map(([name, p]) => ({
+    name, active: name === active, stored: name === data.activeProfile,
+    accessEnabled: p.accessEnabled, tokens: Object.keys(p.tokens).length, platforms: Object.keys(p.platforms).length
+  }));
+}
+
+function createProfile(name, { from = null } = {}, caller = LOCAL_CALLER) {
+  if (!/^[a-z0-9][\w-]*$/i.test(name || '')) return { error: 'Invalid profile name', code: 'INVALID_PROFILE' };
+  const data = readDataFile();
+  if (data.profiles[name]) return { error: `Profile exists: ${name}`, code: 'PROFILE_EXISTS' };
+  if (from && !data.profiles[from]) return { error: `Profile not found: ${from}`, code: 'PROFILE_NOT_FOUND' };
+  
+  const profile = emptyProfile();
+  if (from) {
+    // Copies start with access disabled so a new environment is opt-in
+    profile.tokens = JSON.parse(JSON.stringify(data.profiles[from].tokens));
+    profile.platforms = JSON.parse(JSON.stringify(data.profiles[from].platforms));
+  }
+  data.profiles[name] = profile;
+  audit({ action: 'profile_create', name, from: from || undefined, profile: name }, caller);
+  saveData(data);
+  return { created: name, tokens: Object.keys(profile.tokens).length };
+}
+
+function useProfile(name, caller = LOCAL_CALLER) {
+  const data = readDataFile();
+  if (!data.profiles[name]) return { error: `Profile not found: ${name}`, code: 'PROFILE_NOT_FOUND' };
+  const previous = data.activeProfile;
+  data.activeProfile = name;
+  audit({ action: 'profile_use', name, from: previous, profile: name }, caller);
+  saveData(data);
+  return { active: name, previous };
+}
+
+function deleteProfile(name, caller = LOCAL_CALLER) {
+  const data = readDataFile();
+  if (!data.profiles[name]) return { error: `Profile not found: ${name}`, code: 'PROFILE_NOT_FOUND' };
+  if (name === data.activeProfile) return { error: 'Cannot delete the active profile, switch first', code: 'PROFILE_ACTIVE' };
+  const removed = Object.keys(data.profiles[name].tokens).length;
+  delete data.profiles[name];
+  audit({ action: 'profile_delete', name, tokens: removed, profile: name }, caller);
+  saveData(data);
+  return { deleted: name, tokens: removed };
+}
+
+// Audit log: one JSON entry per line in audit.jsonl. Every entry carries the
+// hash of the previous one, so editing or deleting a line breaks the chain
+// from that point on (see verifyAudit).
+const LOCAL_CALLER = { via: 'cli', user: process.env.USER || process.env.USERNAME || 'local' };
+
+function hashEntry(entry) {
+  const { hash, ...rest } = entry;
+  return crypto.createHash('sha256').update(JSON.stringify(rest)).digest('hex');
+}
+
+// Last line of the audit file, read from the end so the file can grow large
+function lastAuditEntry() {
+  if (!fs.existsSync(AUDIT_FILE)) return null;
+  const fd = fs.openSync(AUDIT_FILE, 'r+');
+  try {
+    const size = fs.fstatSync(fd).size;
+    let chunk = Math.min(size, 4096);
+    while (chunk > 0) {
+      const buf = Buffer.alloc(chunk);
+      fs.readSync(fd, buf, 0, chunk, size - chunk);
+      const lines = buf.toString('utf8').trimEnd().split('\n');
+      if (lines.length > 1 || chunk === size) {
+        let entry;
+        try { entry = JSON.parse(lines[lines.length - 1]); } catch (e) { return repairAuditTail(fd, size); }
+        // Complete entry but its newline never made it to disk
+        if (buf[chunk - 1] !== 0x0a) fs.writeSync(fd, '\n', size);
+        return entry;
+      }
+      chunk = Math.min(size, chunk * 4);
+    }
+    return null;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// The last line doesn't parse: an append was cut short. Truncate it so new
+// entries chain from the last complete one. Bad lines further up are left
+// alone for verifyAudit to report.
+function repairAuditTail(fd, size) {
+  const buf = Buffer.alloc(size);
+  fs.readSync(fd, buf, 0, size, 0);
+  const text = buf.toString('utf8');
+  const kept = text.slice(0, text.trimEnd().lastIndexOf('\n') + 1);
+  fs.ftruncateSync(fd, Buffer.byteLength(kept));
+  console.error(C.yellow + `Audit log: dropped a torn last line (${size - Buffer.byteLength(kept)} bytes)` + C.reset);
+  const lines = kept.split('\n').filter(Boolean);
+  for (let i = lines.length - 1; i >= 0; i--) {
+    try { return JSON.parse(lines[i]); } catch (e) { /* reported by verifyAudit */ }
+  }
+  return null;
+}
+
+function audit(fields, caller = LOCAL_CALLER, timestamp = new Date().toISOString()) {
+  const last = lastAuditEntry();
+  const entry = { seq: last ? last.seq + 1 : 1, timestamp, profile: fields.profile || currentProfile(), ...fields, caller, prev: last ? last.hash : null };
+  entry.hash = hashEntry(entry);
+  fs.appendFileSync(AUDIT_FILE, JSON.stringify(entry) + '\n', { mode: 0o600 });
+  return entry;
+}
+
+function readAuditLines() {
+  if (!fs.existsSync(AUDIT_FILE)) return [];
+  return fs.readFileSync(AUDIT_FILE, 'utf8').split('\n').filter(Boolean);
+}
+
+// Filter: action, name, platform, profile, client, q (free text), since, limit (newest first)
+function readAudit(filter = {}) {
+  const q = filter.q ? filter.q.toLowerCase() : null;
+  const since = filter.since ? new Date(filter.since) : null;
+  const entries = [];
+  for (const line of readAuditLines().reverse()) {
+    let e;
+    try { e = JSON.parse(line); } catch (err) { continue; }
+    const caller = e.caller || {};
+    if (filter.action && e.action !== filter.action) continue;
+    if (filter.name && e.name !== filter.name) continue;
+    if (filter.platform && e.platform !== filter.platform) continue;
+    if (filter.profile && (e.profile || DEFAULT_PROFILE) !== filter.profile) continue;
+    if (filter.client && e.client !== filter.client && caller.clientId !== filter.client) continue;
+    if (since && new Date(e.timestamp) < since) continue;
+    if (q && !line.toLowerCase().includes(q)) continue;
+    entries.push(e);
+    if (filter.limit && entries.length >= filter.limit) break;
+  }
+  return entries;
+}
+
+// Walk the whole chain; report the first entry whose hash or link is wrong
+function verifyAudit() {
+  const lines = readAuditLines();
+  let prev = null;
+  for (let i = 0; i < lines.length; i++) {
+    let e;
+    try { e = JSON.parse(lines[i]); } catch (err) {
+      return { ok: false, entries: lines.length, line: i + 1, reason: 'Unparseable entry' };
+    }
+    if (e.seq !== i + 1) return { ok: false, entries: lines.length, line: i + 1, seq: e.seq, reason: `Expected seq ${i + 1}, found ${e.seq}` };
+    if (e.prev !== prev) return { ok: false, entries: lines.length, line: i + 1, seq: e.seq, reason: 'Chain broken (previous entry removed or altered)' };
+    if (hashEntry(e) !== e.hash) return { ok: false, entries: lines.length, line: i + 1, seq: e.seq, reason: 'Entry modified (hash mismatch)' };
+    prev = e.hash;
+  }
+  return { ok: true, entries: lines.length, head: prev };
+}
+
+const AUDIT_COLUMNS = ['seq', 'timestamp', 'profile', 'action', 'name', 'platform', 'purpose', 'client', 'via', 'user', 'clientId', 'remote', 'chatUser', 'hash'];
+
+function auditToCsv(entries) {
+  const cell = (v) => v === undefined || v === null ? '' : /[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v);
+  const rows = entries.map(e => AUDIT_COLUMNS.map(col => cell(e[col] !== undefined ? e[col] : (e.caller || {})[col])).join(','));
+  return [AUDIT_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
+
+// Move the old in-file history array into the audit log (oldest first)
+function migrateHistory(data) {
+  for (const h of data.history) {
+    const { timestamp, ...fields } = h;
+    audit({ ...fields, profile: DEFAULT_PROFILE }, { via: 'legacy' }, timestamp);
+  }
+  delete data.history;
+  saveData(data);
+}
+
+// Parse "90s", "15m", "12h", "30d", "2w" into milliseconds
+function parseDuration(str) {
+  const match = String(str).trim().match(/^(\d+)\s*(s|m|h|d|w)?$/);
+  if (!match) return null;
+  const unit = { s: 1000, m: 60000, h: 3600000, d: 86400000, w: 604800000 }[match[2] || 'd'];
+  return parseInt(match[1]) * unit;
 }
 
 function loadConfig() {
-  const defaultConfig = { port: 3847, autoProvision: true };
+  const defaultConfig = {
+    port: 3847, host: '127.0.0.1', autoProvision: true, rotationGrace: '24h', expiryWarning: '7d', probes: {},
+    chat: { users: {}, confirmTtl: '2m' },
+    usageRetention: '14d', alerts: { webhook: null, burst: { count: 30, window: '5m' }, newPlatform: true, hours: null, cooldown: '15m' }
+  };
   if (!fs.existsSync(CONFIG_FILE)) {
     fs.writeFileSync(CONFIG_FILE, JSON.stringify(defaultConfig, null, 2));
     return defaultConfig;
   }
-  return JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8'));
+  return { ...defaultConfig, ...JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf8')) };
+}
+
+// Accept an ISO date ("2026-12-31") or a duration from now ("30d")
+function parseExpiry(value) {
+  if (!value) return null;
+  const ms = parseDuration(value);
+  if (ms) return new Date(Date.now() + ms).toISOString();
+  const date = new Date(value);
+  return isNaN(date) ? undefined : date.toISOString();
+}
+
+// Vault: token values are encrypted with AES-256-GCM using a key derived
+// (scrypt) from the master passphrase. The key only lives in process memory.
+const VAULT_PREFIX = 'enc:v1:';
+const VAULT_CHECK = 'token-manager-vault';
+let vaultKey = null;
+
+function deriveKey(passphrase, salt) {
+  return crypto.scryptSync(passphrase, Buffer.from(salt, 'base64'), 32, { N: 16384, r: 8, p: 1 });
+}
+
+function encryptValue(plain, key) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const enc = Buffer.concat([cipher.update(String(plain), 'utf8'), cipher.final()]);
+  return VAULT_PREFIX + [iv, cipher.getAuthTag(), enc].map(b => b.toString('base64')).join(':');
+}
+
+function decryptValue(stored, key) {
+  const [iv, tag, enc] = stored.slice(VAULT_PREFIX.length).split(':').map(b => Buffer.from(b, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(enc), decipher.final()]).toString('utf8');
+}
+
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(VAULT_PREFIX);
+}
+
+function vaultStatus(data = loadData()) {
+  return { enabled: !!data.vault, locked: !!data.vault && !vaultKey };
+}
+
+// Plaintext value of a stored token, or null while the vault is locked
+function readTokenValue(token) {
+  if (!isEncrypted(token.value)) return token.value;
+  if (!vaultKey) return null;
+  return decryptValue(token.value, vaultKey);
+}
+
+// Every stored token, across all profiles
+function allTokens(data) {
+  return Object.values(data.profiles).flatMap(p => Object.values(p.tokens));
+}
+
+// Encrypt any plaintext values left in the file (first unlock / legacy files)
+function migratePlaintext(data, key) {
+  let migrated = 0;
+  for (const entry of allTokens(data).flatMap(t => t.previous ? [t, t.previous] : [t])) {
+    if (!isEncrypted(entry.value)) {
+      entry.value = encryptValue(entry.value, key);
+      migrated++;
+    }
+  }
+  return migrated;
+}
+
+function checkPassphrase(data, passphrase) {
+  const key = deriveKey(passphrase, data.vault.salt);
+  try {
+    return decryptValue(data.vault.check, key) === VAULT_CHECK ? key : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function unlockVault(passphrase, caller = LOCAL_CALLER) {
+  if (!passphrase) return { error: 'Passphrase required', code: 'PASSPHRASE_REQUIRED' };
+  const data = readDataFile();
+  let key;
+  
+  if (!data.vault) {
+    // First unlock sets up the vault
+    const salt = crypto.randomBytes(16).toString('base64');
+    key = deriveKey(passphrase, salt);
+    data.vault = { kdf: 'scrypt', cipher: 'aes-256-gcm', salt, check: encryptValue(VAULT_CHECK, key), createdAt: new Date().toISOString() };
+  } else {
+    key = checkPassphrase(data, passphrase);
+    if (!key) return { error: 'Wrong passphrase', code: 'BAD_PASSPHRASE' };
+  }
+  
+  const migrated = migratePlaintext(data, key);
+  vaultKey = key;
+  audit({ action: 'unlock', migrated }, caller);
+  saveData(data);
+  return { unlocked: true, migrated };
+}
+
+function lockVault(caller = LOCAL_CALLER) {
+  const wasUnlocked = !!vaultKey;
+  vaultKey = null;
+  if (wasUnlocked) audit({ action: 'lock' }, caller);
+  return { locked: true };
+}
+
+function rekeyVault(passphrase, newPassphrase, caller = LOCAL_CALLER) {
+  const data = readDataFile();
+  if (!data.vault) return { error: 'Vault not initialised, unlock first', code: 'VAULT_UNINITIALISED' };
+  if (!newPassphrase) return { error: 'New passphrase required', code: 'PASSPHRASE_REQUIRED' };
+  const oldKey = checkPassphrase(data, passphrase || '');
+  if (!oldKey) return { error: 'Wrong passphrase', code: 'BAD_PASSPHRASE' };
+  
+  const salt = crypto.randomBytes(16).toString('base64');
+  const key = deriveKey(newPassphrase, salt);
+  const reencrypt = (value) => encryptValue(isEncrypted(value) ? decryptValue(value, oldKey) : value, key);
+  for (const token of allTokens(data)) {
+    token.value = reencrypt(token.value);
+    if (token.previous) token.previous.value = reencrypt(token.previous.value);
+  }
+  data.vault = { ...data.vault, salt, check: encryptValue(VAULT_CHECK, key), rekeyedAt: new Date().toISOString() };
+  vaultKey = key;
+  audit({ action: 'rekey' }, caller);
+  saveData(data);
+  return { rekeyed: true };
 }
 
 // Token operations
-function addToken(name, value, type = 'text', platform = null) {
+function addToken(name, value, type = 'text', platform = null, { expires = null, rotateEvery = null } = {}, caller = LOCAL_CALLER) {
   const data = loadData();
-  data.tokens[name] = { value, type, platform, addedAt: new Date().toISOString(), lastUsed: null };
-  data.history.push({ action: 'add', name, timestamp: new Date().toISOString() });
+  if (data.vault && !vaultKey) return { error: 'Vault locked', code: 'VAULT_LOCKED' };
+  const expiresAt = parseExpiry(expires);
+  if (expiresAt === undefined) return { error: `Invalid expiry: ${expires}`, code: 'INVALID_EXPIRY' };
+  if (rotateEvery && !parseDuration(rotateEvery)) return { error: `Invalid rotation period: ${rotateEvery}`, code: 'INVALID_ROTATION' };
+  const stored = data.vault ? encryptValue(value, vaultKey) : value;
+  data.tokens[name] = { value: stored, type, platform, addedAt: new Date().toISOString(), lastUsed: null, expiresAt, rotateEvery: rotateEvery || null };
+  audit({ action: 'add', name }, caller);
   saveData(data);
+  return { added: name };
 }
 
-function removeToken(name) {
+// Replace a token's value, keeping the old one readable for the grace period
+function rotateToken(name, value, { expires = null } = {}, caller = LOCAL_CALLER) {
+  const data = loadData();
+  const token = data.tokens[name];
+  if (!token) return { error: `Not found: ${name}`, code: 'NOT_FOUND' };
+  if (!value) return { error: 'New value required', code: 'VALUE_REQUIRED' };
+  if (data.vault && !vaultKey) return { error: 'Vault locked', code: 'VAULT_LOCKED' };
+  const expiresAt = parseExpiry(expires);
+  if (expiresAt === undefined) return { error: `Invalid expiry: ${expires}`, code: 'INVALID_EXPIRY' };
+  
+  const now = new Date();
+  const graceUntil = new Date(now.getTime() + (parseDuration(loadConfig().rotationGrace) || 0)).toISOString();
+  token.previous = { value: token.value, until: graceUntil };
+  token.value = data.vault ? encryptValue(value, vaultKey) : value;
+  token.rotatedAt = now.toISOString();
+  token.expiresAt = expiresAt;
+  audit({ action: 'rotate', name }, caller);
+  saveData(data);
+  return { rotated: name, previousValidUntil: graceUntil };
+}
+
+// Previous value of a rotated token while it is still inside the grace period
+function readPreviousValue(token) {
+  if (!token.previous || new Date(token.previous.until) < new Date()) return undefined;
+  return readTokenValue(token.previous);
+}
+
+// Expired, soon-expiring and rotation-due tokens
+function tokenHealth(data, config = loadConfig()) {
+  const now = Date.now();
+  const warnMs = parseDuration(config.expiryWarning) || 0;
+  const health = { expired: [], expiring: [], stale: [] };
+  
+  for (const [name, t] of Object.entries(data.tokens)) {
+    if (t.expiresAt) {
+      const at = new Date(t.expiresAt).getTime();
+      if (at <= now) health.expired.push({ name, expiresAt: t.expiresAt });
+      else if (at - now <= warnMs) health.expiring.push({ name, expiresAt: t.expiresAt });
+    }
+    const every = t.rotateEvery && parseDuration(t.rotateEvery);
+    if (every) {
+      const dueAt = new Date(new Date(t.rotatedAt || t.addedAt).getTime() + every);
+      if (dueAt.getTime() <= now) health.stale.push({ name, dueAt: dueAt.toISOString(), rotateEvery: t.rotateEvery });
+    }
+  }
+  return health;
+}
+
+function formatHealth(health) {
+  return [
+    ...health.expired.map(h => `${h.name}: expired ${h.expiresAt.slice(0, 10)}`),
+    ...health.expiring.map(h => `${h.name}: expires ${h.expiresAt.slice(0, 10)}`),
+    ...health.stale.map(h => `${h.name}: rotation due since ${h.dueAt.slice(0, 10)} (every ${h.rotateEvery})`)
+  ];
+}
+
+function removeToken(name, caller = LOCAL_CALLER) {
   const data = loadData();
   if (data.tokens[name]) {
     delete data.tokens[name];
-    data.history.push({ action: 'remove', name, timestamp: new Date().toISOString() });
+    audit({ action: 'remove', name }, caller);
     saveData(data);
     return true;
   }
@@ -85,17 +526,20 @@ function getToken(name) {
   const data = loadData();
   if (!data.accessEnabled) return null;
   if (data.tokens[name]) {
-    data.tokens[name].lastUsed = new Date().toISOString();
+    const value = readTokenValue(data.tokens[name]);
+    if (value === null) return null;
+    const alerts = recordUsage(name, data.tokens[name]);
     saveData(data);
-    return data.tokens[name].value;
+    raiseAlerts(alerts);
+    return value;
   }
   return null;
 }
 
-function toggleAccess(enable = null) {
+function toggleAccess(enable = null, caller = LOCAL_CALLER) {
   const data = loadData();
   data.accessEnabled = enable !== null ? enable : !data.accessEnabled;
-  data.history.push({ action: data.accessEnabled ? 'enable' : 'disable', timestamp: new Date().toISOString() });
+  audit({ action: data.accessEnabled ? 'enable' : 'disable' }, caller);
   saveData(data);
   return data.accessEnabled;
 }
@@ -103,24 +547,26 @@ function toggleAccess(enable = null) {
 function listTokens() {
   const data = loadData();
   return Object.entries(data.tokens).map(([name, info]) => ({
-    name, type: info.type, platform: info.platform, addedAt: info.addedAt, lastUsed: info.lastUsed
+    name, type: info.type, platform: info.platform, addedAt: info.addedAt, lastUsed: info.lastUsed,
+    expiresAt: info.expiresAt || null, rotateEvery: info.rotateEvery || null, rotatedAt: info.rotatedAt || null,
+    lastVerified: info.lastVerified || null, verifyStatus: info.verifyStatus || null
   }));
 }
 
 // Platform management
-function connectPlatform(name, config = {}) {
+function connectPlatform(name, config = {}, caller = LOCAL_CALLER) {
   const data = loadData();
   data.platforms[name] = { ...config, connectedAt: new Date().toISOString(), status: 'active' };
-  data.history.push({ action: 'platform_connect', name, timestamp: new Date().toISOString() });
+  audit({ action: 'platform_connect', name }, caller);
   saveData(data);
   return data.platforms[name];
 }
 
-function disconnectPlatform(name) {
+function disconnectPlatform(name, caller = LOCAL_CALLER) {
   const data = loadData();
   if (data.platforms[name]) {
     delete data.platforms[name];
-    data.history.push({ action: 'platform_disconnect', name, timestamp: new Date().toISOString() });
+    audit({ action: 'platform_disconnect', name }, caller);
     saveData(data);
     return true;
   }
@@ -129,12 +575,12 @@ function disconnectPlatform(name) {
 
 function getPlatformTokens(platformName) {
   const data = loadData();
-  if (!data.accessEnabled) return {};
+  if (!data.accessEnabled || vaultStatus(data).locked) return {};
   
   const result = {};
   for (const [name, token] of Object.entries(data.tokens)) {
     if (token.platform === platformName || !token.platform) {
-      result[name] = token.value;
+      result[name] = readTokenValue(token);
     }
   }
   return result;
@@ -145,33 +591,656 @@ function listPlatforms() {
   return data.platforms;
 }
 
+// Validation probes. Each probe sends an authenticated GET and maps the
+// response to valid/invalid. Base URLs can be overridden per probe in
+// config.json ("probes": { "github": { "baseUrl": "http://127.0.0.1:9000" } }),
+// and extra entries with a "url" become generic bearer probes.
+const PROBES = {
+  github: {
+    baseUrl: 'https://api.github.com', path: '/user',
+    headers: (value) => ({ Authorization: `Bearer ${value}`, Accept: 'application/vnd.github+json' })
+  },
+  homeassistant: {
+    baseUrl: 'http://homeassistant.local:8123', path: '/api/',
+    headers: (value) => ({ Authorization: `Bearer ${value}` })
+  },
+  clawhub: {
+    baseUrl: 'https://clawhub.ai', path: '/api/v1/whoami',
+    headers: (value) => ({ Authorization: `Bearer ${value}` })
+  },
+  http: {
+    baseUrl: null, path: '',
+    headers: (value) => ({ Authorization: `Bearer ${value}` })
+  }
+};
+
+function httpPost(url, payload, timeout = 10000) {
+  return new Promise((resolve, reject) => {
+    const client = url.startsWith('https:') ? https : http;
+    const body = JSON.stringify(payload);
+    const req = client.request(url, {
+      method: 'POST', timeout,
+      headers: { 'User-Agent': 'token-manager', 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) }
+    }, (res) => {
+      res.resume();
+      res.on('end', () => resolve({ status: res.statusCode }));
+    });
+    req.on('timeout', () => req.destroy(new Error(`Timed out after ${timeout}ms`)));
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+function httpGet(url, headers = {}, timeout = 10000) {
+  return new Promise((resolve, reject) => {
+    const client = url.startsWith('https:') ? https : http;
+    const req = client.get(url, { headers: { 'User-Agent': 'token-manager', ...headers }, timeout }, (res) => {
+      let body = '';
+      res.on('data', c => body += c);
+      res.on('end', () => resolve({ status: res.statusCode, body }));
+    });
+    req.on('timeout', () => req.destroy(new Error(`Timed out after ${timeout}ms`)));
+    req.on('error', reject);
+  });
+}
+
+// Pick the probe for a token: explicit token.probe, then platform, then type
+function resolveProbe(token, config) {
+  const overrides = config.probes || {};
+  const key = [token.probe, token.platform, token.type === 'bearer' ? 'http' : token.type]
+    .find(k => k && (PROBES[k] || (overrides[k] && overrides[k].url)));
+  if (!key) return token.verifyUrl ? { ...PROBES.http, url: token.verifyUrl } : null;
+  
+  const probe = { ...(PROBES[key] || PROBES.http), ...overrides[key], key };
+  const url = token.verifyUrl || probe.url || (probe.baseUrl && probe.baseUrl.replace(/\/$/, '') + probe.path);
+  return url ? { ...probe, url } : null;
+}
+
+async function probeToken(name, token, config) {
+  const probe = resolveProbe(token, config);
+  if (!probe) return { name, status: 'unsupported', detail: 'No probe for this token' };
+  const value = readTokenValue(token);
+  if (value === null) return { name, status: 'error', detail: 'Vault locked' };
+  
+  try {
+    const res = await httpGet(probe.url, probe.headers(value), config.probeTimeout || 10000);
+    const status = res.status >= 200 && res.status < 300 ? 'valid' :
+      res.status === 401 || res.status === 403 ? 'invalid' : 'error';
+    return { name, status, probe: probe.key || 'http', detail: `HTTP ${res.status}` };
+  } catch (e) {
+    return { name, status: 'error', probe: probe.key || 'http', detail: e.message };
+  }
+}
+
+// Verify one token (or all) and record lastVerified/verifyStatus on each
+async function verifyTokens(name = null, caller = LOCAL_CALLER) {
+  const config = loadConfig();
+  const data = loadData();
+  if (name && !data.tokens[name]) return { error: `Not found: ${name}`, code: 'NOT_FOUND' };
+  if (vaultStatus(data).locked) return { error: 'Vault locked', code: 'VAULT_LOCKED' };
+  
+  const names = name ? [name] : Object.keys(data.tokens);
+  const results = [];
+  for (const n of names) results.push(await probeToken(n, data.tokens[n], config));
+  
+  // Reload so concurrent edits made while probing are kept
+  const fresh = loadData();
+  const now = new Date().toISOString();
+  for (const r of results) {
+    if (!fresh.tokens[r.name] || r.status === 'unsupported') continue;
+    Object.assign(fresh.tokens[r.name], { lastVerified: now, verifyStatus: r.status, verifyDetail: r.detail });
+  }
+  audit({ action: 'verify', name: name || undefined }, caller);
+  saveData(fresh);
+  return { results };
+}
+
+function formatVerifyResult(r) {
+  const icon = { valid: C.green + '✓', invalid: C.red + '✗', error: C.yellow + '!', unsupported: C.gray + '-' }[r.status];
+  return `${icon} ${r.name}${C.reset} ${r.status}${r.detail ? C.gray + ' (' + r.detail + ')' + C.reset : ''}`;
+}
+
+// Import / export. Every source produces candidates ({ name, value, type,
+// platform, envVar }) that are diffed against the store before anything
+// is written.
+const OPENCLAW_CONFIG = path.join(process.env.HOME || '/home/crix', '.openclaw', 'openclaw.json');
+const SECRET_ENV_PATTERN = /(TOKEN|API_KEY|APIKEY|SECRET|PASSWORD|_KEY|SERVICE_ACCOUNT)$/;
+const ENV_PLATFORMS = [
+  [/^GITHUB_|^GH_/, 'github'], [/^HA_|^HASS_|^HOMEASSISTANT_/, 'homeassistant'],
+  [/^CLAWHUB_/, 'clawhub'], [/^AGDP_|^ACP_|^VIRTUALS_/, 'agdp'],
+  [/^ANTHROPIC_|^CLAUDE_/, 'claude'], [/^BRAVE_/, 'brave'], [/^GOOGLE_/, 'google'], [/^OPENAI_/, 'openai']
+];
+
+function envVarToName(key) {
+  return key.toLowerCase();
+}
+
+function nameToEnvVar(name, token = {}) {
+  return token.envVar || name.toUpperCase().replace(/[^A-Z0-9]/g, '_');
+}
+
+function platformForEnvVar(key) {
+  const match = ENV_PLATFORMS.find(([re]) => re.test(key));
+  return match ? match[1] : null;
+}
+
+function parseDotenv(text) {
+  const vars = {};
+  for (const raw of text.split(/\r?\n/)) {
+    const line = raw.trim();
+    if (!line || line.startsWith('#')) continue;
+    const match = line.match(/^(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)$/);
+    if (!match) continue;
+    let value = match[2];
+    if (/^"(.*)"$/.test(value)) value = value.slice(1, -1).replace(/\\n/g, '\n').replace(/\\(["\\])/g, '$1');
+    else if (/^'(.*)'$/.test(value)) value = value.slice(1, -1);
+    else value = value.replace(/\s+#.*$/, '');
+    vars[match[1]] = value;
+  }
+  return vars;
+}
+
+function formatDotenv(vars) {
+  return Object.entries(vars).map(([k, v]) => {
+    const plain = /^[\w@%+=:,./-]*$/.test(v);
+    return `${k}=${plain ? v : '"' + String(v).replace(/(["\\])/g, '\\$1').replace(/\n/g, '\\n') + '"'}`;
+  }).join('\n') + '\n';
+}
+
+function envCandidates(vars) {
+  return Object.entries(vars).filter(([, v]) => v !== '').map(([key, value]) => ({
+    name: envVarToName(key), value, type: 'token', platform: platformForEnvVar(key), envVar: key
+  }));
+}
+
+// Candidates from a source: dotenv <file>, openclaw [file], env, bundle <file>
+function importCandidates(source, file, { passphrase, only } = {}) {
+  switch (source) {
+    case 'dotenv': case '.env':
+      if (!file || !fs.existsSync(file)) return { error: `File not found: ${file}`, code: 'NOT_FOUND' };
+      return { candidates: envCandidates(parseDotenv(fs.readFileSync(file, 'utf8'))) };
+    case 'openclaw': {
+      const cfgFile = file || OPENCLAW_CONFIG;
+      if (!fs.existsSync(cfgFile)) return { error: `File not found: ${cfgFile}`, code: 'NOT_FOUND' };
+      const providers = (JSON.parse(fs.readFileSync(cfgFile, 'utf8')).models || {}).providers || {};
+      return {
+        candidates: Object.entries(providers)
+          .filter(([, p]) => p.apiKey && p.apiKey !== 'minimax-oauth')
+          .map(([provider, p]) => ({ name: `${provider}_api_key`, value: p.apiKey, type: 'api_key', platform: provider, envVar: `${provider.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_API_KEY` }))
+      };
+    }
+    case 'env': {
+      const keys = only ? only : Object.keys(process.env).filter(k => SECRET_ENV_PATTERN.test(k));
+      return { candidates: envCandidates(Object.fromEntries(keys.filter(k => process.env[k] !== undefined).map(k => [k, process.env[k]]))) };
+    }
+    case 'bundle': {
+      if (!file || !fs.existsSync(file)) return { error: `File not found: ${file}`, code: 'NOT_FOUND' };
+      const bundle = JSON.parse(fs.readFileSync(file, 'utf8'));
+      if (bundle.format !== 'token-manager-bundle') return { error: 'Not a token-manager bundle', code: 'INVALID_BUNDLE' };
+      try {
+        const tokens = JSON.parse(decryptValue(bundle.payload, deriveKey(passphrase || '', bundle.salt)));
+        return { candidates: tokens };
+      } catch (e) {
+        return { error: 'Wrong bundle passphrase', code: 'BAD_PASSPHRASE' };
+      }
+    }
+    default:
+      return { error: `Unknown source: ${source}`, code: 'UNKNOWN_SOURCE' };
+  }
+}
+
+// add / update / same for each candidate (values compared in plaintext)
+function diffImport(candidates) {
+  const data = loadData();
+  if (vaultStatus(data).locked) return { error: 'Vault locked', code: 'VAULT_LOCKED' };
+  return {
+    changes: candidates.map(c => {
+      const existing = data.tokens[c.name];
+      const change = !existing ? 'add' : readTokenValue(existing) === c.value ? 'same' : 'update';
+      return { ...c, change };
+    })
+  };
+}
+
+function applyImport(changes, source, caller = LOCAL_CALLER) {
+  const data = loadData();
+  if (vaultStatus(data).locked) return { error: 'Vault locked', code: 'VAULT_LOCKED' };
+  const now = new Date().toISOString();
+  const written = [];
+  
+  for (const c of changes.filter(c => c.change !== 'same')) {
+    const stored = data.vault ? encryptValue(c.value, vaultKey) : c.value;
+    const existing = data.tokens[c.name];
+    data.tokens[c.name] = existing
+      ? { ...existing, value: stored, envVar: c.envVar || existing.envVar }
+      : { value: stored, type: c.type || 'token', platform: c.platform || null, addedAt: now, lastUsed: null,
+          expiresAt: c.expiresAt || null, rotateEvery: c.rotateEvery || null, envVar: c.envVar || null };
+    written.push(c.name);
+  }
+  audit({ action: 'import', source, names: written }, caller);
+  saveData(data);
+  return { imported: written.length, names: written };
+}
+
+function selectTokens(data, names) {
+  const selected = names && names.length ? names : Object.keys(data.tokens);
+  const missing = selected.filter(n => !data.tokens[n]);
+  return missing.length ? { error: `Not found: ${missing.join(', ')}`, code: 'NOT_FOUND' } : { names: selected };
+}
+
+function exportDotenv(names = null, caller = LOCAL_CALLER) {
+  const data = loadData();
+  if (vaultStatus(data).locked) return { error: 'Vault locked', code: 'VAULT_LOCKED' };
+  const sel = selectTokens(data, names);
+  if (sel.error) return sel;
+  const vars = Object.fromEntries(sel.names.map(n => [nameToEnvVar(n, data.tokens[n]), readTokenValue(data.tokens[n])]));
+  audit({ action: 'export', format: 'dotenv', names: sel.names }, caller);
+  return { content: formatDotenv(vars), count: sel.names.length };
+}
+
+// Encrypted bundle for moving tokens to another host
+function exportBundle(passphrase, names = null, caller = LOCAL_CALLER) {
+  if (!passphrase) return { error: 'Bundle passphrase required', code: 'PASSPHRASE_REQUIRED' };
+  const data = loadData();
+  if (vaultStatus(data).locked) return { error: 'Vault locked', code: 'VAULT_LOCKED' };
+  const sel = selectTokens(data, names);
+  if (sel.error) return sel;
+  
+  const tokens = sel.names.map(name => {
+    const t = data.tokens[name];
+    return { name, value: readTokenValue(t), type: t.type, platform: t.platform, envVar: t.envVar || null, expiresAt: t.expiresAt || null, rotateEvery: t.rotateEvery || null };
+  });
+  const salt = crypto.randomBytes(16).toString('base64');
+  const bundle = {
+    format: 'token-manager-bundle', version: 1, kdf: 'scrypt', cipher: 'aes-256-gcm',
+    createdAt: new Date().toISOString(), count: tokens.length, salt,
+    payload: encryptValue(JSON.stringify(tokens), deriveKey(passphrase, salt))
+  };
+  audit({ action: 'export', format: 'bundle', names: sel.names }, caller);
+  return { content: JSON.stringify(bundle, null, 2), count: tokens.length };
+}
+
+// Secret injection. Mappings look like "GITHUB_TOKEN=github-main"; a bare
+// token name uses its stored envVar (or NAME_IN_CAPS).
+function resolveInjection(mappings) {
+  const data = loadData();
+  if (!data.accessEnabled) return { error: 'Access disabled', code: 'ACCESS_DISABLED' };
+  if (vaultStatus(data).locked) return { error: 'Vault locked', code: 'VAULT_LOCKED' };
+  
+  const env = {};
+  const names = [];
+  for (const mapping of mappings) {
+    const [left, right] = mapping.includes('=') ? mapping.split(/=(.*)/) : [null, mapping];
+    const token = data.tokens[right];
+    if (!token) return { error: `Not found: ${right}`, code: 'NOT_FOUND' };
+    const envVar = left || nameToEnvVar(right, token);
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(envVar)) return { error: `Invalid variable name: ${envVar}`, code: 'INVALID_MAPPING' };
+    env[envVar] = readTokenValue(token);
+    names.push(right);
+  }
+  return { env, names };
+}
+
+// Longest first, so a secret containing another one is masked whole
+function maskSecrets(text, secrets) {
+  return [...new Set(secrets.filter(s => s && s.length >= 4))]
+    .sort((a, b) => b.length - a.length)
+    .reduce((out, s) => out.split(s).join('***'), text);
+}
+
+// Masks every secret in a stream. Bytes are decoded across chunk boundaries,
+// and the last (longest secret) characters are held back between chunks so a
+// secret split across two chunks is still caught.
+function createScrubber(secrets) {
+  const keep = Math.max(0, ...secrets.map(s => (s || '').length));
+  const mask = (text) => maskSecrets(text, secrets);
+  const decoder = new StringDecoder('utf8');
+  let pending = '';
+  
+  return new Transform({
+    transform(chunk, encoding, done) {
+      const text = mask(pending + decoder.write(chunk));
+      let cut = Math.max(0, text.length - keep);
+      // Don't separate a surrogate pair
+      if (cut > 0 && /[\ud800-\udbff]/.test(text[cut - 1])) cut--;
+      pending = text.slice(cut);
+      done(null, text.slice(0, cut));
+    },
+    flush(done) {
+      done(null, mask(pending + decoder.end()));
+    }
+  });
+}
+
+// Our own passphrases are never handed to a child (and masked if it finds them anyway)
+const PASSPHRASE_ENV = ['TOKEN_MANAGER_PASSPHRASE', 'TOKEN_MANAGER_BUNDLE_PASSPHRASE'];
+
+// Launch a command with tokens injected; resolves with the child's exit code
+function execWithTokens(mappings, command, caller = LOCAL_CALLER) {
+  const injection = resolveInjection(mappings);
+  if (injection.error) return Promise.resolve(injection);
+  
+  const data = loadData();
+  const alerts = injection.names.flatMap(n => recordUsage(n, data.tokens[n], { purpose: 'exec' }));
+  saveData(data);
+  raiseAlerts(alerts, caller);
+  const inherited = { ...process.env };
+  for (const key of PASSPHRASE_ENV) delete inherited[key];
+  const secrets = [...Object.values(injection.env), ...PASSPHRASE_ENV.map(key => process.env[key])];
+  audit({ action: 'exec', names: injection.names, command: maskSecrets(command.join(' '), secrets) }, caller);
+  
+  return new Promise((resolve) => {
+    const child = spawn(command[0], command.slice(1), { env: { ...inherited, ...injection.env }, stdio: ['inherit', 'pipe', 'pipe'] });
+    child.stdout.pipe(createScrubber(secrets)).pipe(process.stdout);
+    child.stderr.pipe(createScrubber(secrets)).pipe(process.stderr);
+    const forward = (signal) => child.kill(signal);
+    process.on('SIGINT', forward);
+    process.on('SIGTERM', forward);
+    child.on('error', (e) => resolve({ error: `Failed to start ${command[0]}: ${e.message}`, code: 'EXEC_FAILED' }));
+    child.on('close', (code, signal) => {
+      process.removeListener('SIGINT', forward);
+      process.removeListener('SIGTERM', forward);
+      resolve({ exitCode: code === null ? 128 : code, signal });
+    });
+  });
+}
+
+// Client credentials: each skill gets its own API key. Only a SHA-256 of
+// the key is stored; the key itself is shown once when the client is added.
+const CLIENT_KEY_PREFIX = 'tmk_';
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function addClient(id, { tokens = [], platforms = [], profiles = [], expires = null } = {}, caller = LOCAL_CALLER) {
+  if (!/^[\w.-]+$/.test(id || '')) return { error: 'Invalid client id', code: 'INVALID_CLIENT_ID' };
+  let expiresAt = null;
+  if (expires) {
+    const ms = parseDuration(expires);
+    if (!ms) return { error: `Invalid expiry: ${expires}`, code: 'INVALID_EXPIRY' };
+    expiresAt = new Date(Date.now() + ms).toISOString();
+  }
+  
+  const data = loadData();
+  data.clients = data.clients || {};
+  const key = `${CLIENT_KEY_PREFIX}${id}_${crypto.randomBytes(24).toString('hex')}`;
+  data.clients[id] = { keyHash: hashKey(key), tokens, platforms, profiles, expiresAt, createdAt: new Date().toISOString(), lastSeen: null };
+  audit({ action: 'client_add', name: id }, caller);
+  saveData(data);
+  return { id, key, tokens, platforms, profiles, expiresAt };
+}
+
+function revokeClient(id, caller = LOCAL_CALLER) {
+  const data = loadData();
+  if (!data.clients || !data.clients[id]) return false;
+  delete data.clients[id];
+  audit({ action: 'client_revoke', name: id }, caller);
+  saveData(data);
+  return true;
+}
+
+function listClients() {
+  const data = loadData();
+  return Object.entries(data.clients || {}).map(([id, c]) => ({
+    id, tokens: c.tokens, platforms: c.platforms, profiles: c.profiles || [], expiresAt: c.expiresAt, createdAt: c.createdAt, lastSeen: c.lastSeen
+  }));
+}
+
+// Resolve an API key to its client, or an error with a distinct code
+function authenticateClient(data, key) {
+  if (!key) return { error: 'Client key required', code: 'CLIENT_KEY_REQUIRED' };
+  const match = String(key).match(/^tmk_([\w.-]+)_[0-9a-f]+$/);
+  const client = match && data.clients && data.clients[match[1]];
+  const expected = client ? Buffer.from(client.keyHash, 'hex') : null;
+  if (!expected || !crypto.timingSafeEqual(expected, Buffer.from(hashKey(key), 'hex'))) {
+    return { error: 'Invalid client key', code: 'INVALID_CLIENT_KEY' };
+  }
+  if (client.expiresAt && new Date(client.expiresAt) < new Date()) {
+    return { error: 'Client key expired', code: 'CLIENT_EXPIRED', client: match[1] };
+  }
+  return { id: match[1], client };
+}
+
+// Clients without a profiles list may read from any profile
+function profileGranted(client, profile) {
+  const profiles = client.profiles || [];
+  return profiles.length === 0 || profiles.includes('*') || profiles.includes(profile);
+}
+
+function isGranted(client, name, token) {
+  const tokens = client.tokens || [];
+  const platforms = client.platforms || [];
+  return tokens.includes('*') || tokens.includes(name) ||
+    platforms.includes('*') || (!!token.platform && platforms.includes(token.platform));
+}
+
+// Usage analytics: each token keeps a request counter, an hourly histogram and
+// counts per requesting platform, purpose and client. Anomaly rules from
+// config.alerts run on every recorded use.
+function hourKey(date) {
+  return date.toISOString().slice(0, 13);
+}
+
+// "8-22" allows 08:00-21:59, "22-6" wraps past midnight (server local time)
+function withinHours(spec, hour) {
+  const m = String(spec || '').match(/^(\d{1,2})-(\d{1,2})$/);
+  if (!m) return true;
+  const from = parseInt(m[1]), to = parseInt(m[2]);
+  return from <= to ? hour >= from && hour < to : hour >= from || hour < to;
+}
+
+// Update token.usage in place; returns the alerts this use triggers
+function recordUsage(name, token, { platform = null, purpose = null, client = null } = {}, config = loadConfig()) {
+  const now = new Date();
+  const rules = config.alerts || {};
+  const usage = token.usage = token.usage || { count: 0, hours: {}, platforms: {}, purposes: {}, clients: {}, recent: [] };
+  const alerts = [];
+  
+  if (rules.newPlatform !== false && platform && usage.count > 0 && !usage.platforms[platform]) {
+    alerts.push({ rule: 'new_platform', name, platform, client, message: `${name} requested from new platform "${platform}"` });
+  }
+  if (rules.hours && !withinHours(rules.hours, now.getHours())) {
+    alerts.push({ rule: 'off_hours', name, platform, client, message: `${name} requested at ${now.toTimeString().slice(0, 5)}, outside allowed hours ${rules.hours}` });
+  }
+  
+  const bump = (map, key) => { map[key] = (map[key] || 0) + 1; };
+  usage.count++;
+  bump(usage.hours, hourKey(now));
+  bump(usage.platforms, platform || 'direct');
+  if (purpose) bump(usage.purposes, purpose);
+  if (client) bump(usage.clients, client);
+  token.lastUsed = now.toISOString();
+  
+  const oldest = hourKey(new Date(now - (parseDuration(config.usageRetention) || 14 * 86400000)));
+  for (const hour of Object.keys(usage.hours)) if (hour < oldest) delete usage.hours[hour];
+  
+  const burst = { count: 30, window: '5m', ...rules.burst };
+  const windowMs = parseDuration(burst.window) || 300000;
+  usage.recent = (usage.recent || []).filter(t => now - t < windowMs).concat(now.getTime()).slice(-(burst.count + 1));
+  if (usage.recent.length > burst.count) {
+    alerts.push({ rule: 'burst', name, platform, client, message: `${name} requested ${usage.recent.length} times within ${burst.window}` });
+  }
+  
+  // One alert per token and rule per cooldown, so a burst doesn't alert on every request
+  const cooldown = parseDuration(rules.cooldown || '15m');
+  usage.alerted = usage.alerted || {};
+  return alerts.filter(alert => {
+    const key = alert.rule === 'new_platform' ? `${alert.rule}:${alert.platform}` : alert.rule;
+    const last = usage.alerted[key];
+    if (last && now - new Date(last) < cooldown) return false;
+    usage.alerted[key] = now.toISOString();
+    return true;
+  });
+}
+
+// Write alerts to the audit log and post them to config.alerts.webhook
+function raiseAlerts(alerts, caller = LOCAL_CALLER, config = loadConfig()) {
+  const webhook = (config.alerts || {}).webhook;
+  for (const alert of alerts) {
+    const entry = audit({ action: 'alert', ...alert }, caller);
+    if (!webhook) continue;
+    const text = `🚨 token-manager [${entry.profile}]: ${alert.message}`;
+    httpPost(webhook, { text, content: text, alert: { ...alert, profile: entry.profile, timestamp: entry.timestamp, caller } })
+      .catch(e => console.error(C.red + `Alert webhook failed: ${e.message}` + C.reset));
+  }
+}
+
+// Alerts raised since `since` (default: last 24 hours), newest first
+function recentAlerts(since = new Date(Date.now() - 86400000)) {
+  return readAudit({ action: 'alert', since: since.toISOString() });
+}
+
+function formatAlertSummary(alerts) {
+  const byRule = {};
+  alerts.forEach(a => { byRule[a.rule] = (byRule[a.rule] || 0) + 1; });
+  return Object.entries(byRule).map(([rule, n]) => `${rule} ×${n}`).join(', ');
+}
+
+// Per-token usage with the last `hours` hourly buckets (oldest first)
+function usageStats(name = null, hours = 24) {
+  const data = loadData();
+  const now = Date.now();
+  return Object.entries(data.tokens)
+    .filter(([n]) => !name || n === name)
+    .map(([n, t]) => {
+      const usage = t.usage || { count: 0, hours: {}, platforms: {}, purposes: {}, clients: {} };
+      const hourly = Array.from({ length: hours }, (_, i) => usage.hours[hourKey(new Date(now - (hours - 1 - i) * 3600000))] || 0);
+      return { name: n, count: usage.count, lastUsed: t.lastUsed, platforms: usage.platforms, purposes: usage.purposes, clients: usage.clients, hourly };
+    });
+}
+
 // API for skills to request tokens
-function requestToken(platform, purpose) {
+function requestToken(platform, purpose, key, caller = LOCAL_CALLER) {
   const data = loadData();
+  const auth = authenticateClient(data, key);
+  if (auth.error) {
+    audit({ action: 'request_denied', platform, purpose, code: auth.code }, caller);
+    return auth;
+  }
+  caller = { ...caller, clientId: auth.id };
+  if (!profileGranted(auth.client, data.profile)) {
+    audit({ action: 'request_denied', client: auth.id, platform, purpose, code: 'PROFILE_NOT_GRANTED' }, caller);
+    return { error: 'Client has no grant for profile', code: 'PROFILE_NOT_GRANTED', client: auth.id, profile: data.profile };
+  }
   if (!data.accessEnabled) {
     return { error: 'Access disabled', code: 'ACCESS_DISABLED' };
   }
+  if (vaultStatus(data).locked) {
+    return { error: 'Vault locked', code: 'VAULT_LOCKED' };
+  }
   
   // Find matching tokens
-  const matching = Object.entries(data.tokens)
-    .filter(([_, t]) => t.platform === platform || !t.platform)
-    .map(([name, t]) => ({ name, type: t.type, value: t.value }));
+  const candidates = Object.entries(data.tokens)
+    .filter(([_, t]) => t.platform === platform || !t.platform);
   
-  if (matching.length === 0) {
+  if (candidates.length === 0) {
     return { error: 'No tokens for platform', code: 'NO_TOKENS', platform };
   }
   
+  const matching = candidates
+    .filter(([name, t]) => isGranted(auth.client, name, t))
+    .map(([name, t]) => ({ name, type: t.type, value: readTokenValue(t), previousValue: readPreviousValue(t), expiresAt: t.expiresAt || undefined }));
+  
+  if (matching.length === 0) {
+    audit({ action: 'request_denied', client: auth.id, platform, purpose, code: 'NOT_GRANTED' }, caller);
+    return { error: 'Client has no grant for platform', code: 'NOT_GRANTED', client: auth.id, platform };
+  }
+  
   // Log the request
-  data.history.push({ action: 'token_request', platform, purpose, timestamp: new Date().toISOString() });
+  auth.client.lastSeen = new Date().toISOString();
+  const alerts = matching.flatMap(m => recordUsage(m.name, data.tokens[m.name], { platform, purpose, client: auth.id }));
+  audit({ action: 'token_request', client: auth.id, platform, purpose }, caller);
   saveData(data);
+  raiseAlerts(alerts, caller);
   
-  return { tokens: matching, platform, purpose };
+  return { tokens: matching, platform, purpose, profile: data.profile };
+}
+
+// API for skills to read a single token by name
+function requestNamedToken(name, key, caller = LOCAL_CALLER) {
+  const data = loadData();
+  const auth = authenticateClient(data, key);
+  if (auth.error) {
+    audit({ action: 'request_denied', name, code: auth.code }, caller);
+    return auth;
+  }
+  caller = { ...caller, clientId: auth.id };
+  const token = data.tokens[name];
+  if (!profileGranted(auth.client, data.profile)) {
+    audit({ action: 'request_denied', client: auth.id, name, code: 'PROFILE_NOT_GRANTED' }, caller);
+    return { error: 'Client has no grant for profile', code: 'PROFILE_NOT_GRANTED', client: auth.id, profile: data.profile };
+  }
+  if (!data.accessEnabled) return { error: 'Access disabled', code: 'ACCESS_DISABLED' };
+  if (vaultStatus(data).locked) return { error: 'Vault locked', code: 'VAULT_LOCKED' };
+  if (!token || !isGranted(auth.client, name, token)) {
+    audit({ action: 'request_denied', client: auth.id, name, code: 'NOT_GRANTED' }, caller);
+    return { error: 'Client has no grant for token', code: 'NOT_GRANTED', client: auth.id, name };
+  }
+  
+  auth.client.lastSeen = new Date().toISOString();
+  const alerts = recordUsage(name, token, { client: auth.id });
+  audit({ action: 'token_request', client: auth.id, name }, caller);
+  saveData(data);
+  raiseAlerts(alerts, caller);
+  return { name, profile: data.profile, type: token.type, value: readTokenValue(token), previousValue: readPreviousValue(token), expiresAt: token.expiresAt || undefined };
+}
+
+// HTTP status for API error codes
+const ERROR_STATUS = {
+  CLIENT_KEY_REQUIRED: 401, INVALID_CLIENT_KEY: 401, CLIENT_EXPIRED: 401,
+  NOT_GRANTED: 403, PROFILE_NOT_GRANTED: 403, ACCESS_DISABLED: 403, VAULT_LOCKED: 423,
+  PROFILE_NOT_FOUND: 404, PROFILE_EXISTS: 409, PROFILE_ACTIVE: 409, INVALID_PROFILE: 400,
+  NOT_LOCAL: 403, CROSS_ORIGIN: 403, GUI_SESSION_REQUIRED: 403
+};
+
+function clientKeyFrom(req) {
+  const auth = req.headers['authorization'] || '';
+  return auth.startsWith('Bearer ') ? auth.slice(7).trim() : req.headers['x-client-key'] || null;
+}
+
+// Collect a JSON object body; anything else is answered with 400
+function readJsonBody(req, res, handler) {
+  let body = ''; req.on('data', c => body += c);
+  req.on('end', () => {
+    let parsed;
+    try { parsed = body ? JSON.parse(body) : {}; } catch (e) { parsed = null; }
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      res.statusCode = 400;
+      res.end(JSON.stringify({ error: 'Request body must be a JSON object', code: 'INVALID_BODY' }));
+      return;
+    }
+    handler(parsed);
+  });
+}
+
+function isLoopback(req) {
+  return ['127.0.0.1', '::1', '::ffff:127.0.0.1'].includes(req.socket.remoteAddress);
+}
+
+// Host must name this server on a loopback address (a DNS-rebound page sends
+// its own hostname), and a browser's Origin must match it
+function isSameOrigin(req) {
+  const hosts = ['localhost', '127.0.0.1', '[::1]'].map(h => `${h}:${req.socket.localPort}`);
+  if (!hosts.includes(req.headers.host)) return false;
+  return !req.headers.origin || req.headers.origin === `http://${req.headers.host}`;
+}
+
+// GUI routes: local browser on our own page, which carries the session token
+function guiCheck(req, session) {
+  if (!isLoopback(req)) return { error: 'GUI only', code: 'NOT_LOCAL' };
+  if (!isSameOrigin(req)) return { error: 'Cross-origin request refused', code: 'CROSS_ORIGIN' };
+  const sent = Buffer.from(String(req.headers['x-gui-session'] || ''));
+  const expected = Buffer.from(session);
+  if (sent.length !== expected.length || !crypto.timingSafeEqual(sent, expected)) return { error: 'GUI session token required', code: 'GUI_SESSION_REQUIRED' };
+  return null;
 }
 
 // Web GUI
 function startWebServer() {
   const config = loadConfig();
-  const port = config.port || 3847;
+  const port = config.port ?? 3847;
+  const session = crypto.randomBytes(24).toString('hex');
   
   const html = `<!DOCTYPE html>
 <html><head>
@@ -213,20 +1282,42 @@ function startWebServer() {
     .platform-status.active { color: #238636; }
     .api-endpoint { background: #161b22; border: 1px solid #30363d; border-radius: 6px; padding: 12px; margin-top: 12px; }
     .api-endpoint code { background: #0d1117; padding: 2px 6px; border-radius: 4px; color: #7ee787; }
+    .verify { font-size: 10px; padding: 1px 6px; border-radius: 10px; margin-left: 6px; }
+    .verify-valid { background: #238636; color: white; }
+    .verify-invalid { background: #da3633; color: white; }
+    .verify-error { background: #f0883e; color: white; }
     .warning { background: #f0883e20; border: 1px solid #f0883e; padding: 12px; border-radius: 6px; color: #f0883e; margin-bottom: 16px; }
   </style>
 </head>
 <body>
   <div class="container">
-    <h1>Token Manager <span id="accessBadge" class="badge disabled">DISABLED</span></h1>
+    <h1>Token Manager <span id="accessBadge" class="badge disabled">DISABLED</span> <span id="vaultBadge" class="badge disabled hidden">LOCKED</span>
+      <span style="margin-left:auto;display:flex;align-items:center;font-size:12px;font-weight:normal;">
+        <select id="profileSelect" onchange="useProfile(this.value)" style="width:140px;"></select>
+        <button class="btn btn-copy" onclick="createProfile()">New Profile</button>
+      </span>
+    </h1>
     
     <div id="warningMsg" class="warning hidden">Agent access is DISABLED. Tokens are locked.</div>
+    <div id="vaultWarning" class="warning hidden">Vault is LOCKED. Unlock it with the master passphrase to use tokens.</div>
+    <div id="alertWarning" class="warning hidden" style="border-color:#da3633;color:#da3633;background:#da363320;"><strong>Alerts (last 24h)</strong><ul id="alertList" style="margin:8px 0 0 20px;font-size:12px;"></ul></div>
+    <div id="healthWarning" class="warning hidden"><strong>Tokens needing attention</strong><ul id="healthList" style="margin:8px 0 0 20px;font-size:12px;"></ul></div>
     
     <div class="card">
       <div class="row">
         <div><strong>Agent Access</strong><p style="font-size:12px;color:#8b949e;">Allow skills to retrieve tokens</p></div>
         <label class="toggle"><input type="checkbox" id="accessToggle" onchange="toggleAccess(this.checked)"><span class="toggle-slider"></span></label>
       </div>
+      <div class="row">
+        <div><strong>Vault</strong><p id="vaultText" style="font-size:12px;color:#8b949e;">Not set up - first unlock encrypts stored tokens</p></div>
+        <div style="display:flex;align-items:center;">
+          <input type="password" id="vaultPass" placeholder="Passphrase" style="width:140px;">
+          <input type="password" id="vaultNewPass" placeholder="New passphrase" class="hidden" style="width:140px;margin-left:8px;">
+          <button class="btn btn-add" onclick="unlockVault()">Unlock</button>
+          <button class="btn btn-remove" onclick="lockVault()">Lock</button>
+          <button class="btn btn-copy" onclick="rekeyVault()">Rekey</button>
+        </div>
+      </div>
     </div>
     
     <div class="tabs">
@@ -234,7 +1325,7 @@ function startWebServer() {
       <button class="tab" onclick="showTab('platforms')">Platforms</button>
       <button class="tab" onclick="showTab('add')">Add Token</button>
       <button class="tab" onclick="showTab('api')">API</button>
-      <button class="tab" onclick="showTab('history')">History</button>
+      <button class="tab" onclick="showTab('history')">Audit</button>
     </div>
     
     <div id="tab-tokens" class="card">
@@ -253,6 +1344,7 @@ function startWebServer() {
         <strong>Token Request API:</strong>
         <p style="margin-top:8px;font-size:12px;color:#8b949e;">Skills can request tokens via:</p>
         <code>GET http://localhost:${port}/api/request?platform=github&purpose=deploy</code>
+        <p style="margin-top:8px;font-size:12px;color:#8b949e;">with header <code>Authorization: Bearer &lt;client key&gt;</code></p>
       </div>
     </div>
     
@@ -260,6 +1352,8 @@ function startWebServer() {
       <div class="form-group"><label>Token Name</label><input type="text" id="tokenName" placeholder="e.g., github_token, agdp_key"></div>
       <div class="form-group"><label>Token Value</label><input type="password" id="tokenValue" placeholder="Paste token here"></div>
       <div class="form-group"><label>Type</label><select id="tokenType"><option value="token">Token</option><option value="api_key">API Key</option><option value="json">JSON</option><option value="bearer">Bearer</option></select></div>
+      <div class="form-group"><label>Expires (optional)</label><input type="date" id="tokenExpires"></div>
+      <div class="form-group"><label>Rotate every (optional)</label><input type="text" id="tokenRotateEvery" placeholder="e.g., 90d"></div>
       <div class="form-group"><label>Platform (optional)</label><select id="tokenPlatform"><option value="">All Platforms</option><option value="github">GitHub</option><option value="agdp">AGDP</option><option value="clawhub">ClawHub</option><option value="claude">Claude</option></select></div>
       <button class="btn btn-add" onclick="addToken()">Add Token</button>
     </div>
@@ -267,28 +1361,105 @@ function startWebServer() {
     <div id="tab-api" class="card hidden">
       <h3>API Endpoints</h3>
       <div class="api-endpoint"><code>GET /api/data</code><p style="font-size:12px;color:#8b949e;margin-top:4px;">Get all token metadata (no values)</p></div>
-      <div class="api-endpoint"><code>GET /api/token/:name</code><p style="font-size:12px;color:#8b949e;margin-top:4px;">Get specific token value (if access enabled)</p></div>
-      <div class="api-endpoint"><code>GET /api/request?platform=:name&purpose=:desc</code><p style="font-size:12px;color:#8b949e;margin-top:4px;">Request tokens for a platform (auto-provides)</p></div>
+      <div class="api-endpoint"><code>GET /api/token/:name</code><p style="font-size:12px;color:#8b949e;margin-top:4px;">Get specific token value (if access enabled and granted to the client)</p></div>
+      <div class="api-endpoint"><code>GET /api/request?platform=:name&purpose=:desc&profile=:profile</code><p style="font-size:12px;color:#8b949e;margin-top:4px;">Request granted tokens for a platform (auto-provides); <code>profile</code> defaults to the active profile</p></div>
+      <div class="api-endpoint"><code>GET /api/usage?name=&hours=24</code><p style="font-size:12px;color:#8b949e;margin-top:4px;">Per-token request counts, hourly histogram, platforms/purposes and recent alerts</p></div>
+      <div class="api-endpoint"><code>GET /api/profiles</code><p style="font-size:12px;color:#8b949e;margin-top:4px;">List profiles (<code>POST /api/profiles</code>, <code>POST /api/profiles/:name/use</code>, <code>DELETE /api/profiles/:name</code>)</p></div>
+      <div class="api-endpoint"><code>Authorization: Bearer tmk_...</code><p style="font-size:12px;color:#8b949e;margin-top:4px;">Both token endpoints need a client key: <code>token-manager client add &lt;id&gt; --platforms github</code></p></div>
       <div class="api-endpoint"><code>GET /api/platforms</code><p style="font-size:12px;color:#8b949e;margin-top:4px;">List connected platforms</p></div>
+      <div class="api-endpoint"><code>POST /api/verify</code><p style="font-size:12px;color:#8b949e;margin-top:4px;">Probe tokens against their platform (body: {"name": "..."} or empty for all)</p></div>
+      <div class="api-endpoint"><code>GET /api/audit?action=&q=&client=&since=</code><p style="font-size:12px;color:#8b949e;margin-top:4px;">Filtered audit log (<code>/api/audit.csv</code> for CSV export)</p></div>
       <div class="api-endpoint"><code>POST /api/toggle</code><p style="font-size:12px;color:#8b949e;margin-top:4px;">Toggle agent access</p></div>
     </div>
     
-    <div id="tab-history" class="card hidden"><div id="historyList" style="max-height:300px;overflow-y:auto;"></div></div>
+    <div id="tab-history" class="card hidden">
+      <div style="display:flex;gap:8px;margin-bottom:12px;">
+        <select id="auditAction" onchange="loadAudit()" style="width:180px;"><option value="">All actions</option><option>add</option><option>remove</option><option>rotate</option><option>enable</option><option>disable</option><option>token_request</option><option>request_denied</option><option>chat_denied</option><option>alert</option><option>reveal</option><option>verify</option><option>exec</option><option>import</option><option>export</option><option>unlock</option><option>lock</option><option>rekey</option><option>client_add</option><option>client_revoke</option><option>profile_create</option><option>profile_use</option><option>profile_delete</option><option>platform_connect</option><option>platform_disconnect</option></select>
+        <input type="text" id="auditQuery" placeholder="Search (token, client, address, user...)" onkeyup="if(event.key==='Enter')loadAudit()">
+        <button class="btn btn-copy" onclick="loadAudit()">Filter</button>
+        <button class="btn btn-connect" onclick="exportAudit()">Export CSV</button>
+      </div>
+      <div id="auditIntegrity" style="font-size:12px;margin-bottom:8px;"></div>
+      <div id="historyList" style="max-height:400px;overflow-y:auto;"></div>
+    </div>
   </div>
   
   <script>
+    const GUI_SESSION = '${session}';
+    function api(path, options = {}) {
+      return fetch(path, { ...options, headers: { ...options.headers, 'X-GUI-Session': GUI_SESSION } });
+    }
     let accessEnabled = false;
     async function loadData() {
-      const res = await fetch('/api/data');
+      const res = await api('/api/data');
       const data = await res.json();
       accessEnabled = data.accessEnabled;
+      renderProfiles(data.profiles, data.profile);
       document.getElementById('accessBadge').className = 'badge ' + (accessEnabled ? 'enabled' : 'disabled');
       document.getElementById('accessBadge').textContent = accessEnabled ? 'ENABLED' : 'DISABLED';
       document.getElementById('accessToggle').checked = accessEnabled;
       document.getElementById('warningMsg').classList.toggle('hidden', accessEnabled);
+      renderVault(data.vault);
+      renderHealth(data.health);
+      renderAlerts(data.alerts);
       renderTokens(data.tokens);
       renderPlatforms(data.platforms);
-      renderHistory(data.history);
+    }
+    function renderProfiles(profiles, active) {
+      document.getElementById('profileSelect').innerHTML = profiles.map(p =>
+        '<option value="' + p.name + '"' + (p.name === active ? ' selected' : '') + '>' + p.name + ' (' + p.tokens + ')</option>').join('');
+    }
+    async function useProfile(name) {
+      const res = await api('/api/profiles/' + encodeURIComponent(name) + '/use', { method: 'POST' });
+      const data = await res.json();
+      if (data.error) alert(data.error);
+      loadData();
+    }
+    async function createProfile() {
+      const name = prompt('New profile name (e.g. home, prod, staging):');
+      if (!name) return;
+      const from = prompt('Copy tokens from profile (leave empty for an empty profile):') || null;
+      const res = await api('/api/profiles', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ name, from }) });
+      const data = await res.json();
+      if (data.error) return alert(data.error);
+      useProfile(name);
+    }
+    function renderVault(vault) {
+      const badge = document.getElementById('vaultBadge');
+      badge.className = 'badge ' + (vault.locked ? 'disabled' : 'enabled') + (vault.enabled ? '' : ' hidden');
+      badge.textContent = vault.locked ? 'LOCKED' : 'UNLOCKED';
+      document.getElementById('vaultWarning').classList.toggle('hidden', !vault.locked);
+      document.getElementById('vaultText').textContent = !vault.enabled ? 'Not set up - first unlock encrypts stored tokens' : vault.locked ? 'Locked' : 'Unlocked';
+    }
+    async function vaultAction(action, body) {
+      const res = await api('/api/vault/' + action, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body || {}) });
+      const data = await res.json();
+      if (data.error) alert(data.error);
+      else if (data.migrated) alert('Encrypted ' + data.migrated + ' plaintext value(s)');
+      document.getElementById('vaultPass').value = '';
+      document.getElementById('vaultNewPass').value = '';
+      loadData();
+    }
+    function unlockVault() { vaultAction('unlock', { passphrase: document.getElementById('vaultPass').value }); }
+    function lockVault() { vaultAction('lock'); }
+    function rekeyVault() {
+      const newPass = document.getElementById('vaultNewPass');
+      if (newPass.classList.contains('hidden')) { newPass.classList.remove('hidden'); return alert('Enter the current and the new passphrase, then press Rekey again'); }
+      newPass.classList.add('hidden');
+      vaultAction('rekey', { passphrase: document.getElementById('vaultPass').value, newPassphrase: newPass.value });
+    }
+    function renderHealth(health) {
+      const items = [
+        ...health.expired.map(h => '<li style="color:#da3633">' + h.name + ' expired ' + new Date(h.expiresAt).toLocaleDateString() + '</li>'),
+        ...health.expiring.map(h => '<li>' + h.name + ' expires ' + new Date(h.expiresAt).toLocaleDateString() + '</li>'),
+        ...health.stale.map(h => '<li>' + h.name + ' rotation due since ' + new Date(h.dueAt).toLocaleDateString() + ' (every ' + h.rotateEvery + ')</li>')
+      ];
+      document.getElementById('healthList').innerHTML = items.join('');
+      document.getElementById('healthWarning').classList.toggle('hidden', !items.length);
+    }
+    function renderAlerts(alerts) {
+      document.getElementById('alertList').innerHTML = alerts.map(a => '<li>' + new Date(a.timestamp).toLocaleString() + ' · ' + a.message + '</li>').join('');
+      document.getElementById('alertWarning').classList.toggle('hidden', !alerts.length);
     }
     function renderTokens(tokens) {
       const list = document.getElementById('tokenList');
@@ -296,7 +1467,7 @@ function startWebServer() {
       if (!names.length) { list.innerHTML = '<div style="color:#8b949e;padding:12px;">No tokens stored</div>'; return; }
       list.innerHTML = names.map(name => {
         const t = tokens[name];
-        return \`<div class="row"><div><strong>\${name}</strong><span style="font-size:11px;color:#8b949e;margin-left:8px;">\${t.type}\${t.platform ? ' @ ' + t.platform : ''}</span><div style="font-size:11px;color:#6e7681;">Added: \${new Date(t.addedAt).toLocaleString()}</div></div><div><button class="btn btn-copy" onclick="copyToken('\${name}')">Copy</button><button class="btn btn-remove" onclick="removeToken('\${name}')">Remove</button></div></div>\`;
+        return \`<div class="row"><div><strong>\${name}</strong><span style="font-size:11px;color:#8b949e;margin-left:8px;">\${t.type}\${t.platform ? ' @ ' + t.platform : ''}</span>\${t.verifyStatus ? '<span class="verify verify-' + t.verifyStatus + '" title="' + (t.verifyDetail || '') + ' · ' + new Date(t.lastVerified).toLocaleString() + '">' + t.verifyStatus + '</span>' : ''}<div style="font-size:11px;color:#6e7681;">Added: \${new Date(t.addedAt).toLocaleString()}\${t.expiresAt ? ' · Expires: ' + new Date(t.expiresAt).toLocaleDateString() : ''}\${t.rotateEvery ? ' · Rotate every ' + t.rotateEvery : ''}\${t.uses ? ' · ' + t.uses + ' uses, last ' + new Date(t.lastUsed).toLocaleString() : ''}</div></div><div><button class="btn btn-copy" onclick="copyToken('\${name}')">Copy</button><button class="btn btn-copy" onclick="verifyToken('\${name}')">Verify</button><button class="btn btn-connect" onclick="rotateToken('\${name}')">Rotate</button><button class="btn btn-remove" onclick="removeToken('\${name}')">Remove</button></div></div>\`;
       }).join('');
     }
     function renderPlatforms(platforms) {
@@ -308,14 +1479,42 @@ function startWebServer() {
         return \`<div class="platform-card"><h3>\${name}</h3><div class="platform-status active">Connected: \${new Date(p.connectedAt).toLocaleString()}</div><button class="btn btn-remove" onclick="disconnectPlatform('\${name}')" style="margin-top:8px;">Disconnect</button></div>\`;
       }).join('');
     }
+    function auditQuery() {
+      const params = new URLSearchParams();
+      const action = document.getElementById('auditAction').value;
+      const q = document.getElementById('auditQuery').value;
+      if (action) params.set('action', action);
+      if (q) params.set('q', q);
+      return params;
+    }
+    async function loadAudit() {
+      const params = auditQuery();
+      params.set('verify', '1');
+      const res = await api('/api/audit?' + params);
+      const data = await res.json();
+      const integrity = document.getElementById('auditIntegrity');
+      integrity.style.color = data.integrity.ok ? '#238636' : '#da3633';
+      integrity.textContent = data.integrity.ok ? '✓ Chain intact (' + data.integrity.entries + ' entries)' : '✗ Tampering detected at entry ' + data.integrity.line + ': ' + data.integrity.reason;
+      renderHistory(data.entries);
+    }
+    async function exportAudit() {
+      const res = await api('/api/audit.csv?' + auditQuery());
+      const link = document.createElement('a');
+      link.href = URL.createObjectURL(await res.blob());
+      link.download = 'token-manager-audit.csv';
+      link.click();
+      URL.revokeObjectURL(link.href);
+    }
     function renderHistory(history) {
       const list = document.getElementById('historyList');
-      const icons = { add: '+', remove: '×', enable: '◉', disable: '○', platform_connect: '⟷', platform_disconnect: '↮', token_request: '?' };
-      const colors = { add: '#238636', remove: '#da3633', enable: '#58a6ff', disable: '#f0883e', platform_connect: '#a371f7', platform_disconnect: '#f0883e', token_request: '#7ee787' };
-      list.innerHTML = history.slice().reverse().slice(0, 50).map(h => \`<div style="padding:8px;border-bottom:1px solid #30363d;font-size:12px;"><span style="color:\${colors[h.action]||'#8b949e'}">\${icons[h.action]||'•'}</span> \${h.action} \${h.name||h.platform||''} <span style="color:#6e7681;float:right;">\${new Date(h.timestamp).toLocaleString()}</span></div>\`).join('');
+      const icons = { add: '+', remove: '×', enable: '◉', disable: '○', platform_connect: '⟷', platform_disconnect: '↮', token_request: '?', chat_denied: '⛔', exec: '▶', import: '⇩', export: '⇧', reveal: '👁', rotate: '↻', verify: '✓', request_denied: '!', client_add: '+', client_revoke: '×', unlock: '⚿', lock: '⚿', rekey: '⚿', profile_create: '+', profile_use: '⇄', profile_delete: '×', alert: '🚨' };
+      const colors = { add: '#238636', remove: '#da3633', enable: '#58a6ff', disable: '#f0883e', platform_connect: '#a371f7', platform_disconnect: '#f0883e', token_request: '#7ee787', chat_denied: '#da3633', exec: '#58a6ff', import: '#a371f7', export: '#f0883e', reveal: '#f0883e', rotate: '#58a6ff', verify: '#7ee787', request_denied: '#da3633', client_add: '#238636', client_revoke: '#da3633', unlock: '#238636', lock: '#f0883e', rekey: '#a371f7', profile_create: '#238636', profile_use: '#58a6ff', profile_delete: '#da3633', alert: '#da3633' };
+      const who = (c) => !c ? '' : [c.clientId, c.chatUser, c.user, c.remote].filter(Boolean).join(' · ') + ' (' + c.via + ')';
+      if (!history.length) { list.innerHTML = '<div style="color:#8b949e;padding:12px;">No matching entries</div>'; return; }
+      list.innerHTML = history.map(h => \`<div style="padding:8px;border-bottom:1px solid #30363d;font-size:12px;"><span style="color:#6e7681;">#\${h.seq}</span> <span style="color:\${colors[h.action]||'#8b949e'}">\${icons[h.action]||'•'}</span> \${h.action} \${h.name||(h.names||[]).join(', ')||h.platform||''}\${h.command ? ' $ ' + h.command : ''}\${h.client ? ' by ' + h.client : ''}\${h.code ? ' [' + h.code + ']' : ''} <span style="color:#6e7681;float:right;">\${new Date(h.timestamp).toLocaleString()}</span><div style="color:#6e7681;font-size:11px;">\${h.profile ? '[' + h.profile + '] ' : ''}\${who(h.caller)}</div></div>\`).join('');
     }
     async function toggleAccess(enabled) {
-      await fetch('/api/toggle', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ enabled }) });
+      await api('/api/toggle', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ enabled }) });
       loadData();
     }
     async function addToken() {
@@ -323,22 +1522,40 @@ function startWebServer() {
       const value = document.getElementById('tokenValue').value;
       const type = document.getElementById('tokenType').value;
       const platform = document.getElementById('tokenPlatform').value || null;
+      const expires = document.getElementById('tokenExpires').value || null;
+      const rotateEvery = document.getElementById('tokenRotateEvery').value || null;
       if (!name || !value) return alert('Please fill required fields');
-      await fetch('/api/token', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ name, value, type, platform }) });
+      const res = await api('/api/token', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ name, value, type, platform, expires, rotateEvery }) });
+      const result = await res.json();
+      if (result.error) return alert(result.error);
       document.getElementById('tokenName').value = '';
       document.getElementById('tokenValue').value = '';
       loadData(); showTab('tokens');
     }
+    async function verifyToken(name) {
+      const res = await api('/api/verify', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ name }) });
+      const data = await res.json();
+      if (data.error) alert(data.error);
+      loadData();
+    }
+    async function rotateToken(name) {
+      const value = prompt('New value for "' + name + '" (the old value stays valid for the grace period):');
+      if (!value) return;
+      const res = await api('/api/token/' + name + '/rotate', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ value }) });
+      const result = await res.json();
+      alert(result.error || 'Rotated. Previous value valid until ' + new Date(result.previousValidUntil).toLocaleString());
+      loadData();
+    }
     async function removeToken(name) {
       if (!confirm('Delete "' + name + '"?')) return;
-      await fetch('/api/token/' + name, { method: 'DELETE' });
+      await api('/api/token/' + name, { method: 'DELETE' });
       loadData();
     }
     async function copyToken(name) {
-      const res = await fetch('/api/token/' + name);
+      const res = await api('/api/reveal/' + name);
       const data = await res.json();
       if (data.value) { await navigator.clipboard.writeText(data.value); alert('Copied!'); }
-      else alert('Access disabled or token not found');
+      else alert('Access disabled, vault locked or token not found');
     }
     async function connectPlatform() {
       const name = document.getElementById('platformName').value;
@@ -346,13 +1563,13 @@ function startWebServer() {
       if (!name) return alert('Platform name required');
       let config = {};
       try { config = configStr ? JSON.parse(configStr) : {}; } catch(e) { alert('Invalid JSON'); return; }
-      await fetch('/api/platform', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ name, config }) });
+      await api('/api/platform', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ name, config }) });
       document.getElementById('platformName').value = '';
       document.getElementById('platformConfig').value = '';
       loadData(); showTab('platforms');
     }
     async function disconnectPlatform(name) {
-      await fetch('/api/platform/' + name, { method: 'DELETE' });
+      await api('/api/platform/' + name, { method: 'DELETE' });
       loadData();
     }
     function showTab(tab) {
@@ -361,65 +1578,167 @@ function startWebServer() {
       event.target.classList.add('active');
       document.getElementById('tab-' + tab).classList.remove('hidden');
       if (tab === 'tokens') loadData();
+      if (tab === 'history') loadAudit();
     }
     loadData();
   </script>
 </body></html>`;
 
   const server = http.createServer((req, res) => {
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+    const url = new URL(req.url, `http://localhost:${port}`);
+    // Only the client-key routes may be called cross-origin
+    const clientRoute = (url.pathname === '/api/request' || url.pathname.startsWith('/api/token/')) && ['GET', 'OPTIONS'].includes(req.method);
+    if (clientRoute) {
+      res.setHeader('Access-Control-Allow-Origin', '*');
+      res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+      res.setHeader('Access-Control-Allow-Headers', 'Authorization, X-Client-Key');
+    }
     res.setHeader('Content-Type', 'application/json');
     
-    if (req.method === 'OPTIONS') { res.writeHead(200); res.end(); return; }
+    if (req.method === 'OPTIONS') { res.writeHead(clientRoute ? 204 : 403); res.end(); return; }
+    
+    // Everything else, the page included, is for the local GUI only
+    let denied = null;
+    if (!clientRoute && url.pathname.startsWith('/api/')) denied = guiCheck(req, session);
+    else if (!clientRoute && !(isLoopback(req) && isSameOrigin(req))) denied = { error: 'GUI only', code: 'NOT_LOCAL' };
+    if (denied) { res.statusCode = ERROR_STATUS[denied.code]; res.end(JSON.stringify(denied)); return; }
     
-    const url = new URL(req.url, `http://localhost:${port}`);
     const data = loadData();
+    const caller = { via: clientRoute ? 'api' : 'gui', remote: req.socket.remoteAddress };
     
     // API: Get all data
     if (url.pathname === '/api/data') {
       res.end(JSON.stringify({
+        profile: data.profile,
+        profiles: listProfiles(),
         accessEnabled: data.accessEnabled,
-        tokens: Object.fromEntries(Object.entries(data.tokens).map(([k,v]) => [k, {type:v.type, platform:v.platform, addedAt:v.addedAt, lastUsed:v.lastUsed}])),
+        vault: vaultStatus(data),
+        tokens: Object.fromEntries(Object.entries(data.tokens).map(([k,v]) => [k, {type:v.type, platform:v.platform, addedAt:v.addedAt, lastUsed:v.lastUsed, uses:v.usage ? v.usage.count : 0, expiresAt:v.expiresAt, rotateEvery:v.rotateEvery, rotatedAt:v.rotatedAt, lastVerified:v.lastVerified, verifyStatus:v.verifyStatus, verifyDetail:v.verifyDetail}])),
+        health: tokenHealth(data, config),
+        alerts: recentAlerts().slice(0, 20),
         platforms: data.platforms,
-        history: data.history
+        clients: listClients(),
+        history: readAudit({ limit: 50 }).reverse()
       }));
       return;
     }
     
+    // API: Audit log (filters: action, name, platform, client, q, since, limit)
+    if ((url.pathname === '/api/audit' || url.pathname === '/api/audit.csv') && req.method === 'GET') {
+      const filter = Object.fromEntries(['action', 'name', 'platform', 'profile', 'client', 'q', 'since'].map(k => [k, url.searchParams.get(k)]).filter(([, v]) => v));
+      filter.limit = parseInt(url.searchParams.get('limit')) || (url.pathname === '/api/audit.csv' ? 0 : 200);
+      const entries = readAudit(filter);
+      if (url.pathname === '/api/audit.csv') {
+        res.writeHead(200, { 'Content-Type': 'text/csv', 'Content-Disposition': 'attachment; filename="token-manager-audit.csv"' });
+        res.end(auditToCsv(entries.slice().reverse()));
+        return;
+      }
+      res.end(JSON.stringify({ entries, integrity: url.searchParams.get('verify') ? verifyAudit() : undefined }));
+      return;
+    }
+    
     // API: Toggle access
     if (url.pathname === '/api/toggle' && req.method === 'POST') {
-      let body = ''; req.on('data', c => body += c);
-      req.on('end', () => { const { enabled } = JSON.parse(body); toggleAccess(enabled); res.end('{}'); });
+      readJsonBody(req, res, ({ enabled }) => { toggleAccess(enabled, caller); res.end('{}'); });
+      return;
+    }
+    
+    // API: Vault unlock / lock / rekey
+    if (url.pathname.startsWith('/api/vault/') && req.method === 'POST') {
+      const action = url.pathname.replace('/api/vault/', '');
+      readJsonBody(req, res, ({ passphrase, newPassphrase }) => {
+        let result;
+        if (action === 'unlock') result = unlockVault(passphrase, caller);
+        else if (action === 'lock') result = lockVault(caller);
+        else if (action === 'rekey') result = rekeyVault(passphrase, newPassphrase, caller);
+        else result = { error: 'Unknown vault action', code: 'NOT_FOUND' };
+        res.end(JSON.stringify(result));
+      });
+      return;
+    }
+    
+    // API: Usage analytics (?name=, ?hours=) and recent alerts
+    if (url.pathname === '/api/usage' && req.method === 'GET') {
+      const hours = Math.min(parseInt(url.searchParams.get('hours')) || 24, 24 * 90);
+      res.end(JSON.stringify({ profile: data.profile, tokens: usageStats(url.searchParams.get('name'), hours), alerts: recentAlerts() }));
+      return;
+    }
+    
+    // API: Profiles (list, create, switch, delete)
+    if (url.pathname === '/api/profiles' && req.method === 'GET') {
+      res.end(JSON.stringify({ active: data.profile, profiles: listProfiles() }));
+      return;
+    }
+    if (url.pathname === '/api/profiles' && req.method === 'POST') {
+      readJsonBody(req, res, ({ name, from }) => {
+        const result = createProfile(name, { from }, caller);
+        if (result.error) res.statusCode = ERROR_STATUS[result.code] || 400;
+        res.end(JSON.stringify(result));
+      });
+      return;
+    }
+    const profileRoute = url.pathname.match(/^\/api\/profiles\/([^/]+)(\/use)?$/);
+    if (profileRoute && (req.method === 'DELETE' || (req.method === 'POST' && profileRoute[2]))) {
+      const name = decodeURIComponent(profileRoute[1]);
+      const result = req.method === 'DELETE' ? deleteProfile(name, caller) : useProfile(name, caller);
+      if (result.error) res.statusCode = ERROR_STATUS[result.code] || 400;
+      res.end(JSON.stringify(result));
       return;
     }
     
-    // API: Get single token
+    // API: Get single token (client key required, optional ?profile=)
     if (url.pathname.startsWith('/api/token/') && req.method === 'GET') {
-      const name = url.pathname.replace('/api/token/', '');
+      const name = decodeURIComponent(url.pathname.replace('/api/token/', ''));
+      const result = withProfile(url.searchParams.get('profile'), () => requestNamedToken(name, clientKeyFrom(req), caller));
+      if (result.error) res.statusCode = ERROR_STATUS[result.code] || 400;
+      res.end(JSON.stringify(result));
+      return;
+    }
+    
+    // GUI: Reveal token value for the copy button
+    if (url.pathname.startsWith('/api/reveal/') && req.method === 'GET') {
+      const name = decodeURIComponent(url.pathname.replace('/api/reveal/', ''));
       const token = data.tokens[name];
-      res.end(JSON.stringify({ value: data.accessEnabled && token ? token.value : null }));
+      if (token) audit({ action: 'reveal', name }, caller);
+      res.end(JSON.stringify({ value: data.accessEnabled && token ? readTokenValue(token) : null }));
       return;
     }
     
     // API: Add token
     if (url.pathname === '/api/token' && req.method === 'POST') {
-      let body = ''; req.on('data', c => body += c);
-      req.on('end', () => { const { name, value, type, platform } = JSON.parse(body); addToken(name, value, type, platform); res.end('{}'); });
+      readJsonBody(req, res, ({ name, value, type, platform, expires, rotateEvery }) => res.end(JSON.stringify(addToken(name, value, type, platform, { expires, rotateEvery }, caller))));
+      return;
+    }
+    
+    // API: Verify tokens against their platforms
+    if (url.pathname === '/api/verify' && req.method === 'POST') {
+      readJsonBody(req, res, async ({ name }) => {
+        const result = await verifyTokens(name || null, caller);
+        if (result.error) res.statusCode = ERROR_STATUS[result.code] || 404;
+        res.end(JSON.stringify(result));
+      });
+      return;
+    }
+    
+    // API: Rotate token
+    if (url.pathname.match(/^\/api\/token\/[^/]+\/rotate$/) && req.method === 'POST') {
+      const name = decodeURIComponent(url.pathname.split('/')[3]);
+      readJsonBody(req, res, ({ value, expires }) => res.end(JSON.stringify(rotateToken(name, value, { expires }, caller))));
       return;
     }
     
     // API: Delete token
     if (url.pathname.startsWith('/api/token/') && req.method === 'DELETE') {
       const name = url.pathname.replace('/api/token/', '');
-      removeToken(name); res.end('{}'); return;
+      removeToken(decodeURIComponent(name), caller); res.end('{}'); return;
     }
     
-    // API: Request tokens for platform (auto-provision)
+    // API: Request tokens for platform (auto-provision, optional ?profile=)
     if (url.pathname === '/api/request' && req.method === 'GET') {
       const platform = url.searchParams.get('platform');
       const purpose = url.searchParams.get('purpose') || 'unspecified';
-      const result = requestToken(platform, purpose);
+      const result = withProfile(url.searchParams.get('profile'), () => requestToken(platform, purpose, clientKeyFrom(req), caller));
+      if (result.error) res.statusCode = ERROR_STATUS[result.code] || 404;
       res.end(JSON.stringify(result));
       return;
     }
@@ -432,15 +1751,20 @@ function startWebServer() {
     
     // API: Connect platform
     if (url.pathname === '/api/platform' && req.method === 'POST') {
-      let body = ''; req.on('data', c => body += c);
-      req.on('end', () => { const { name, config } = JSON.parse(body); connectPlatform(name, config); res.end('{}'); });
+      readJsonBody(req, res, ({ name, config }) => { connectPlatform(name, config, caller); res.end('{}'); });
       return;
     }
     
     // API: Disconnect platform
     if (url.pathname.startsWith('/api/platform/') && req.method === 'DELETE') {
       const name = url.pathname.replace('/api/platform/', '');
-      disconnectPlatform(name); res.end('{}'); return;
+      disconnectPlatform(decodeURIComponent(name), caller); res.end('{}'); return;
+    }
+    
+    if (url.pathname.startsWith('/api/')) {
+      res.statusCode = 404;
+      res.end(JSON.stringify({ error: `No route for ${req.method} ${url.pathname}`, code: 'NOT_FOUND' }));
+      return;
     }
     
     // Serve HTML
@@ -448,7 +1772,7 @@ function startWebServer() {
     res.end(html);
   });
   
-  server.listen(port, () => console.log(`\n  Token Manager: http://localhost:${port}\n`));
+  server.listen(port, config.host || '127.0.0.1', () => console.log(`\n  Token Manager: http://localhost:${server.address().port}\n`));
   return server;
 }
 
@@ -467,7 +1791,11 @@ function startTerminal() {
   const showStatus = () => {
     const data = loadData();
     const status = data.accessEnabled ? C.green + 'ENABLED' : C.red + 'DISABLED';
-    console.log(`\n  Agent Access: ${status}`);
+    console.log(`\n  Profile: ${C.magenta}${data.profile}` + C.reset);
+    console.log(`  Agent Access: ${status}` + C.reset);
+    const vault = vaultStatus(data);
+    const vaultText = !vault.enabled ? C.gray + 'not set up' : vault.locked ? C.yellow + 'LOCKED' : C.green + 'UNLOCKED';
+    console.log(`  Vault: ${vaultText}` + C.reset);
     
     console.log(C.cyan + '\n  Connected Platforms:' + C.reset);
     const platforms = Object.keys(data.platforms);
@@ -479,9 +1807,19 @@ function startTerminal() {
     if (tokens.length === 0) console.log(C.gray + '    (none)' + C.reset);
     tokens.forEach(t => console.log(`    ${C.green}●${C.reset} ${t}`));
     
+    const warnings = formatHealth(tokenHealth(data));
+    if (warnings.length) {
+      console.log(C.yellow + '\n  Needs Attention:' + C.reset);
+      warnings.forEach(w => console.log(`    ${C.yellow}!${C.reset} ${w}`));
+    }
+    const alerts = recentAlerts();
+    if (alerts.length) console.log(C.red + `\n  Alerts (24h): ${formatAlertSummary(alerts)}` + C.reset + C.gray + '  (audit --action alert)' + C.reset);
+    
     console.log(C.cyan + '\n  Commands:' + C.reset);
-    console.log('    list, show <name>, add <name>, remove <name>');
+    console.log('    list, show <name>, add <name> [--expires 30d] [--rotate-every 90d]');
+    console.log('    remove <name>, rotate <name>, verify [name], status');
     console.log('    platform <name>, disconnect <platform>');
+    console.log('    clients, audit [verify], unlock, lock, rekey, profile [name]');
     console.log('    toggle, gui, help, exit');
   };
   
@@ -503,12 +1841,51 @@ function startTerminal() {
       case 'show':
         if (!arg) { console.log(C.red + '  Usage: show <name>' + C.reset); break; }
         if (!data.accessEnabled) { console.log(C.red + '  Access disabled!' + C.reset); break; }
-        if (data.tokens[arg]) console.log(C.gray + `  ${data.tokens[arg].value}` + C.reset);
+        if (vaultStatus(data).locked) { console.log(C.red + '  Vault locked! Use: unlock' + C.reset); break; }
+        if (data.tokens[arg]) console.log(C.gray + `  ${readTokenValue(data.tokens[arg])}` + C.reset);
         else console.log(C.red + '  Not found: ' + arg + C.reset);
         break;
       case 'add':
         if (!arg) { console.log(C.red + '  Usage: add <name>' + C.reset); break; }
-        rl.question('  Value: ', (value) => { addToken(arg, value, 'token'); console.log(C.green + `  Added: ${arg}` + C.reset); prompt(); });
+        if (vaultStatus(data).locked) { console.log(C.red + '  Vault locked! Use: unlock' + C.reset); break; }
+        const flag = (name) => args.includes(name) ? args[args.indexOf(name) + 1] : null;
+        rl.question('  Value: ', (value) => {
+          const result = addToken(arg, value, 'token', null, { expires: flag('--expires'), rotateEvery: flag('--rotate-every') });
+          if (result.error) console.log(C.red + `  ${result.error}` + C.reset);
+          else console.log(C.green + `  Added: ${arg}` + C.reset);
+          prompt();
+        });
+        return;
+      case 'rotate':
+        if (!arg) { console.log(C.red + '  Usage: rotate <name>' + C.reset); break; }
+        if (!data.tokens[arg]) { console.log(C.red + '  Not found: ' + arg + C.reset); break; }
+        rl.question('  New value: ', (value) => {
+          const result = rotateToken(arg, value);
+          if (result.error) console.log(C.red + `  ${result.error}` + C.reset);
+          else console.log(C.green + `  Rotated: ${arg} (previous value valid until ${new Date(result.previousValidUntil).toLocaleString()})` + C.reset);
+          prompt();
+        });
+        return;
+      case 'unlock':
+        rl.question('  Passphrase: ', (passphrase) => {
+          const result = unlockVault(passphrase);
+          if (result.error) console.log(C.red + `  ${result.error}` + C.reset);
+          else console.log(C.green + '  Vault unlocked' + (result.migrated ? ` (encrypted ${result.migrated} plaintext values)` : '') + C.reset);
+          prompt();
+        });
+        return;
+      case 'lock':
+        lockVault(); console.log(C.green + '  Vault locked' + C.reset);
+        break;
+      case 'rekey':
+        rl.question('  Current passphrase: ', (passphrase) => {
+          rl.question('  New passphrase: ', (newPassphrase) => {
+            const result = rekeyVault(passphrase, newPassphrase);
+            if (result.error) console.log(C.red + `  ${result.error}` + C.reset);
+            else console.log(C.green + '  Vault re-encrypted with new passphrase' + C.reset);
+            prompt();
+          });
+        });
         return;
       case 'remove': case 'rm':
         if (!arg) { console.log(C.red + '  Usage: remove <name>' + C.reset); break; }
@@ -522,6 +1899,33 @@ function startTerminal() {
         if (!arg) { console.log(C.red + '  Usage: disconnect <platform>' + C.reset); break; }
         disconnectPlatform(arg); console.log(C.green + `  Disconnected: ${arg}` + C.reset);
         break;
+      case 'verify':
+        verifyTokens(arg || null).then(result => {
+          if (result.error) console.log(C.red + `  ${result.error}` + C.reset);
+          else result.results.forEach(r => console.log('  ' + formatVerifyResult(r)));
+          prompt();
+        });
+        return;
+      case 'audit':
+        if (arg === 'verify') printAuditVerify(verifyAudit(), '  ');
+        else readAudit({ limit: 15 }).reverse().forEach(e => console.log('  ' + formatAuditEntry(e)));
+        break;
+      case 'clients':
+        console.log(C.cyan + '\n  Clients:' + C.reset);
+        listClients().forEach(c => console.log(`    ${C.magenta}◉${C.reset} ${c.id} ${C.gray}[${[...(c.tokens || []), ...(c.platforms || []).map(p => '@' + p)].join(', ')}]${C.reset}`));
+        console.log(C.gray + '    Manage with: token-manager client add|revoke' + C.reset);
+        break;
+      case 'profile': case 'profiles': {
+        if (!arg) {
+          listProfiles().forEach(p => console.log(`    ${p.active ? C.green + '▶' : C.magenta + '◉'}${C.reset} ${p.name} ${C.gray}(${p.tokens} tokens, ${p.accessEnabled ? 'enabled' : 'disabled'})${C.reset}`));
+          break;
+        }
+        const result = useProfile(arg);
+        if (result.error) { console.log(C.red + `  ${result.error}` + C.reset); break; }
+        profileOverride = null;
+        showStatus();
+        break;
+      }
       case 'toggle':
         const newState = toggleAccess();
         console.log(C.green + `  Access: ${newState ? 'ENABLED' : 'DISABLED'}` + C.reset);
@@ -529,7 +1933,7 @@ function startTerminal() {
       case 'gui': case 'web':
         console.log(C.cyan + '\n  Starting GUI...\n' + C.reset);
         startWebServer(); return;
-      case 'help': case '?':
+      case 'status': case 'help': case '?':
         showStatus(); break;
       case 'exit': case 'quit':
         console.log(C.gray + '  Bye!' + C.reset); process.exit(0);
@@ -543,15 +1947,58 @@ function startTerminal() {
 // Main
 function main() {
   const args = process.argv.slice(2);
+  
+  // --profile <name> selects a profile for this invocation only. Anything
+  // after "--" belongs to the command run by exec.
+  const ownArgs = args.includes('--') ? args.slice(0, args.indexOf('--')) : args;
+  const profileFlag = ownArgs.indexOf('--profile');
+  if (profileFlag !== -1) {
+    profileOverride = args[profileFlag + 1];
+    args.splice(profileFlag, 2);
+  }
+  if (profileOverride && !profileExists(profileOverride)) {
+    console.error(C.red + `Profile not found: ${profileOverride}` + C.reset);
+    process.exitCode = 1;
+    return;
+  }
   const cmd = args[0];
   
+  // Headless unlock for the GUI/API server (e.g. systemd EnvironmentFile)
+  if (process.env.TOKEN_MANAGER_PASSPHRASE && loadData().vault) {
+    const result = unlockVault(process.env.TOKEN_MANAGER_PASSPHRASE);
+    if (result.error) console.error(C.red + `Vault: ${result.error}` + C.reset);
+  }
+  
   switch (cmd) {
     case 'gui': case 'web': startWebServer(); break;
     case 'add': case 'set': console.log('Use "token-manager" for interactive mode'); break;
     case 'list': case 'ls': listTokens().forEach(t => console.log(`${t.name} [${t.type}]`)); break;
     case 'toggle': console.log(`Access: ${toggleAccess() ? 'ENABLED' : 'DISABLED'}`); break;
-    case 'status': const d = loadData(); console.log(`Access: ${d.accessEnabled ? 'ENABLED' : 'DISABLED'}\nTokens: ${Object.keys(d.tokens).length}\nPlatforms: ${Object.keys(d.platforms).length}`); break;
+    case 'status': {
+      const d = loadData();
+      console.log(`Profile: ${d.profile}\nAccess: ${d.accessEnabled ? 'ENABLED' : 'DISABLED'}\nVault: ${!d.vault ? 'not set up' : vaultKey ? 'UNLOCKED' : 'LOCKED'}\nTokens: ${Object.keys(d.tokens).length}\nPlatforms: ${Object.keys(d.platforms).length}`);
+      const warnings = formatHealth(tokenHealth(d));
+      if (warnings.length) console.log(C.yellow + `\nNeeds attention:\n${warnings.map(w => '  ! ' + w).join('\n')}` + C.reset);
+      const alerts = recentAlerts();
+      if (alerts.length) console.log(C.red + `\nAlerts (24h): ${formatAlertSummary(alerts)}\n${alerts.slice(0, 5).map(a => '  ! ' + a.message).join('\n')}` + C.reset);
+      break;
+    }
+    case 'verify':
+      verifyTokens(args[1] || null).then(result => {
+        if (result.error) { console.log(C.red + result.error + C.reset); process.exitCode = 1; return; }
+        result.results.forEach(r => console.log(formatVerifyResult(r)));
+        if (result.results.some(r => r.status === 'invalid')) process.exitCode = 2;
+      });
+      break;
+    case 'rotate': rotateCommand(args[1], args.includes('--expires') ? args[args.indexOf('--expires') + 1] : null); break;
     case 'platforms': console.log(JSON.stringify(listPlatforms(), null, 2)); break;
+    case 'client': case 'clients': clientCommand(args.slice(1)); break;
+    case 'profile': case 'profiles': profileCommand(args.slice(1)); break;
+    case 'usage': usageCommand(args.slice(1)); break;
+    case 'audit': auditCommand(args.slice(1)); break;
+    case 'import': importCommand(args.slice(1)); break;
+    case 'export': exportCommand(args.slice(1)); break;
+    case 'exec': case 'run': execCommand(args.slice(1)); break;
     case 'msg': case 'message': 
       // Handle messages from chat platforms
       const message = args.slice(1).join(' ');
@@ -565,21 +2012,336 @@ function main() {
   }
 }
 
+// One-shot commands that need token values prompt for the vault passphrase
+function ensureUnlocked(rl, callback) {
+  if (!vaultStatus().locked) return callback();
+  rl.question('Vault passphrase: ', (passphrase) => {
+    const result = unlockVault(passphrase);
+    if (result.error) { console.log(C.red + result.error + C.reset); process.exitCode = 1; rl.close(); return; }
+    callback();
+  });
+}
+
+// token-manager import <dotenv|openclaw|env|bundle> [file] [--dry-run] [--yes] [--only A,B]
+function importCommand(args) {
+  const [source, fileArg] = args;
+  const file = fileArg && !fileArg.startsWith('--') ? fileArg : null;
+  const only = args.includes('--only') ? args[args.indexOf('--only') + 1].split(',') : null;
+  if (!source) {
+    console.log('Usage: token-manager import <dotenv <file> | openclaw [file] | env [--only A,B] | bundle <file>> [--dry-run] [--yes]');
+    process.exitCode = 1;
+    return;
+  }
+  
+  const rl = require('readline').createInterface({ input: process.stdin, output: process.stdout });
+  const withPassphrase = (cb) => source === 'bundle'
+    ? (process.env.TOKEN_MANAGER_BUNDLE_PASSPHRASE ? cb(process.env.TOKEN_MANAGER_BUNDLE_PASSPHRASE) : rl.question('Bundle passphrase: ', cb))
+    : cb(null);
+  
+  ensureUnlocked(rl, () => withPassphrase((passphrase) => {
+    const found = importCandidates(source, file, { passphrase, only });
+    const diff = found.error ? found : diffImport(found.candidates);
+    if (diff.error) { console.log(C.red + diff.error + C.reset); process.exitCode = 1; rl.close(); return; }
+    
+    const marks = { add: C.green + '+', update: C.yellow + '~', same: C.gray + '=' };
+    console.log(C.cyan + `\nImport from ${source}${file ? ' (' + file + ')' : ''}:` + C.reset);
+    if (!diff.changes.length) console.log(C.gray + '  (nothing found)' + C.reset);
+    diff.changes.forEach(c => console.log(`  ${marks[c.change]} ${c.name}${C.reset}${c.platform ? C.gray + ' @ ' + c.platform + C.reset : ''}${c.envVar ? C.gray + ' ← ' + c.envVar + C.reset : ''}`));
+    const pending = diff.changes.filter(c => c.change !== 'same');
+    console.log(`\n  ${diff.changes.filter(c => c.change === 'add').length} new, ${diff.changes.filter(c => c.change === 'update').length} changed, ${diff.changes.length - pending.length} unchanged`);
+    
+    if (args.includes('--dry-run') || !pending.length) { rl.close(); return; }
+    const apply = () => {
+      const result = applyImport(diff.changes, source);
+      if (result.error) { console.log(C.red + result.error + C.reset); process.exitCode = 1; }
+      else console.log(C.green + `Imported ${result.imported} token(s)` + C.reset);
+      rl.close();
+    };
+    if (args.includes('--yes')) return apply();
+    rl.question('Apply these changes? [y/N] ', (answer) => {
+      if (/^y(es)?$/i.test(answer.trim())) apply();
+      else { console.log(C.gray + 'Nothing written' + C.reset); rl.close(); }
+    });
+  }));
+}
+
+// token-manager export <dotenv|bundle> [file] [--only name1,name2]
+function exportCommand(args) {
+  const [format, fileArg] = args;
+  const file = fileArg && !fileArg.startsWith('--') ? fileArg : null;
+  const only = args.includes('--only') ? args[args.indexOf('--only') + 1].split(',') : null;
+  if (format !== 'dotenv' && format !== 'bundle') {
+    console.log('Usage: token-manager export dotenv [file] | bundle <file> [--only name1,name2]');
+    process.exitCode = 1;
+    return;
+  }
+  if (format === 'bundle' && !file) { console.log(C.red + 'Bundle export needs an output file' + C.reset); process.exitCode = 1; return; }
+  
+  const rl = require('readline').createInterface({ input: process.stdin, output: process.stderr });
+  const write = (result) => {
+    rl.close();
+    if (result.error) { console.error(C.red + result.error + C.reset); process.exitCode = 1; return; }
+    if (!file) return process.stdout.write(result.content);
+    fs.writeFileSync(file, result.content, { mode: 0o600 });
+    console.error(C.green + `Exported ${result.count} token(s) to ${file}` + C.reset);
+  };
+  
+  ensureUnlocked(rl, () => {
+    if (format === 'dotenv') return write(exportDotenv(only));
+    if (process.env.TOKEN_MANAGER_BUNDLE_PASSPHRASE) return write(exportBundle(process.env.TOKEN_MANAGER_BUNDLE_PASSPHRASE, only));
+    rl.question('Bundle passphrase: ', (passphrase) => write(exportBundle(passphrase, only)));
+  });
+}
+
+// token-manager exec GITHUB_TOKEN=github-main [ha_token ...] -- <command> [args...]
+function execCommand(args) {
+  const sep = args.indexOf('--');
+  const mappings = sep >= 0 ? args.slice(0, sep) : [];
+  const command = sep >= 0 ? args.slice(sep + 1) : [];
+  if (!mappings.length || !command.length) {
+    console.log('Usage: token-manager exec VAR=token-name [token-name ...] -- <command> [args...]');
+    process.exitCode = 1;
+    return;
+  }
+  
+  const rl = require('readline').createInterface({ input: process.stdin, output: process.stderr });
+  ensureUnlocked(rl, async () => {
+    rl.close();
+    const result = await execWithTokens(mappings, command);
+    if (result.error) { console.error(C.red + result.error + C.reset); process.exitCode = 1; return; }
+    process.exitCode = result.exitCode;
+  });
+}
+
+// token-manager rotate <name> [--expires 90d]: new value is read from stdin
+function rotateCommand(name, expires) {
+  if (!name) { console.log('Usage: token-manager rotate <name> [--expires 90d]'); process.exitCode = 1; return; }
+  const rl = require('readline').createInterface({ input: process.stdin, output: process.stdout });
+  rl.question(`New value for ${name}: `, (value) => {
+    rl.close();
+    const result = rotateToken(name, value.trim(), { expires });
+    if (result.error) { console.log(C.red + result.error + C.reset); process.exitCode = 1; return; }
+    console.log(C.green + `Rotated: ${name}` + C.reset + ` (previous value valid until ${result.previousValidUntil})`);
+  });
+}
+
+function formatAuditEntry(e) {
+  const c = e.caller || {};
+  const who = [c.clientId, c.chatUser, c.user, c.remote].filter(Boolean).join(' ') || c.via;
+  const subject = e.name || (e.names && e.names.join(',')) || e.platform || '';
+  const profile = e.profile && e.profile !== DEFAULT_PROFILE ? `${C.magenta}[${e.profile}]${C.reset} ` : '';
+  return `${C.gray}#${e.seq} ${e.timestamp}${C.reset} ${profile}${e.action} ${subject}${e.rule ? C.yellow + ' ' + e.rule + C.reset : ''}${e.command ? C.gray + ' $ ' + e.command + C.reset : ''}${e.code ? C.red + ' ' + e.code + C.reset : ''} ${C.gray}(${who})${C.reset}`;
+}
+
+function printAuditVerify(result, indent = '') {
+  if (result.ok) console.log(indent + C.green + `✓ Audit chain intact (${result.entries} entries)` + C.reset);
+  else console.log(indent + C.red + `✗ Audit log tampered at line ${result.line}: ${result.reason}` + C.reset);
+}
+
+// token-manager audit [verify | export [file] | --action x --client y --q text --limit n]
+function auditCommand(args) {
+  const flag = (name) => args.includes(name) ? args[args.indexOf(name) + 1] : null;
+  const filter = { action: flag('--action'), name: flag('--name'), client: flag('--client'), q: flag('--q'), since: flag('--since') };
+  
+  if (args[0] === 'verify') {
+    const result = verifyAudit();
+    printAuditVerify(result);
+    if (!result.ok) process.exitCode = 1;
+    return;
+  }
+  if (args[0] === 'export') {
+    const csv = auditToCsv(readAudit(filter).reverse());
+    const file = args[1] && !args[1].startsWith('--') ? args[1] : null;
+    if (file) { fs.writeFileSync(file, csv); console.log(C.green + `Exported to ${file}` + C.reset); }
+    else process.stdout.write(csv);
+    return;
+  }
+  readAudit({ ...filter, limit: parseInt(flag('--limit')) || 20 }).reverse().forEach(e => console.log(formatAuditEntry(e)));
+}
+
+// token-manager client add <id> [--tokens a,b] [--platforms github] [--expires 90d]
+function clientCommand(args) {
+  const sub = args[0] || 'list';
+  const flag = (name) => args.includes(name) ? args[args.indexOf(name) + 1] : null;
+  const csv = (v) => v ? v.split(',').map(s => s.trim()).filter(Boolean) : [];
+  
+  switch (sub) {
+    case 'add': {
+      const result = addClient(args[1], { tokens: csv(flag('--tokens')), platforms: csv(flag('--platforms')), profiles: csv(flag('--profiles')), expires: flag('--expires') });
+      if (result.error) { console.log(C.red + result.error + C.reset); process.exitCode = 1; break; }
+      console.log(C.green + `Client added: ${result.id}` + C.reset);
+      console.log(`Grants: tokens=[${result.tokens.join(', ')}] platforms=[${result.platforms.join(', ')}] profiles=[${result.profiles.join(', ') || 'all'}]`);
+      if (result.expiresAt) console.log(`Expires: ${result.expiresAt}`);
+      console.log(C.yellow + `Key (shown once): ${result.key}` + C.reset);
+      break;
+    }
+    case 'revoke': case 'remove': case 'rm':
+      if (revokeClient(args[1])) console.log(C.green + `Revoked: ${args[1]}` + C.reset);
+      else { console.log(C.red + `Not found: ${args[1]}` + C.reset); process.exitCode = 1; }
+      break;
+    case 'list': case 'ls':
+      const clients = listClients();
+      if (clients.length === 0) console.log(C.gray + '(no clients)' + C.reset);
+      clients.forEach(c => {
+        const expired = c.expiresAt && new Date(c.expiresAt) < new Date();
+        console.log(`${c.id}  tokens=[${(c.tokens || []).join(',')}] platforms=[${(c.platforms || []).join(',')}] profiles=[${c.profiles.join(',') || 'all'}]` +
+          (c.expiresAt ? `  ${expired ? C.red + 'expired' : 'expires'} ${c.expiresAt}${C.reset}` : ''));
+      });
+      break;
+    default:
+      console.log('Usage: token-manager client add <id> [--tokens a,b] [--platforms github] [--profiles home,prod] [--expires 90d]');
+      console.log('       token-manager client list | revoke <id>');
+  }
+}
+
+// token-manager usage [name] [--hours 24]
+function usageCommand(args) {
+  const hours = args.includes('--hours') ? parseInt(args[args.indexOf('--hours') + 1]) || 24 : 24;
+  const name = args[0] && !args[0].startsWith('--') ? args[0] : null;
+  const stats = usageStats(name, hours);
+  if (name && stats.length === 0) { console.log(C.red + `Not found: ${name}` + C.reset); process.exitCode = 1; return; }
+  
+  const bars = ' ▁▂▃▄▅▆▇█';
+  const top = (map) => Object.entries(map || {}).sort((a, b) => b[1] - a[1]).slice(0, 5).map(([k, n]) => `${k}=${n}`).join(' ') || '-';
+  for (const s of stats) {
+    const max = Math.max(...s.hourly, 1);
+    const spark = s.hourly.map(n => bars[Math.ceil(n / max * 8)]).join('');
+    console.log(`${C.bright}${s.name}${C.reset}  ${s.count} uses${s.lastUsed ? C.gray + `, last ${s.lastUsed}` + C.reset : ''}`);
+    console.log(`  ${C.cyan}${spark}${C.reset} ${C.gray}last ${hours}h${C.reset}`);
+    console.log(`  platforms: ${top(s.platforms)}  purposes: ${top(s.purposes)}  clients: ${top(s.clients)}`);
+  }
+  const alerts = recentAlerts();
+  if (alerts.length) {
+    console.log(C.red + `\nAlerts (24h): ${formatAlertSummary(alerts)}` + C.reset);
+    alerts.slice(0, 10).forEach(a => console.log(`  ${C.gray}${a.timestamp}${C.reset} ${a.message}`));
+  }
+}
+
+// token-manager profile [list] | use <name> | create <name> [--from <profile>] | delete <name>
+function profileCommand(args) {
+  const sub = args[0] || 'list';
+  const report = (result, message) => {
+    if (result.error) { console.log(C.red + result.error + C.reset); process.exitCode = 1; }
+    else console.log(C.green + message + C.reset);
+  };
+  
+  switch (sub) {
+    case 'list': case 'ls':
+      listProfiles().forEach(p => console.log(
+        `${p.active ? C.green + '* ' : '  '}${p.name}${C.reset}  ${p.accessEnabled ? 'enabled ' : 'disabled'}  tokens=${p.tokens} platforms=${p.platforms}` +
+        (p.active && !p.stored ? C.gray + '  (this invocation only)' + C.reset : '')));
+      break;
+    case 'use': case 'switch': {
+      const result = useProfile(args[1]);
+      report(result, `Active profile: ${result.active}`);
+      break;
+    }
+    case 'create': case 'new': {
+      const from = args.includes('--from') ? args[args.indexOf('--from') + 1] : null;
+      const result = createProfile(args[1], { from });
+      report(result, `Created profile: ${result.created}${from ? ` (${result.tokens} tokens copied from ${from})` : ''}`);
+      break;
+    }
+    case 'delete': case 'rm': {
+      const result = deleteProfile(args[1]);
+      report(result, `Deleted profile: ${result.deleted} (${result.tokens} tokens)`);
+      break;
+    }
+    default:
+      console.log('Usage: token-manager profile [list] | use <name> | create <name> [--from <profile>] | delete <name>');
+      console.log('       token-manager --profile <name> <command>   (one-off, also TOKEN_MANAGER_PROFILE)');
+  }
+}
+
+// Chat authorisation. config.chat.users maps "<platform>:<user id>" to a
+// role; anyone not listed is refused. Local CLI callers act as admin.
+const CHAT_ROLES = ['viewer', 'operator', 'admin'];
+const CHAT_COMMAND_ROLES = {
+  status: 'viewer', s: 'viewer', tokens: 'viewer', list: 'viewer', ls: 'viewer',
+  platforms: 'viewer', platform: 'viewer', help: 'viewer', '?': 'viewer', confirm: 'viewer',
+  history: 'operator', log: 'operator', disable: 'operator', off: 'operator', profile: 'operator', profiles: 'operator',
+  enable: 'admin', on: 'admin', toggle: 'admin', switch: 'admin', 'profile use': 'admin'
+};
+// Commands that need a second "confirm <code>" message
+const CHAT_CONFIRM = ['enable', 'on', 'toggle', 'switch', 'profile use'];
+
+function chatRole(caller, config = loadConfig()) {
+  if (caller.via === 'cli') return 'admin';
+  const users = (config.chat && config.chat.users) || {};
+  return CHAT_ROLES.includes(users[caller.chatUser]) ? users[caller.chatUser] : null;
+}
+
+// Returns a refusal or confirmation prompt, or null when the command may run
+function authorizeChat(cmd, input, caller, confirmed) {
+  // "profile <name>" switches profiles, and with them whether agent access is on
+  if (['profile', 'profiles'].includes(cmd) && input.split(/\s+/).length > 1) cmd = 'profile use';
+  const config = loadConfig();
+  const role = chatRole(caller, config);
+  if (!role) {
+    audit({ action: 'chat_denied', command: cmd, code: 'NOT_ALLOWLISTED' }, caller);
+    return `⛔ Not authorised. Ask an admin to add ${caller.chatUser} to chat.users`;
+  }
+  
+  const needed = CHAT_COMMAND_ROLES[cmd] || 'viewer';
+  if (CHAT_ROLES.indexOf(role) < CHAT_ROLES.indexOf(needed)) {
+    audit({ action: 'chat_denied', command: cmd, role, code: 'ROLE_REQUIRED' }, caller);
+    return `⛔ "${cmd}" needs the ${needed} role (you are ${role})`;
+  }
+  
+  if (CHAT_CONFIRM.includes(cmd) && caller.via !== 'cli' && !confirmed) {
+    const ttl = parseDuration(config.chat.confirmTtl) || 120000;
+    const code = String(crypto.randomInt(100000, 1000000));
+    const data = loadData();
+    const now = Date.now();
+    data.confirmations = Object.fromEntries(Object.entries(data.confirmations || {}).filter(([, c]) => c.expiresAt > now));
+    data.confirmations[code] = { input, chatUser: caller.chatUser, expiresAt: now + ttl };
+    saveData(data);
+    audit({ action: 'chat_confirm_requested', command: cmd }, caller);
+    return `⚠️ "${cmd}" is a sensitive command.\nReply "confirm ${code}" within ${Math.round(ttl / 1000)}s to proceed.`;
+  }
+  return null;
+}
+
+function confirmChatCommand(code, caller) {
+  const data = loadData();
+  const pending = (data.confirmations || {})[code];
+  if (!pending || pending.chatUser !== caller.chatUser) return '❓ No pending command with that code';
+  delete data.confirmations[code];
+  saveData(data);
+  if (pending.expiresAt < Date.now()) return '⌛ Confirmation code expired, send the command again';
+  return handleChatMessage(pending.input, caller, { confirmed: true });
+}
+
 // Handle messages from chat platforms (Discord, Telegram, etc.)
-function handleChatMessage(input) {
+function handleChatMessage(input, caller = LOCAL_CALLER, { confirmed = false } = {}) {
   const data = loadData();
   const cmd = input.trim().toLowerCase().split(/\s+/)[0];
   const args = input.trim().split(/\s+/).slice(1);
   
+  const refusal = authorizeChat(cmd, input.trim(), caller, confirmed);
+  if (refusal) return refusal;
+  
   let response = '';
   
   switch (cmd) {
+    case 'confirm':
+      response = args[0] ? confirmChatCommand(args[0], caller) : 'Usage: confirm <code>';
+      break;
+      
     case 'status':
     case 's':
       response = `🔐 Token Manager Status\n\n` +
+        `Profile: ${data.profile}\n` +
         `Agent Access: ${data.accessEnabled ? '✅ ENABLED' : '❌ DISABLED'}\n` +
+        `Vault: ${!data.vault ? 'not set up' : vaultKey ? '🔓 UNLOCKED' : '🔒 LOCKED'}\n` +
         `Tokens: ${Object.keys(data.tokens).length}\n` +
         `Platforms: ${Object.keys(data.platforms).length}`;
+      const warnings = formatHealth(tokenHealth(data));
+      if (warnings.length) response += `\n\n⚠️ Needs attention:\n` + warnings.map(w => `• ${w}`).join('\n');
+      const alerts = recentAlerts();
+      if (alerts.length) {
+        response += `\n\n🚨 Alerts (24h): ${formatAlertSummary(alerts)}\n` + alerts.slice(0, 3).map(a => `• ${a.message}`).join('\n');
+      }
       break;
       
     case 'tokens':
@@ -609,25 +2371,37 @@ function handleChatMessage(input) {
       
     case 'enable':
     case 'on':
-      const newState = toggleAccess(true);
+      const newState = toggleAccess(true, caller);
       response = `✅ Agent Access: ${newState ? 'ENABLED' : 'DISABLED'}`;
       break;
       
     case 'disable':
     case 'off':
-      toggleAccess(false);
+      toggleAccess(false, caller);
       response = '❌ Agent Access: DISABLED';
       break;
       
     case 'toggle':
     case 'switch':
-      const toggled = toggleAccess();
+      const toggled = toggleAccess(null, caller);
       response = `🔄 Agent Access: ${toggled ? 'ENABLED' : 'DISABLED'}`;
       break;
       
+    case 'profile':
+    case 'profiles':
+      if (args[0]) {
+        const switched = useProfile(args[0], caller);
+        response = switched.error ? `❓ ${switched.error}` : `🗂 Active profile: ${switched.active} (was ${switched.previous})`;
+      } else {
+        response = '🗂 Profiles:\n' + listProfiles().map(p =>
+          `${p.active ? '▶' : '•'} ${p.name} ${p.accessEnabled ? '✅' : '❌'} ${p.tokens} tokens`
+        ).join('\n');
+      }
+      break;
+      
     case 'history':
     case 'log':
-      const history = data.history.slice(-10).reverse();
+      const history = readAudit({ limit: 10 });
       if (history.length === 0) {
         response = '📝 No history';
       } else {
@@ -648,10 +2422,12 @@ function handleChatMessage(input) {
 status (s)    - Show access status
 tokens (ls)   - List stored tokens  
 platforms     - List connected platforms
-enable/on     - Enable agent access
-disable/off   - Disable agent access
-toggle        - Toggle access
-history (log) - Show recent activity
+enable/on     - Enable agent access (admin, needs confirm)
+disable/off   - Disable agent access (operator)
+toggle        - Toggle access (admin, needs confirm)
+confirm <code> - Confirm a sensitive command
+history (log) - Show recent audit entries (operator)
+profile [name] - List profiles or switch the active one (operator)
 add <name>   - Add token (use GUI)
 remove <name> - Remove token (use GUI)
 gui           - Open web GUI
@@ -666,6 +2442,74 @@ Web GUI: http://localhost:3847`;
   return response;
 }
 
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a || ''));
+  const y = Buffer.from(String(b || ''));
+  return x.length === y.length && x.length > 0 && crypto.timingSafeEqual(x, y);
+}
+
+// Discord signs "<timestamp><raw body>" with the application's Ed25519 key
+function verifyDiscordSignature(publicKeyHex, signatureHex, timestamp, body) {
+  try {
+    const key = crypto.createPublicKey({
+      key: Buffer.concat([Buffer.from('302a300506032b6570032100', 'hex'), Buffer.from(publicKeyHex, 'hex')]),
+      format: 'der', type: 'spki'
+    });
+    return crypto.verify(null, Buffer.from(timestamp + body), key, Buffer.from(signatureHex, 'hex'));
+  } catch (e) {
+    return false;
+  }
+}
+
+// Verify a webhook and turn it into { caller, message, reply } or { status, error }
+function parseChatWebhook(req, body, config) {
+  const chat = config.chat || {};
+  const remote = req.socket.remoteAddress;
+  let payload;
+  try { payload = JSON.parse(body); } catch (e) { return { status: 400, error: 'Invalid payload' }; }
+  
+  // Discord interactions
+  if (req.headers['x-signature-ed25519']) {
+    const publicKey = chat.discord && chat.discord.publicKey;
+    if (!publicKey || !verifyDiscordSignature(publicKey, req.headers['x-signature-ed25519'], req.headers['x-signature-timestamp'] || '', body)) {
+      return { status: 401, error: 'Invalid Discord signature', platform: 'discord' };
+    }
+    if (payload.type === 1) return { pong: { type: 1 } };
+    const user = (payload.member && payload.member.user) || payload.user || {};
+    const options = ((payload.data && payload.data.options) || []).map(o => o.value);
+    return {
+      caller: { via: 'chat', chatUser: `discord:${user.id}`, remote },
+      message: [payload.data && payload.data.name, ...options].filter(Boolean).join(' '),
+      reply: (text) => ({ type: 4, data: { content: text } })
+    };
+  }
+  
+  // Telegram Bot API updates
+  if (req.headers['x-telegram-bot-api-secret-token'] !== undefined || payload.update_id !== undefined) {
+    const secret = chat.telegram && chat.telegram.secretToken;
+    if (!secret || !safeEqual(req.headers['x-telegram-bot-api-secret-token'], secret)) {
+      return { status: 401, error: 'Invalid Telegram secret token', platform: 'telegram' };
+    }
+    const msg = payload.message || payload.edited_message || {};
+    return {
+      caller: { via: 'chat', chatUser: `telegram:${msg.from && msg.from.id}`, remote },
+      message: (msg.text || '').replace(/^\//, '').replace(/@\w+/, ''),
+      reply: (text) => ({ method: 'sendMessage', chat_id: msg.chat && msg.chat.id, text })
+    };
+  }
+  
+  // Generic bridges (Lark, OpenClaw, scripts) must send the shared secret
+  if (!chat.webhookSecret || !safeEqual(req.headers['x-webhook-secret'], chat.webhookSecret)) {
+    return { status: 401, error: 'Missing or invalid X-Webhook-Secret' };
+  }
+  const user = payload.user || payload.userId || payload.author || 'unknown';
+  return {
+    caller: { via: 'chat', chatUser: `${payload.platform || 'webhook'}:${user}`, remote },
+    message: payload.message || payload.text || payload.content || '',
+    reply: (text) => ({ response: text })
+  };
+}
+
 // Webhook server for chat platforms
 function startWebhookServer(port) {
   const server = http.createServer((req, res) => {
@@ -676,14 +2520,15 @@ function startWebhookServer(port) {
       let body = '';
       req.on('data', chunk => body += chunk);
       req.on('end', () => {
-        try {
-          const payload = JSON.parse(body);
-          const message = payload.message || payload.text || payload.content || '';
-          const response = handleChatMessage(message);
-          res.end(JSON.stringify({ response }));
-        } catch (e) {
-          res.end(JSON.stringify({ error: 'Invalid payload' }));
+        const parsed = parseChatWebhook(req, body, loadConfig());
+        if (parsed.pong) { res.end(JSON.stringify(parsed.pong)); return; }
+        if (parsed.error) {
+          audit({ action: 'chat_denied', platform: parsed.platform, code: 'BAD_SIGNATURE' }, { via: 'chat', remote: req.socket.remoteAddress });
+          res.statusCode = parsed.status;
+          res.end(JSON.stringify({ error: parsed.error }));
+          return;
         }
+        res.end(JSON.stringify(parsed.reply(handleChatMessage(parsed.message, parsed.caller))));
       });
       return;
     }
@@ -699,13 +2544,19 @@ function startWebhookServer(port) {
       return;
     }
     
-    // OpenClaw message handler endpoint
+    // OpenClaw message handler endpoint (plain-text body, shared secret)
     if (req.method === 'POST' && req.url === '/message') {
       let body = '';
       req.on('data', chunk => body += chunk);
       req.on('end', () => {
-        const response = handleChatMessage(body);
-        res.end(response);
+        const secret = (loadConfig().chat || {}).webhookSecret;
+        if (!secret || !safeEqual(req.headers['x-webhook-secret'], secret)) {
+          res.statusCode = 401;
+          res.end('⛔ Missing or invalid X-Webhook-Secret');
+          return;
+        }
+        const user = req.headers['x-chat-user'] || 'openclaw';
+        res.end(handleChatMessage(body, { via: 'chat', chatUser: user, remote: req.socket.remoteAddress }));
       });
       return;
     }
@@ -733,4 +2584,15 @@ Supported platforms: Discord, Telegram, Lark, etc.
   return server;
 }
 
-main();
+if (require.main === module) {
+  main();
+} else {
+  module.exports = {
+    CONFIG_DIR, CONFIG_FILE, DATA_FILE, AUDIT_FILE, loadData, readDataFile, saveData, addToken, rotateToken, getToken, toggleAccess,
+    unlockVault, lockVault, rekeyVault, readTokenValue, readPreviousValue, audit, verifyAudit, readAudit, startWebServer,
+    maskSecrets, createScrubber, createProfile, useProfile, currentProfile, handleChatMessage,
+    addClient, revokeClient, listClients, requestToken, requestNamedToken, verifyTokens,
+    importCandidates, diffImport, applyImport, exportDotenv, exportBundle, parseChatWebhook,
+    usageStats, recentAlerts
+  };
+}
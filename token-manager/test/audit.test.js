@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'token-manager-test-'));
+const tm = require('../main.js');
+
+test.beforeEach(() => fs.rmSync(tm.AUDIT_FILE, { force: true }));
+
+const lines = () => fs.readFileSync(tm.AUDIT_FILE, 'utf8').split('\n').filter(Boolean);
+
+test('entries form a hash chain that detects edits', () => {
+  for (const name of ['a', 'b', 'c']) tm.audit({ action: 'add', name });
+  assert.deepStrictEqual(tm.verifyAudit(), { ok: true, entries: 3, head: JSON.parse(lines()[2]).hash });
+
+  const edited = lines();
+  edited[1] = edited[1].replace('"name":"b"', '"name":"x"');
+  fs.writeFileSync(tm.AUDIT_FILE, edited.join('\n') + '\n');
+  assert.strictEqual(tm.verifyAudit().line, 2);
+});
+
+test('a torn last line is dropped and the chain continues from the last complete entry', () => {
+  tm.audit({ action: 'add', name: 'a' });
+  const good = tm.audit({ action: 'add', name: 'b' });
+  fs.appendFileSync(tm.AUDIT_FILE, '{"seq":3,"timestamp":"2026-');
+
+  const next = tm.audit({ action: 'add', name: 'c' });
+  assert.strictEqual(next.seq, 3);
+  assert.strictEqual(next.prev, good.hash);
+  assert.strictEqual(lines().length, 3);
+  assert.strictEqual(tm.verifyAudit().ok, true);
+});
+
+test('a complete last entry missing its newline is kept', () => {
+  const first = tm.audit({ action: 'add', name: 'a' });
+  fs.writeFileSync(tm.AUDIT_FILE, fs.readFileSync(tm.AUDIT_FILE, 'utf8').trimEnd());
+
+  const next = tm.audit({ action: 'add', name: 'b' });
+  assert.strictEqual(next.prev, first.hash);
+  assert.deepStrictEqual(tm.verifyAudit(), { ok: true, entries: 2, head: next.hash });
+});
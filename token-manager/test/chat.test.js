@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'token-manager-test-'));
+const tm = require('../main.js');
+
+const operator = { via: 'chat', chatUser: 'discord:op' };
+const admin = { via: 'chat', chatUser: 'discord:boss' };
+const viewer = { via: 'chat', chatUser: 'telegram:42' };
+const stranger = { via: 'chat', chatUser: 'discord:nobody' };
+
+const discordKeys = crypto.generateKeyPairSync('ed25519');
+const discordPublicKey = discordKeys.publicKey.export({ format: 'der', type: 'spki' }).subarray(-32).toString('hex');
+const webhook = (headers, payload) => ({ headers, socket: { remoteAddress: '127.0.0.1' }, body: JSON.stringify(payload) });
+const parse = (req) => tm.parseChatWebhook(req, req.body, JSON.parse(fs.readFileSync(tm.CONFIG_FILE, 'utf8')));
+
+test.before(() => {
+  fs.mkdirSync(tm.CONFIG_DIR, { recursive: true });
+  fs.writeFileSync(tm.CONFIG_FILE, JSON.stringify({
+    chat: {
+      users: { 'discord:op': 'operator', 'discord:boss': 'admin', 'telegram:42': 'viewer' }, confirmTtl: '2m',
+      discord: { publicKey: discordPublicKey }, telegram: { secretToken: 'tg-secret' }, webhookSecret: 'bridge-secret'
+    }
+  }));
+  // A profile whose agent access is already on
+  tm.createProfile('prod');
+  tm.useProfile('prod');
+  tm.toggleAccess(true);
+  tm.useProfile('default');
+});
+
+test('an operator can list profiles but not switch to one', () => {
+  assert.match(tm.handleChatMessage('profile', operator), /prod/);
+  assert.match(tm.handleChatMessage('profile prod', operator), /needs the admin role/);
+  assert.strictEqual(tm.currentProfile(), 'default');
+});
+
+test('an admin switches profiles only after confirming', () => {
+  const prompt = tm.handleChatMessage('profiles prod', admin);
+  const code = prompt.match(/confirm (\d{6})/)[1];
+  assert.strictEqual(tm.currentProfile(), 'default');
+
+  assert.match(tm.handleChatMessage(`confirm ${code}`, admin), /Active profile: prod/);
+  assert.strictEqual(tm.currentProfile(), 'prod');
+});
+
+test('users outside the allowlist are refused and audited', () => {
+  assert.match(tm.handleChatMessage('status', stranger), /Not authorised/);
+  assert.strictEqual(tm.readAudit({ action: 'chat_denied' })[0].code, 'NOT_ALLOWLISTED');
+});
+
+test('each command needs its role: viewers read, operators disable, admins enable', () => {
+  assert.match(tm.handleChatMessage('status', viewer), /Token Manager Status/);
+  assert.match(tm.handleChatMessage('disable', viewer), /needs the operator role \(you are viewer\)/);
+  assert.match(tm.handleChatMessage('enable', operator), /needs the admin role/);
+
+  assert.match(tm.handleChatMessage('off', operator), /DISABLED/);
+  assert.strictEqual(tm.loadData().accessEnabled, false);
+});
+
+test('a confirmation code only works once, for the user it was issued to', () => {
+  const code = tm.handleChatMessage('enable', admin).match(/confirm (\d{6})/)[1];
+  assert.strictEqual(tm.loadData().accessEnabled, false);
+  assert.match(tm.handleChatMessage(`confirm ${code}`, viewer), /No pending command/);
+  assert.match(tm.handleChatMessage(`confirm ${code}`, admin), /ENABLED/);
+  assert.match(tm.handleChatMessage(`confirm ${code}`, admin), /No pending command/);
+});
+
+test('an expired confirmation code is refused', () => {
+  const code = tm.handleChatMessage('toggle', admin).match(/confirm (\d{6})/)[1];
+  const data = tm.loadData();
+  data.confirmations[code].expiresAt = Date.now() - 1;
+  tm.saveData(data);
+  assert.match(tm.handleChatMessage(`confirm ${code}`, admin), /expired/);
+});
+
+test('webhooks identify the sender only after checking the platform signature or secret', () => {
+  const body = { type: 2, member: { user: { id: 'boss' } }, data: { name: 'status' } };
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const signature = crypto.sign(null, Buffer.from(timestamp + JSON.stringify(body)), discordKeys.privateKey).toString('hex');
+  const discord = parse(webhook({ 'x-signature-ed25519': signature, 'x-signature-timestamp': timestamp }, body));
+  assert.strictEqual(discord.caller.chatUser, 'discord:boss');
+  assert.strictEqual(discord.message, 'status');
+  const forged = parse(webhook({ 'x-signature-ed25519': signature, 'x-signature-timestamp': '1' }, body));
+  assert.strictEqual(forged.status, 401);
+
+  const update = { update_id: 1, message: { from: { id: 42 }, chat: { id: 7 }, text: '/status@bot' } };
+  assert.strictEqual(parse(webhook({}, update)).status, 401);
+  const telegram = parse(webhook({ 'x-telegram-bot-api-secret-token': 'tg-secret' }, update));
+  assert.deepStrictEqual([telegram.caller.chatUser, telegram.message], ['telegram:42', 'status']);
+
+  const bridged = { platform: 'lark', user: 'ou_1', message: 'status' };
+  assert.strictEqual(parse(webhook({ 'x-webhook-secret': 'wrong' }, bridged)).status, 401);
+  assert.strictEqual(parse(webhook({ 'x-webhook-secret': 'bridge-secret' }, bridged)).caller.chatUser, 'lark:ou_1');
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'token-manager-test-'));
+const tm = require('../main.js');
+
+test.before(() => {
+  tm.addToken('github_token', 'ghp_one', 'token', 'github');
+  tm.addToken('slack_bot', 'xoxb_two', 'token', 'slack');
+  tm.toggleAccess(true);
+});
+
+test('a client only receives the tokens its grants cover', () => {
+  const { key } = tm.addClient('ci', { platforms: ['github'] });
+  const res = tm.requestToken('github', 'deploy', key);
+  assert.deepStrictEqual(res.tokens.map(t => t.name), ['github_token']);
+  assert.strictEqual(res.tokens[0].value, 'ghp_one');
+
+  assert.strictEqual(tm.requestToken('slack', 'notify', key).code, 'NOT_GRANTED');
+  assert.strictEqual(tm.requestNamedToken('slack_bot', key).code, 'NOT_GRANTED');
+  assert.strictEqual(tm.requestNamedToken('github_token', key).value, 'ghp_one');
+  assert.ok(tm.listClients().find(c => c.id === 'ci').lastSeen);
+});
+
+test('a token-name grant reads that token regardless of platform', () => {
+  const { key } = tm.addClient('notifier', { tokens: ['slack_bot'] });
+  assert.deepStrictEqual(tm.requestToken('slack', 'notify', key).tokens.map(t => t.name), ['slack_bot']);
+  assert.strictEqual(tm.requestNamedToken('github_token', key).code, 'NOT_GRANTED');
+});
+
+test('missing, unknown, revoked and expired keys are told apart', () => {
+  assert.strictEqual(tm.requestToken('github', 'x', null).code, 'CLIENT_KEY_REQUIRED');
+  assert.strictEqual(tm.requestToken('github', 'x', 'tmk_ci_00ff').code, 'INVALID_CLIENT_KEY');
+
+  const { key } = tm.addClient('temp', { platforms: ['*'] });
+  assert.ok(tm.revokeClient('temp'));
+  assert.strictEqual(tm.requestToken('github', 'x', key).code, 'INVALID_CLIENT_KEY');
+
+  const expired = tm.addClient('old', { platforms: ['*'], expires: '1h' });
+  const data = tm.loadData();
+  data.clients.old.expiresAt = new Date(Date.now() - 1000).toISOString();
+  tm.saveData(data);
+  assert.strictEqual(tm.requestToken('github', 'x', expired.key).code, 'CLIENT_EXPIRED');
+});
+
+test('client ids and expiry specs are validated', () => {
+  assert.strictEqual(tm.addClient('bad id').code, 'INVALID_CLIENT_ID');
+  assert.strictEqual(tm.addClient('ok', { expires: 'soon' }).code, 'INVALID_EXPIRY');
+});
+
+test('denied requests are audited with their code', () => {
+  const { key } = tm.addClient('auditee', { platforms: ['github'] });
+  tm.requestToken('slack', 'notify', key);
+  const [denied] = tm.readAudit({ action: 'request_denied', client: 'auditee' });
+  assert.strictEqual(denied.code, 'NOT_GRANTED');
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'token-manager-test-'));
+const tm = require('../main.js');
+
+test.beforeEach(() => {
+  tm.lockVault();
+  for (const file of [tm.DATA_FILE, tm.AUDIT_FILE]) fs.rmSync(file, { force: true });
+});
+
+// Write the chunks through a scrubber and collect the output as UTF-8
+function scrub(secrets, chunks) {
+  return new Promise((resolve, reject) => {
+    const scrubber = tm.createScrubber(secrets);
+    const out = [];
+    scrubber.on('data', c => out.push(c));
+    scrubber.on('end', () => resolve(Buffer.concat(out).toString('utf8')));
+    scrubber.on('error', reject);
+    for (const chunk of chunks) scrubber.write(chunk);
+    scrubber.end();
+  });
+}
+
+test('the longest secret is masked whole', () => {
+  assert.strictEqual(tm.maskSecrets('key=abcd1234 short=abcd', ['abcd', 'abcd1234']), 'key=*** short=***');
+});
+
+test('a secret split across chunks is still masked', async () => {
+  const secret = 'ghp_0123456789';
+  const text = `token ${secret} done`;
+  for (let i = 1; i < text.length; i++) {
+    assert.strictEqual(await scrub([secret], [text.slice(0, i), text.slice(i)]), 'token *** done', `split at ${i}`);
+  }
+});
+
+test('multi-byte characters split across chunks survive, and so do secrets next to them', async () => {
+  const secret = 'sécrét_✓_value';
+  const bytes = Buffer.from(`ünïcode 🔑 ${secret} ✓`);
+  for (let i = 1; i < bytes.length; i++) {
+    assert.strictEqual(await scrub([secret], [bytes.subarray(0, i), bytes.subarray(i)]), 'ünïcode 🔑 *** ✓', `split at byte ${i}`);
+  }
+  const oneByteAtATime = [...bytes].map(b => Buffer.from([b]));
+  assert.strictEqual(await scrub([secret], oneByteAtATime), 'ünïcode 🔑 *** ✓');
+});
+
+test('exec keeps the vault passphrase out of the child and masks it if the child prints it', () => {
+  const { execFileSync } = require('child_process');
+  const passphrase = 'correct horse battery';
+  tm.addToken('gh', 'ghp_exec_secret');
+  tm.toggleAccess(true);
+  tm.unlockVault(passphrase);
+  tm.lockVault();
+
+  const script = "console.log(process.env.TOKEN_MANAGER_PASSPHRASE || 'unset', process.env.GH, 'correct ' + 'horse battery')";
+  const out = execFileSync(process.execPath, [path.join(__dirname, '..', 'main.js'), 'exec', 'GH=gh', '--', process.execPath, '-e', script], {
+    env: { ...process.env, TOKEN_MANAGER_PASSPHRASE: passphrase }, encoding: 'utf8'
+  });
+  assert.strictEqual(out.trim(), 'unset *** ***');
+});
+
+test('flags after "--" are passed to the child, not read as our own', () => {
+  const { execFileSync } = require('child_process');
+  tm.addToken('gh', 'ghp_exec_secret');
+  tm.toggleAccess(true);
+
+  const script = 'console.log(process.argv.slice(1).join(" "))';
+  const out = execFileSync(process.execPath, [path.join(__dirname, '..', 'main.js'), 'exec', 'GH=gh', '--', process.execPath, '-e', script, 'x', '--profile', 'prod'], { encoding: 'utf8' });
+  assert.strictEqual(out.trim(), 'x --profile prod');
+});
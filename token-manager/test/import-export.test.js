@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'token-manager-test-'));
+const tm = require('../main.js');
+
+const file = (name, content) => {
+  const p = path.join(process.env.HOME, name);
+  fs.writeFileSync(p, content);
+  return p;
+};
+
+test.beforeEach(() => fs.rmSync(tm.DATA_FILE, { force: true }));
+
+test('dotenv import parses quoting, comments and export prefixes and guesses platforms', () => {
+  const env = file('in.env', [
+    '# comment', 'export GITHUB_TOKEN=ghp_abc', 'OPENAI_API_KEY="sk \\"quoted\\"\\nline"',
+    "HA_TOKEN='single # kept'", 'BRAVE_KEY=plain # trailing', 'EMPTY='
+  ].join('\n'));
+  const { candidates } = tm.importCandidates('dotenv', env);
+  const byName = Object.fromEntries(candidates.map(c => [c.name, c]));
+  assert.deepStrictEqual(Object.keys(byName), ['github_token', 'openai_api_key', 'ha_token', 'brave_key']);
+  assert.strictEqual(byName.openai_api_key.value, 'sk "quoted"\nline');
+  assert.strictEqual(byName.ha_token.value, 'single # kept');
+  assert.strictEqual(byName.brave_key.value, 'plain');
+  assert.strictEqual(byName.github_token.platform, 'github');
+  assert.strictEqual(byName.github_token.envVar, 'GITHUB_TOKEN');
+});
+
+test('the diff marks add, update and same, and only changes are written', () => {
+  tm.addToken('github_token', 'ghp_abc', 'token', 'github');
+  tm.addToken('openai_api_key', 'old', 'token', 'openai');
+  const env = file('diff.env', 'GITHUB_TOKEN=ghp_abc\nOPENAI_API_KEY=new\nBRAVE_KEY=b\n');
+
+  const { changes } = tm.diffImport(tm.importCandidates('dotenv', env).candidates);
+  assert.deepStrictEqual(changes.map(c => [c.name, c.change]), [['github_token', 'same'], ['openai_api_key', 'update'], ['brave_key', 'add']]);
+  assert.deepStrictEqual(tm.applyImport(changes, 'dotenv').names, ['openai_api_key', 'brave_key']);
+  assert.strictEqual(tm.readTokenValue(tm.loadData().tokens.openai_api_key), 'new');
+});
+
+test('a dotenv export reads back to the same values', () => {
+  tm.addToken('github_token', 'ghp_abc', 'token', 'github');
+  tm.addToken('multi', 'a "b"\nc', 'token');
+  const out = file('out.env', tm.exportDotenv().content);
+  const back = Object.fromEntries(tm.importCandidates('dotenv', out).candidates.map(c => [c.envVar, c.value]));
+  assert.deepStrictEqual(back, { GITHUB_TOKEN: 'ghp_abc', MULTI: 'a "b"\nc' });
+  assert.strictEqual(tm.exportDotenv(['missing']).code, 'NOT_FOUND');
+});
+
+test('a bundle round-trips metadata and needs its passphrase', () => {
+  tm.addToken('github_token', 'ghp_abc', 'token', 'github', { rotateEvery: '30d' });
+  const bundle = tm.exportBundle('moving-day');
+  assert.doesNotMatch(bundle.content, /ghp_abc/);
+  const p = file('tokens.bundle', bundle.content);
+  fs.rmSync(tm.DATA_FILE);
+
+  assert.strictEqual(tm.importCandidates('bundle', p, { passphrase: 'wrong' }).code, 'BAD_PASSPHRASE');
+  const { changes } = tm.diffImport(tm.importCandidates('bundle', p, { passphrase: 'moving-day' }).candidates);
+  tm.applyImport(changes, 'bundle');
+  const token = tm.loadData().tokens.github_token;
+  assert.strictEqual(tm.readTokenValue(token), 'ghp_abc');
+  assert.strictEqual(token.platform, 'github');
+  assert.strictEqual(token.rotateEvery, '30d');
+
+  assert.strictEqual(tm.exportBundle('').code, 'PASSPHRASE_REQUIRED');
+  assert.strictEqual(tm.importCandidates('bundle', file('bogus.json', '{}'), { passphrase: 'x' }).code, 'INVALID_BUNDLE');
+});
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+process.env.HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'token-manager-test-'));
+const tm = require('../main.js');
+
+let server, port, session;
+
+function request(method, pathname, { headers = {}, body } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, method, path: pathname, headers: { host: `localhost:${port}`, ...headers } }, res => {
+      let text = ''; res.on('data', c => text += c);
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, text, json: () => JSON.parse(text) }));
+    });
+    req.on('error', reject);
+    req.setTimeout(5000, () => req.destroy(new Error(`${method} ${pathname}: no response`)));
+    req.end(body);
+  });
+}
+
+test.before(async () => {
+  fs.mkdirSync(tm.CONFIG_DIR, { recursive: true });
+  fs.writeFileSync(tm.CONFIG_FILE, JSON.stringify({ port: 0 }));
+  server = tm.startWebServer();
+  await new Promise(resolve => server.once('listening', resolve));
+  port = server.address().port;
+  const page = await request('GET', '/');
+  session = page.text.match(/const GUI_SESSION = '([0-9a-f]+)'/)[1];
+  tm.addToken('github_token', 'ghp_secret_value', 'token', 'github');
+  tm.toggleAccess(true);
+});
+
+test.after(() => server.close());
+
+test('reveal needs the GUI session token and a same-origin request', async () => {
+  assert.strictEqual((await request('GET', '/api/reveal/github_token')).status, 403);
+  const foreign = await request('GET', '/api/reveal/github_token', { headers: { 'x-gui-session': session, origin: 'http://evil.example' } });
+  assert.strictEqual(foreign.json().code, 'CROSS_ORIGIN');
+  const rebound = await request('GET', '/api/reveal/github_token', { headers: { 'x-gui-session': session, host: `evil.example:${port}` } });
+  assert.strictEqual(rebound.json().code, 'CROSS_ORIGIN');
+
+  const ok = await request('GET', '/api/reveal/github_token', { headers: { 'x-gui-session': session, origin: `http://localhost:${port}` } });
+  assert.strictEqual(ok.json().value, 'ghp_secret_value');
+  assert.strictEqual(ok.headers['access-control-allow-origin'], undefined);
+});
+
+test('only the client-key routes answer CORS preflights', async () => {
+  const client = await request('OPTIONS', '/api/request?platform=github');
+  assert.strictEqual(client.status, 204);
+  assert.strictEqual(client.headers['access-control-allow-origin'], '*');
+  const gui = await request('OPTIONS', '/api/reveal/github_token');
+  assert.strictEqual(gui.status, 403);
+  assert.strictEqual(gui.headers['access-control-allow-origin'], undefined);
+});
+
+test('mutating GUI routes refuse requests without the session token', async () => {
+  const json = { 'content-type': 'application/json' };
+  const attempts = [
+    ['POST', '/api/toggle', JSON.stringify({ enabled: false })],
+    ['POST', '/api/token', JSON.stringify({ name: 'planted', value: 'x' })],
+    ['DELETE', '/api/token/github_token'],
+    ['POST', '/api/vault/lock'],
+    ['POST', '/api/profiles', JSON.stringify({ name: 'staging' })],
+    ['GET', '/api/data']
+  ];
+  for (const [method, pathname, body] of attempts) {
+    const res = await request(method, pathname, { headers: { ...json, origin: 'http://evil.example' }, body });
+    assert.strictEqual(res.status, 403, `${method} ${pathname}`);
+    assert.strictEqual((await request(method, pathname, { headers: json, body })).json().code, 'GUI_SESSION_REQUIRED');
+  }
+  const data = tm.loadData();
+  assert.strictEqual(data.accessEnabled, true);
+  assert.ok(data.tokens.github_token && !data.tokens.planted);
+
+  const toggled = await request('POST', '/api/toggle', { headers: { ...json, 'x-gui-session': session }, body: JSON.stringify({ enabled: true }) });
+  assert.strictEqual(toggled.status, 200);
+});
+
+test('the GUI page is not served under a foreign Host, and the server binds to loopback', async () => {
+  assert.strictEqual((await request('GET', '/', { headers: { host: `evil.example:${port}` } })).status, 403);
+  assert.strictEqual(server.address().address, '127.0.0.1');
+});
+
+test('client routes only cover the methods they handle; other methods never get the page', async () => {
+  const foreign = { host: `evil.example:${port}`, origin: 'http://evil.example' };
+  const post = await request('POST', '/api/request?platform=github', { headers: foreign });
+  assert.strictEqual(post.status, 403);
+  assert.strictEqual(post.headers['access-control-allow-origin'], undefined);
+  assert.doesNotMatch(post.text, /GUI_SESSION/);
+
+  const unknown = await request('POST', '/api/request', { headers: { 'x-gui-session': session } });
+  assert.strictEqual(unknown.status, 404);
+  assert.strictEqual(unknown.json().code, 'NOT_FOUND');
+});
+
+test('malformed JSON bodies are answered with 400 instead of crashing the server', async () => {
+  const headers = { 'content-type': 'application/json', 'x-gui-session': session };
+  const routes = ['/api/vault/unlock', '/api/token/github_token/rotate', '/api/verify', '/api/profiles', '/api/toggle', '/api/token', '/api/platform'];
+  for (const route of routes) {
+    for (const body of ['{"value":', '[]', 'null']) {
+      const res = await request('POST', route, { headers, body });
+      assert.strictEqual(res.status, 400, `${route} ${body}`);
+      assert.strictEqual(res.json().code, 'INVALID_BODY');
+    }
+  }
+  assert.strictEqual((await request('GET', '/api/data', { headers })).status, 200);
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+process.env.HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'token-manager-test-'));
+const tm = require('../main.js');
+
+let hook, key;
+const posted = [];
+
+const writeConfig = (alerts) => fs.writeFileSync(tm.CONFIG_FILE, JSON.stringify({
+  alerts: { webhook: `http://127.0.0.1:${hook.address().port}/alerts`, burst: { count: 3, window: '1m' }, cooldown: '15m', ...alerts }
+}));
+
+test.before(async () => {
+  hook = http.createServer((req, res) => {
+    let body = ''; req.on('data', c => body += c);
+    req.on('end', () => { posted.push(JSON.parse(body)); res.end(); });
+  }).listen(0, '127.0.0.1');
+  await new Promise(resolve => hook.once('listening', resolve));
+  fs.mkdirSync(tm.CONFIG_DIR, { recursive: true });
+  writeConfig({});
+  tm.addToken('github_token', 'ghp_one', 'token', 'github');
+  tm.toggleAccess(true);
+  key = tm.addClient('ci', { tokens: ['github_token'] }).key;
+});
+
+test.after(() => hook.close());
+
+test('requests are counted per hour, platform, purpose and client', () => {
+  tm.requestToken('github', 'deploy', key);
+  tm.requestToken('github', 'deploy', key);
+  const [stats] = tm.usageStats('github_token', 3);
+  assert.strictEqual(stats.count, 2);
+  assert.deepStrictEqual(stats.hourly, [0, 0, 2]);
+  assert.deepStrictEqual([stats.platforms, stats.purposes, stats.clients], [{ github: 2 }, { deploy: 2 }, { ci: 2 }]);
+});
+
+test('a burst raises one alert per cooldown, audited and posted to the webhook', async () => {
+  tm.requestToken('github', 'deploy', key);
+  tm.requestToken('github', 'deploy', key);
+  tm.requestToken('github', 'deploy', key);
+  const bursts = tm.recentAlerts().filter(a => a.rule === 'burst');
+  assert.strictEqual(bursts.length, 1);
+  assert.strictEqual(bursts[0].client, 'ci');
+
+  while (!posted.some(p => p.alert.rule === 'burst')) await new Promise(resolve => setTimeout(resolve, 10));
+  assert.match(posted.find(p => p.alert.rule === 'burst').text, /github_token requested 4 times within 1m/);
+});
+
+test('a request from a platform the token was never used from raises new_platform', () => {
+  tm.addToken('shared', 'any-platform', 'token');
+  const shared = tm.addClient('runner', { tokens: ['shared'] }).key;
+  tm.requestToken('github', 'build', shared);
+  assert.ok(!tm.recentAlerts().some(a => a.rule === 'new_platform'), 'the first use sets the baseline');
+  tm.requestToken('ci-runner', 'build', shared);
+  const [alert] = tm.recentAlerts().filter(a => a.rule === 'new_platform');
+  assert.strictEqual(alert.platform, 'ci-runner');
+});
+
+test('requests outside config.alerts.hours raise off_hours', () => {
+  const hour = new Date().getHours();
+  writeConfig({ hours: `${(hour + 1) % 24}-${(hour + 2) % 24}`, burst: { count: 100 } });
+  tm.requestToken('github', 'deploy', key);
+  assert.ok(tm.recentAlerts().some(a => a.rule === 'off_hours'));
+});
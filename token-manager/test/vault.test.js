@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'token-manager-test-'));
+const tm = require('../main.js');
+
+// Each test starts from an empty store with the vault locked
+test.beforeEach(() => {
+  tm.lockVault();
+  for (const file of [tm.DATA_FILE, tm.AUDIT_FILE]) fs.rmSync(file, { force: true });
+});
+
+test('values are encrypted at rest once the vault is set up', () => {
+  tm.addToken('plain', 'ghp_before_vault');
+  assert.deepStrictEqual(tm.unlockVault('correct horse'), { unlocked: true, migrated: 1 });
+  tm.addToken('after', 'ghp_after_vault');
+
+  const raw = fs.readFileSync(tm.DATA_FILE, 'utf8');
+  assert.ok(!raw.includes('ghp_before_vault'));
+  assert.ok(!raw.includes('ghp_after_vault'));
+  const data = tm.loadData();
+  assert.strictEqual(tm.readTokenValue(data.tokens.plain), 'ghp_before_vault');
+  assert.strictEqual(tm.readTokenValue(data.tokens.after), 'ghp_after_vault');
+});
+
+test('a locked vault refuses reads and writes, a wrong passphrase does not unlock it', () => {
+  tm.unlockVault('correct horse');
+  tm.addToken('gh', 'secret');
+  tm.toggleAccess(true);
+  tm.lockVault();
+
+  assert.strictEqual(tm.getToken('gh'), null);
+  assert.strictEqual(tm.addToken('other', 'x').code, 'VAULT_LOCKED');
+  assert.strictEqual(tm.unlockVault('wrong').code, 'BAD_PASSPHRASE');
+  tm.unlockVault('correct horse');
+  assert.strictEqual(tm.getToken('gh'), 'secret');
+});
+
+test('rekey re-encrypts current and previous values under the new passphrase', () => {
+  tm.unlockVault('old pass');
+  tm.addToken('gh', 'v1');
+  tm.rotateToken('gh', 'v2');
+  assert.strictEqual(tm.rekeyVault('old pass', 'new pass').rekeyed, true);
+  tm.lockVault();
+
+  assert.strictEqual(tm.unlockVault('old pass').code, 'BAD_PASSPHRASE');
+  tm.unlockVault('new pass');
+  const token = tm.loadData().tokens.gh;
+  assert.strictEqual(tm.readTokenValue(token), 'v2');
+  assert.strictEqual(tm.readPreviousValue(token), 'v1');
+});
+
+test('setting up the vault also encrypts the value kept from a rotation', () => {
+  tm.addToken('gh', 'plain_v1');
+  tm.rotateToken('gh', 'plain_v2');
+  assert.deepStrictEqual(tm.unlockVault('correct horse'), { unlocked: true, migrated: 2 });
+
+  const raw = fs.readFileSync(tm.DATA_FILE, 'utf8');
+  assert.ok(!raw.includes('plain_v1') && !raw.includes('plain_v2'));
+  const token = tm.loadData().tokens.gh;
+  assert.strictEqual(tm.readTokenValue(token), 'plain_v2');
+  assert.strictEqual(tm.readPreviousValue(token), 'plain_v1');
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+process.env.HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'token-manager-test-'));
+const tm = require('../main.js');
+
+let stub;
+const seen = [];
+
+test.before(async () => {
+  stub = http.createServer((req, res) => {
+    seen.push({ url: req.url, auth: req.headers.authorization });
+    if (req.url === '/broken') res.statusCode = 500;
+    else if (req.headers.authorization !== 'Bearer good') res.statusCode = 401;
+    res.end();
+  }).listen(0, '127.0.0.1');
+  await new Promise(resolve => stub.once('listening', resolve));
+  const base = `http://127.0.0.1:${stub.address().port}`;
+
+  fs.mkdirSync(tm.CONFIG_DIR, { recursive: true });
+  fs.writeFileSync(tm.CONFIG_FILE, JSON.stringify({
+    probes: { github: { baseUrl: base }, ci: { url: `${base}/whoami` }, flaky: { url: `${base}/broken` } }
+  }));
+  tm.addToken('gh_good', 'good', 'token', 'github');
+  tm.addToken('gh_bad', 'bad', 'token', 'github');
+  tm.addToken('ci_token', 'good', 'token', 'ci');
+  tm.addToken('flaky_token', 'good', 'token', 'flaky');
+  tm.addToken('note', 'plain', 'text');
+});
+
+test.after(() => stub.close());
+
+test('probes map 2xx to valid, 401/403 to invalid and anything else to error', async () => {
+  const { results } = await tm.verifyTokens();
+  const status = Object.fromEntries(results.map(r => [r.name, r.status]));
+  assert.deepStrictEqual(status, { gh_good: 'valid', gh_bad: 'invalid', ci_token: 'valid', flaky_token: 'error', note: 'unsupported' });
+  assert.ok(seen.some(s => s.url === '/user' && s.auth === 'Bearer good'), 'github probe honours the baseUrl override');
+  assert.ok(seen.some(s => s.url === '/whoami'), 'config entries with a url act as bearer probes');
+});
+
+test('results are recorded on the tokens, except for unsupported ones', async () => {
+  await tm.verifyTokens('gh_bad');
+  const { tokens } = tm.loadData();
+  assert.strictEqual(tokens.gh_bad.verifyStatus, 'invalid');
+  assert.strictEqual(tokens.gh_bad.verifyDetail, 'HTTP 401');
+  assert.ok(tokens.gh_bad.lastVerified);
+  assert.strictEqual(tokens.note.verifyStatus, undefined);
+});
+
+test('an unreachable probe is an error, and unknown tokens are NOT_FOUND', async () => {
+  const config = JSON.parse(fs.readFileSync(tm.CONFIG_FILE, 'utf8'));
+  config.probes.ci.url = 'http://127.0.0.1:1/whoami';
+  fs.writeFileSync(tm.CONFIG_FILE, JSON.stringify(config));
+  const { results: [ci] } = await tm.verifyTokens('ci_token');
+  assert.strictEqual(ci.status, 'error');
+
+  assert.strictEqual((await tm.verifyTokens('missing')).code, 'NOT_FOUND');
+});